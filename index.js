@@ -1,7 +1,7 @@
 import { config } from 'dotenv';
 config();
 
-import { Bot, session, InlineKeyboard, GrammyError, HttpError } from 'grammy';
+import { Bot, session, InlineKeyboard, InputFile, GrammyError, HttpError } from 'grammy';
 import { conversations, createConversation } from '@grammyjs/conversations';
 import {
     JsonRpcProvider,
@@ -13,9 +13,23 @@ import {
     getAddress,
     isAddress,
     formatUnits,
-    parseUnits
+    parseUnits,
+    Interface,
+    AbiCoder,
+    keccak256,
+    toBeHex,
+    toQuantity,
+    toUtf8Bytes,
+    Transaction,
+    FetchRequest,
+    zeroPadValue,
+    TypedDataEncoder,
+    Signature,
+    MaxUint256
 } from 'ethers';
 import fs from 'fs/promises';
+import { pathToFileURL } from 'url';
+import Database from 'better-sqlite3';
 
 // =================================================================
 // --- LOGGING & ENVIRONMENT VALIDATION ---
@@ -27,7 +41,8 @@ const log = (level, message, ...args) => {
 
 const requiredEnvVars = [
     'RPC_URL', 'PRIVATE_KEY', 'TELEGRAM_BOT_TOKEN', 'ETHERSCAN_API_KEY',
-    'ZAPPER_ADDRESS', 'UNISWAP_V2_FACTORY_ADDRESS', 'WETH_ADDRESS', 'UNISWAP_V2_ROUTER_ADDRESS'
+    'ZAPPER_ADDRESS', 'UNISWAP_V2_FACTORY_ADDRESS', 'WETH_ADDRESS', 'UNISWAP_V2_ROUTER_ADDRESS',
+    'ADMIN_USER_IDS'
 ];
 
 const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
@@ -41,13 +56,38 @@ if (missingVars.length > 0) {
 // --- CONSTANTS & CONFIGURATION ---
 // =================================================================
 
+const parseIdList = (value) => value
+    ? value.split(',').map(id => id.trim()).filter(id => /^-?\d+$/.test(id))
+    : [];
+
 const CONSTANTS = {
     ETHERSCAN_API_KEY: process.env.ETHERSCAN_API_KEY,
     ZAPPER_ADDRESS: process.env.ZAPPER_ADDRESS,
     UNISWAP_V2_FACTORY_ADDRESS: process.env.UNISWAP_V2_FACTORY_ADDRESS,
     WETH_ADDRESS: process.env.WETH_ADDRESS,
     UNISWAP_V2_ROUTER_ADDRESS: process.env.UNISWAP_V2_ROUTER_ADDRESS,
+    STABLECOIN_ADDRESS: process.env.STABLECOIN_ADDRESS ?? '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
+    DATABASE_PATH: process.env.DATABASE_PATH || './zapper.db',
+    // Legacy JSON positions file, imported into the database once on first start
     POSITIONS_FILE_PATH: process.env.POSITIONS_FILE_PATH || './positions.json',
+    ALERTS_FILE_PATH: process.env.ALERTS_FILE_PATH || './alerts.json',
+    HISTORY_FILE_PATH: process.env.HISTORY_FILE_PATH || './history.json',
+    HISTORY_PAGE_SIZE: parseInt(process.env.HISTORY_PAGE_SIZE) || 8,
+
+    // Token safety scan run before zapping in. SAFETY_POLICY is 'block' (failed checks stop the zap) or 'warn'.
+    SAFETY_SCAN_ENABLED: process.env.SAFETY_SCAN_ENABLED !== 'false',
+    SAFETY_POLICY: process.env.SAFETY_POLICY === 'warn' ? 'warn' : 'block',
+    SAFETY_BLOCK_UNKNOWN: process.env.SAFETY_BLOCK_UNKNOWN === 'true',
+    SAFETY_PROBE_ETH: process.env.SAFETY_PROBE_ETH || '0.01',
+    SAFETY_MAX_BUY_TAX_PERCENT: parseFloat(process.env.SAFETY_MAX_BUY_TAX_PERCENT ?? '10'),
+    SAFETY_MAX_SELL_TAX_PERCENT: parseFloat(process.env.SAFETY_MAX_SELL_TAX_PERCENT ?? '10'),
+    SAFETY_MIN_LIQUIDITY_ETH: parseFloat(process.env.SAFETY_MIN_LIQUIDITY_ETH ?? '1'),
+    SAFETY_MIN_PAIR_AGE_HOURS: parseFloat(process.env.SAFETY_MIN_PAIR_AGE_HOURS ?? '1'),
+    SAFETY_MAX_DEPLOYER_LP_PERCENT: parseFloat(process.env.SAFETY_MAX_DEPLOYER_LP_PERCENT ?? '50'),
+    // Blocks searched for the PairCreated event of older pairs whose token has no owner to check instead
+    SAFETY_CREATOR_LOOKBACK_BLOCKS: parseInt(process.env.SAFETY_CREATOR_LOOKBACK_BLOCKS) || 50000,
+    SAFETY_CACHE_SECONDS: parseInt(process.env.SAFETY_CACHE_SECONDS) || 300,
+    NETWORKS_CONFIG_PATH: process.env.NETWORKS_CONFIG_PATH || './networks.json',
 
     // Transaction settings
     SLIPPAGE_BPS: parseInt(process.env.SLIPPAGE_BPS) || 2000,
@@ -59,7 +99,16 @@ const CONSTANTS = {
 
     // Gas estimation settings
     ZAP_IN_GAS_LIMIT_ESTIMATE: BigInt(process.env.ZAP_IN_GAS_LIMIT_ESTIMATE || '500000'),
+    ZAP_IN_GAS_LIMIT_BUFFER_PERCENT: BigInt(process.env.ZAP_IN_GAS_LIMIT_BUFFER_PERCENT || '130'),
+    SWAP_GAS_LIMIT_BUFFER_PERCENT: BigInt(process.env.SWAP_GAS_LIMIT_BUFFER_PERCENT || '130'),
     ZAP_OUT_GAS_LIMIT_BUFFER_PERCENT: BigInt(process.env.ZAP_OUT_GAS_LIMIT_BUFFER_PERCENT || '130'),
+    ZAP_OUT_GAS_LIMIT_ESTIMATE: BigInt(process.env.ZAP_OUT_GAS_LIMIT_ESTIMATE || '350000'),
+    SWAP_GAS_LIMIT_ESTIMATE: BigInt(process.env.SWAP_GAS_LIMIT_ESTIMATE || '200000'),
+    APPROVE_GAS_LIMIT_ESTIMATE: BigInt(process.env.APPROVE_GAS_LIMIT_ESTIMATE || '60000'),
+
+    // Quote confirmation settings
+    QUOTE_TTL_SECONDS: parseInt(process.env.QUOTE_TTL_SECONDS) || 60,
+    QUOTE_MAX_RESERVE_DRIFT_BPS: parseInt(process.env.QUOTE_MAX_RESERVE_DRIFT_BPS) || 100,
 
     // Dynamic slippage settings
     ENABLE_DYNAMIC_SLIPPAGE: process.env.ENABLE_DYNAMIC_SLIPPAGE === 'true',
@@ -73,17 +122,91 @@ const CONSTANTS = {
     MAX_GAS_PRICE_GWEI: parseFloat(process.env.MAX_GAS_PRICE_GWEI) || 200.0,
     DEFAULT_GAS_PRICE_GWEI: parseFloat(process.env.DEFAULT_GAS_PRICE_GWEI) || 30.0,
 
+    // Gas oracle: 'etherscan' (gasoracle API, fee history as fallback) or 'feehistory' (local eth_feeHistory estimate only).
+    // The estimator reads FEE_HISTORY_BLOCKS blocks; the percentiles set the tips of the safe/standard/fast/instant tiers,
+    // so exactly four ascending values are required (duplicates are dropped first)
+    GAS_ORACLE: process.env.GAS_ORACLE === 'feehistory' ? 'feehistory' : 'etherscan',
+    FEE_HISTORY_BLOCKS: Math.min(1024, parseInt(process.env.FEE_HISTORY_BLOCKS) || 20),
+    FEE_HISTORY_PERCENTILES: [...new Set((process.env.FEE_HISTORY_PERCENTILES || '10,30,60,90').split(',').map(p => Number(p.trim())))],
+
+    // Pending transactions: how often receipts are polled, when a transaction counts as stuck and how much
+    // a speed-up or cancel raises the fees (nodes reject replacements below +10%)
+    PENDING_TX_POLL_INTERVAL_MS: parseInt(process.env.PENDING_TX_POLL_INTERVAL_MS) || 4000,
+    PENDING_TX_STUCK_SECONDS: parseInt(process.env.PENDING_TX_STUCK_SECONDS) || 60,
+    TX_REPLACEMENT_BUMP_PERCENT: BigInt(Math.max(10, parseInt(process.env.TX_REPLACEMENT_BUMP_PERCENT) || 15)),
+
+    // Private submission to a network's privateRelayUrl. PRIVATE_RELAY_METHOD is 'private' (eth_sendPrivateTransaction)
+    // or 'bundle' (eth_sendBundle, resubmitted for every block until included)
+    PRIVATE_RELAY_METHOD: process.env.PRIVATE_RELAY_METHOD === 'bundle' ? 'bundle' : 'private',
+    PRIVATE_RELAY_TARGET_BLOCKS: parseInt(process.env.PRIVATE_RELAY_TARGET_BLOCKS) || 25,
+    PRIVATE_RELAY_FALLBACK_PUBLIC: process.env.PRIVATE_RELAY_FALLBACK_PUBLIC === 'true',
+    PRIVATE_RELAY_AUTH_KEY: process.env.PRIVATE_RELAY_AUTH_KEY,
+
+    // /sync scans this many blocks of LP Transfer logs, in eth_getLogs requests of at most SYNC_LOG_CHUNK_BLOCKS.
+    // `/sync <blocks>` can ask for more, up to SYNC_MAX_LOOKBACK_BLOCKS.
+    SYNC_LOOKBACK_BLOCKS: parseInt(process.env.SYNC_LOOKBACK_BLOCKS) || 200000,
+    SYNC_MAX_LOOKBACK_BLOCKS: parseInt(process.env.SYNC_MAX_LOOKBACK_BLOCKS) || 2000000,
+    SYNC_LOG_CHUNK_BLOCKS: parseInt(process.env.SYNC_LOG_CHUNK_BLOCKS) || 5000,
+
     // Zap amount presets
     ZAP_AMOUNT_PRESETS: process.env.ZAP_AMOUNT_PRESETS
         ? process.env.ZAP_AMOUNT_PRESETS.split(',').map(a => a.trim())
         : ['0.001', '0.003', '0.005', '0.008'],
 
+    // Extra ERC-20 tokens offered in the zap in "pay with" step (comma-separated addresses)
+    PAY_WITH_TOKENS: process.env.PAY_WITH_TOKENS
+        ? process.env.PAY_WITH_TOKENS.split(',').map(a => a.trim()).filter(a => isAddress(a))
+        : [],
+
+    // Extra tokens accepted as the quote side of arbitrary V2 pairs, after WETH and the stablecoin
+    QUOTE_TOKENS: process.env.QUOTE_TOKENS
+        ? process.env.QUOTE_TOKENS.split(',').map(a => a.trim()).filter(a => isAddress(a))
+        : [],
+
     // Zap out percentage options
     ZAP_OUT_PERCENTAGES: process.env.ZAP_OUT_PERCENTAGES
         ? process.env.ZAP_OUT_PERCENTAGES.split(',').map(p => parseInt(p.trim()))
-        : [25, 50, 75, 100]
+        : [25, 50, 75, 100],
+
+    // Access control (comma-separated Telegram user / chat IDs)
+    ADMIN_USER_IDS: parseIdList(process.env.ADMIN_USER_IDS),
+    TRADER_USER_IDS: parseIdList(process.env.TRADER_USER_IDS),
+    VIEWER_USER_IDS: parseIdList(process.env.VIEWER_USER_IDS),
+    ALLOWED_CHAT_IDS: parseIdList(process.env.ALLOWED_CHAT_IDS),
+    AUDIT_LOG_PATH: process.env.AUDIT_LOG_PATH || './audit.log',
+
+    // Exit rules: the monitor checks take-profit / stop-loss rules on this interval and reports to the owner chat
+    RULE_MONITOR_INTERVAL_MS: parseInt(process.env.RULE_MONITOR_INTERVAL_MS) || 30000,
+    OWNER_CHAT_ID: process.env.OWNER_CHAT_ID || parseIdList(process.env.ADMIN_USER_IDS)[0],
+
+    // Alerts: how often subscriptions are evaluated and how long a fired alert stays quiet
+    ALERT_CHECK_INTERVAL_MS: parseInt(process.env.ALERT_CHECK_INTERVAL_MS) || 60000,
+    ALERT_COOLDOWN_MINUTES: parseInt(process.env.ALERT_COOLDOWN_MINUTES) || 60,
+
+    // RPC pool: endpoints are probed every RPC_HEALTH_CHECK_INTERVAL_MS and skipped while they lag, are slow or fail
+    RPC_HEALTH_CHECK_INTERVAL_MS: parseInt(process.env.RPC_HEALTH_CHECK_INTERVAL_MS) || 30000,
+    RPC_MAX_BLOCK_LAG: parseInt(process.env.RPC_MAX_BLOCK_LAG) || 3,
+    RPC_MAX_LATENCY_MS: parseInt(process.env.RPC_MAX_LATENCY_MS) || 3000,
+    RPC_REQUEST_TIMEOUT_MS: parseInt(process.env.RPC_REQUEST_TIMEOUT_MS) || 10000,
+
+    // DCA plans: how often due plans are looked for (also the shortest allowed plan interval)
+    DCA_CHECK_INTERVAL_MS: parseInt(process.env.DCA_CHECK_INTERVAL_MS) || 60000,
+
+    // Gas queue: how often the base fee is compared with queued actions' thresholds (also the shortest allowed expiry)
+    QUEUE_CHECK_INTERVAL_MS: parseInt(process.env.QUEUE_CHECK_INTERVAL_MS) || 30000
 };
 
+if (CONSTANTS.ADMIN_USER_IDS.length === 0) {
+    log("error", "FATAL ERROR: ADMIN_USER_IDS must contain at least one numeric Telegram user ID.");
+    process.exit(1);
+}
+
+const feeHistoryPercentiles = CONSTANTS.FEE_HISTORY_PERCENTILES;
+if (feeHistoryPercentiles.length !== 4 || feeHistoryPercentiles.some((p, i) => !(p >= 0 && p <= 100) || (i > 0 && p <= feeHistoryPercentiles[i - 1]))) {
+    log("error", "FATAL ERROR: FEE_HISTORY_PERCENTILES must be four different ascending percentiles between 0 and 100, e.g. 10,30,60,90.");
+    process.exit(1);
+}
+
 // ABIs for interacting with smart contracts
 const ZAPPER_ABI = [
     {
@@ -100,6 +223,23 @@ const ZAPPER_ABI = [
         "stateMutability": "payable",
         "type": "function"
     },
+    {
+        "inputs": [
+            { "internalType": "address", "name": "tokenA", "type": "address" },
+            { "internalType": "address", "name": "tokenB", "type": "address" },
+            { "internalType": "address", "name": "tokenIn", "type": "address" },
+            { "internalType": "uint256", "name": "amountIn", "type": "uint256" },
+            { "internalType": "uint256", "name": "amountAMin", "type": "uint256" },
+            { "internalType": "uint256", "name": "amountBMin", "type": "uint256" },
+            { "internalType": "address", "name": "to", "type": "address" },
+            { "internalType": "uint256", "name": "deadline", "type": "uint256" },
+            { "internalType": "uint256", "name": "slippageToleranceBps", "type": "uint256" }
+        ],
+        "name": "zapIn",
+        "outputs": [{ "internalType": "uint256", "name": "liquidity", "type": "uint256" }],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
     {
         "inputs": [
             { "internalType": "address", "name": "tokenA", "type": "address" },
@@ -117,20 +257,50 @@ const ZAPPER_ABI = [
         "outputs": [{ "internalType": "uint256", "name": "amountOut", "type": "uint256" }],
         "stateMutability": "nonpayable",
         "type": "function"
+    },
+    {
+        "inputs": [
+            { "internalType": "address", "name": "tokenA", "type": "address" },
+            { "internalType": "address", "name": "tokenB", "type": "address" },
+            { "internalType": "uint256", "name": "liquidity", "type": "uint256" },
+            { "internalType": "address", "name": "tokenOut", "type": "address" },
+            { "internalType": "uint256", "name": "amountOutMin", "type": "uint256" },
+            { "internalType": "uint256", "name": "amountAMin", "type": "uint256" },
+            { "internalType": "uint256", "name": "amountBMin", "type": "uint256" },
+            { "internalType": "address", "name": "to", "type": "address" },
+            { "internalType": "uint256", "name": "deadline", "type": "uint256" },
+            { "internalType": "uint256", "name": "slippageToleranceBps", "type": "uint256" },
+            { "internalType": "uint8", "name": "v", "type": "uint8" },
+            { "internalType": "bytes32", "name": "r", "type": "bytes32" },
+            { "internalType": "bytes32", "name": "s", "type": "bytes32" }
+        ],
+        "name": "zapOutWithPermit",
+        "outputs": [{ "internalType": "uint256", "name": "amountOut", "type": "uint256" }],
+        "stateMutability": "nonpayable",
+        "type": "function"
     }
 ];
 
 const UNISWAP_V2_FACTORY_ABI = [
-    'function getPair(address tokenA, address tokenB) external view returns (address pair)'
+    'function getPair(address tokenA, address tokenB) external view returns (address pair)',
+    'event PairCreated(address indexed token0, address indexed token1, address pair, uint)'
 ];
 
 const UNISWAP_V2_PAIR_ABI = [
+    'function name() external view returns (string)',
     'function balanceOf(address owner) external view returns (uint256)',
+    'function allowance(address owner, address spender) external view returns (uint256)',
     'function approve(address spender, uint256 amount) external returns (bool)',
+    'function DOMAIN_SEPARATOR() external view returns (bytes32)',
+    'function nonces(address owner) external view returns (uint256)',
     'function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
     'function token0() external view returns (address)',
     'function token1() external view returns (address)',
-    'function totalSupply() view returns (uint256)'
+    'function totalSupply() view returns (uint256)',
+    'event Transfer(address indexed from, address indexed to, uint256 value)',
+    'event Mint(address indexed sender, uint256 amount0, uint256 amount1)',
+    'event Burn(address indexed sender, uint256 amount0, uint256 amount1, address indexed to)',
+    'event Sync(uint112 reserve0, uint112 reserve1)'
 ];
 
 const ERC20_ABI = [
@@ -138,22 +308,302 @@ const ERC20_ABI = [
     "function symbol() view returns (string)",
     "function totalSupply() view returns (uint256)",
     "function decimals() view returns (uint8)",
-    "function balanceOf(address) view returns (uint256)"
+    "function balanceOf(address) view returns (uint256)",
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 amount) returns (bool)"
 ];
 
 const UNISWAP_V2_ROUTER_ABI = [
-    'function getAmountsOut(uint amountIn, address[] memory path) public view returns (uint[] memory amounts)'
+    'function getAmountsOut(uint amountIn, address[] memory path) public view returns (uint[] memory amounts)',
+    'function swapExactETHForTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) external payable returns (uint[] memory amounts)',
+    'function swapExactTokensForETH(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)',
+    'function swapExactTokensForTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)',
+    'function swapExactETHForTokensSupportingFeeOnTransferTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) external payable',
+    'function swapExactTokensForETHSupportingFeeOnTransferTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external'
 ];
 
 // =================================================================
-// --- ETHEREUM & CONTRACT SETUP ---
+// --- RPC PROVIDER POOL ---
+// =================================================================
+
+// Each network can list several RPC URLs. Requests go to the first healthy endpoint in the configured order and move
+// down the list when an endpoint errors or rate-limits; raw transactions go to every healthy endpoint at once.
+
+const RPC_RATE_LIMIT_PATTERN = /rate.?limit|too many requests|request limit/i;
+
+// URLs often carry API keys, so only the host is ever logged or shown.
+function getRpcLabel(url) {
+    try {
+        return new URL(url).host;
+    } catch {
+        return 'rpc';
+    }
+}
+
+function createRpcEndpoint(url, chainId) {
+    const request = new FetchRequest(url);
+    request.timeout = CONSTANTS.RPC_REQUEST_TIMEOUT_MS;
+    // A 429 should fail over right away instead of being retried against the same endpoint.
+    request.setThrottleParams({ maxAttempts: 1 });
+    return {
+        url,
+        label: getRpcLabel(url),
+        transport: new JsonRpcProvider(request, chainId, { staticNetwork: true }),
+        health: { healthy: true, blockNumber: null, latencyMs: null, lag: null, error: null, checkedAt: null }
+    };
+}
+
+function isRateLimitResponse(responses) {
+    return responses.length > 0 && responses.every(({ error }) =>
+        error && (error.code === -32005 || error.code === 429 || RPC_RATE_LIMIT_PATTERN.test(error.message ?? '')));
+}
+
+function getActiveRpcEndpoint(pool) {
+    return pool.endpoints.find(endpoint => endpoint.health.healthy) ?? pool.endpoints[0];
+}
+
+function markRpcUnhealthy(pool, endpoint, error) {
+    if (endpoint.health.healthy && pool.endpoints.length > 1) log("warn", `RPC ${endpoint.label} on ${pool.name} failed, failing over: ${error}`);
+    endpoint.health = { ...endpoint.health, healthy: false, error };
+}
+
+// Reads that must agree with each other, like the pending nonce or a mined nonce and its receipt, go to the active
+// endpoint only. Failing over in the middle could pair one node's nonce with another node's mempool or receipts.
+// A failing endpoint is marked down, so the next read uses the one after it.
+async function readFromActiveRpc(network, read) {
+    const endpoint = getActiveRpcEndpoint(network.rpcPool);
+    try {
+        return await read(endpoint.transport);
+    } catch (error) {
+        markRpcUnhealthy(network.rpcPool, endpoint, error.shortMessage || error.message);
+        throw error;
+    }
+}
+
+async function sendThroughRpcPool(pool, payload) {
+    if ([].concat(payload).some(entry => entry.method === 'eth_sendRawTransaction')) return broadcastThroughRpcPool(pool, payload);
+
+    // Unhealthy endpoints stay at the back of the queue, so the pool still answers when every endpoint is marked down.
+    const ordered = [...pool.endpoints.filter(e => e.health.healthy), ...pool.endpoints.filter(e => !e.health.healthy)];
+    let lastResponse, lastError;
+    for (const endpoint of ordered) {
+        try {
+            const responses = await endpoint.transport._send(payload);
+            if (!isRateLimitResponse(responses)) return responses;
+            markRpcUnhealthy(pool, endpoint, 'rate limited');
+            lastResponse = responses;
+        } catch (error) {
+            markRpcUnhealthy(pool, endpoint, error.shortMessage || error.message);
+            lastError = error;
+        }
+    }
+    if (lastResponse) return lastResponse;
+    throw lastError;
+}
+
+// A transaction accepted by any endpoint counts as sent; "already known" answers from the others are expected.
+async function broadcastThroughRpcPool(pool, payload) {
+    const healthy = pool.endpoints.filter(endpoint => endpoint.health.healthy);
+    const targets = healthy.length > 0 ? healthy : pool.endpoints;
+    const results = await Promise.allSettled(targets.map(endpoint => endpoint.transport._send(payload)));
+    const responses = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+
+    const accepted = responses.find(response => response.every(entry => !entry.error));
+    if (accepted) return accepted;
+    if (responses.length > 0) return responses[0];
+    throw results[0].reason;
+}
+
+// The network's provider: a JsonRpcProvider whose transport is the pool, so contracts, wallets and every
+// provider call fail over without knowing about it.
+class PooledJsonRpcProvider extends JsonRpcProvider {
+    constructor(pool) {
+        super(pool.endpoints[0].url, pool.chainId, { staticNetwork: true });
+        this.pool = pool;
+    }
+
+    _send(payload) {
+        return sendThroughRpcPool(this.pool, payload);
+    }
+}
+
+// Probes every endpoint with eth_blockNumber. An endpoint is unhealthy when the probe fails, takes longer than
+// RPC_MAX_LATENCY_MS, or returns a block more than RPC_MAX_BLOCK_LAG behind the best endpoint of the same chain.
+async function checkRpcHealth(pool) {
+    const probes = await Promise.all(pool.endpoints.map(async (endpoint) => {
+        const startedAt = Date.now();
+        try {
+            const [response] = await endpoint.transport._send({ method: 'eth_blockNumber', params: [], id: 1, jsonrpc: '2.0' });
+            if (response.error) throw new Error(response.error.message);
+            return { endpoint, blockNumber: Number(response.result), latencyMs: Date.now() - startedAt };
+        } catch (error) {
+            return { endpoint, error: error.shortMessage || error.message, latencyMs: Date.now() - startedAt };
+        }
+    }));
+
+    const bestBlock = Math.max(0, ...probes.filter(probe => !probe.error).map(probe => probe.blockNumber));
+    for (const probe of probes) {
+        const lag = probe.error ? null : bestBlock - probe.blockNumber;
+        const error = probe.error
+            ?? (lag > CONSTANTS.RPC_MAX_BLOCK_LAG ? `${lag} blocks behind`
+                : probe.latencyMs > CONSTANTS.RPC_MAX_LATENCY_MS ? `${probe.latencyMs}ms latency` : null);
+        const { endpoint } = probe;
+        if (endpoint.health.checkedAt && endpoint.health.healthy !== !error) {
+            log(error ? "warn" : "info", `RPC ${endpoint.label} on ${pool.name} is ${error ? `unhealthy: ${error}` : 'healthy again'}`);
+        }
+        endpoint.health = { healthy: !error, blockNumber: probe.blockNumber ?? null, latencyMs: probe.latencyMs, lag, error, checkedAt: Date.now() };
+    }
+}
+
+async function checkAllRpcHealth() {
+    await Promise.all([...NETWORKS.values()].map(network => checkRpcHealth(network.rpcPool)
+        .catch(e => log("warn", `RPC health check failed on ${network.name}:`, e.message))));
+}
+
+function formatRpcHealth(network) {
+    const active = getActiveRpcEndpoint(network.rpcPool);
+    return network.rpcPool.endpoints.map((endpoint) => {
+        const { healthy, latencyMs, blockNumber, lag, error, checkedAt } = endpoint.health;
+        const detail = !checkedAt
+            ? 'not checked yet'
+            : healthy
+                ? `${latencyMs}ms, block ${blockNumber}${lag ? ` (-${lag})` : ''}`
+                : error;
+        return `${endpoint === active ? '▶️' : '  '} ${healthy ? '✅' : '❌'} ${endpoint.label}: ${detail}`;
+    }).join('\n');
+}
+
+// =================================================================
+// --- NETWORK & DEX REGISTRY ---
 // =================================================================
 
-const provider = new JsonRpcProvider(process.env.RPC_URL);
-const wallet = new Wallet(process.env.PRIVATE_KEY, provider);
-const zapperContract = new Contract(CONSTANTS.ZAPPER_ADDRESS, ZAPPER_ABI, wallet);
-const factoryContract = new Contract(CONSTANTS.UNISWAP_V2_FACTORY_ADDRESS, UNISWAP_V2_FACTORY_ABI, provider);
-const routerContract = new Contract(CONSTANTS.UNISWAP_V2_ROUTER_ADDRESS, UNISWAP_V2_ROUTER_ABI, provider);
+// The network built from the single-chain env vars above; extra Uniswap V2 forks come from NETWORKS_CONFIG_PATH.
+// Swap fee of a V2 pool in basis points: 30 for Uniswap and SushiSwap, 25 for PancakeSwap. Set per network as `feeBps`.
+const DEFAULT_SWAP_FEE_BPS = 30;
+
+const DEFAULT_NETWORK_CONFIG = {
+    id: process.env.DEFAULT_NETWORK_ID || 'ethereum-uniswap',
+    name: process.env.DEFAULT_NETWORK_NAME || 'Ethereum · Uniswap V2',
+    chainId: parseInt(process.env.CHAIN_ID) || 1,
+    dex: process.env.DEFAULT_NETWORK_DEX || 'Uniswap V2',
+    rpcUrls: (process.env.RPC_URL || '').split(',').map(url => url.trim()).filter(Boolean),
+    nativeSymbol: process.env.NATIVE_SYMBOL || 'ETH',
+    wrappedNativeAddress: CONSTANTS.WETH_ADDRESS,
+    factoryAddress: CONSTANTS.UNISWAP_V2_FACTORY_ADDRESS,
+    routerAddress: CONSTANTS.UNISWAP_V2_ROUTER_ADDRESS,
+    zapperAddress: CONSTANTS.ZAPPER_ADDRESS,
+    stablecoinAddress: CONSTANTS.STABLECOIN_ADDRESS,
+    quoteTokens: CONSTANTS.QUOTE_TOKENS,
+    payWithTokens: CONSTANTS.PAY_WITH_TOKENS,
+    explorerUrl: process.env.EXPLORER_URL || 'https://etherscan.io',
+    explorerName: process.env.EXPLORER_NAME || 'Etherscan',
+    privateRelayUrl: process.env.PRIVATE_RELAY_URL || null,
+    feeBps: process.env.DEX_FEE_BPS ? parseInt(process.env.DEX_FEE_BPS) : DEFAULT_SWAP_FEE_BPS
+};
+
+const REQUIRED_NETWORK_FIELDS = [
+    'id', 'chainId', 'rpcUrl', 'wrappedNativeAddress', 'factoryAddress', 'routerAddress', 'zapperAddress', 'explorerUrl'
+];
+const NETWORK_ADDRESS_FIELDS = ['wrappedNativeAddress', 'factoryAddress', 'routerAddress', 'zapperAddress', 'stablecoinAddress'];
+// Calls to the zero address succeed without doing anything, so a placeholder left in the config would fail silently.
+const NONZERO_NETWORK_ADDRESS_FIELDS = ['wrappedNativeAddress', 'factoryAddress', 'routerAddress', 'zapperAddress'];
+
+function isValidFeeBps(feeBps) {
+    return Number.isInteger(feeBps) && feeBps >= 0 && feeBps < 10000;
+}
+
+function getInvalidNetworkAddresses(config) {
+    return NETWORK_ADDRESS_FIELDS.filter(field => config[field] && (!isAddress(config[field]) ||
+        (NONZERO_NETWORK_ADDRESS_FIELDS.includes(field) && getAddress(config[field]) === ZeroAddress)));
+}
+
+async function loadNetworkConfigs() {
+    let entries = [];
+    try {
+        entries = JSON.parse(await fs.readFile(CONSTANTS.NETWORKS_CONFIG_PATH, 'utf-8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            log("error", `FATAL ERROR: Could not read ${CONSTANTS.NETWORKS_CONFIG_PATH}: ${error.message}`);
+            process.exit(1);
+        }
+    }
+    if (!Array.isArray(entries)) {
+        log("error", `FATAL ERROR: ${CONSTANTS.NETWORKS_CONFIG_PATH} must contain a JSON array of networks.`);
+        process.exit(1);
+    }
+
+    const invalidDefaults = getInvalidNetworkAddresses(DEFAULT_NETWORK_CONFIG);
+    if (!isValidFeeBps(DEFAULT_NETWORK_CONFIG.feeBps)) invalidDefaults.push('DEX_FEE_BPS');
+    if (DEFAULT_NETWORK_CONFIG.rpcUrls.length === 0) invalidDefaults.push('RPC_URL');
+    if (invalidDefaults.length > 0) {
+        log("error", `FATAL ERROR: The default network in .env has invalid settings (zero or malformed addresses, DEX_FEE_BPS, an empty RPC_URL): ${invalidDefaults.join(', ')}.`);
+        process.exit(1);
+    }
+
+    const configs = [DEFAULT_NETWORK_CONFIG];
+    for (const entry of entries) {
+        const missing = REQUIRED_NETWORK_FIELDS.filter(field => !entry[field]);
+        const invalid = getInvalidNetworkAddresses(entry);
+        if (entry.feeBps !== undefined && !isValidFeeBps(entry.feeBps)) invalid.push('feeBps');
+        if ([].concat(entry.rpcUrl, entry.rpcUrls ?? []).filter(Boolean).length === 0) invalid.push('rpcUrl');
+        if (missing.length > 0 || invalid.length > 0) {
+            log("error", `FATAL ERROR: Network "${entry.id ?? '?'}" in ${CONSTANTS.NETWORKS_CONFIG_PATH} is missing ${missing.join(', ') || '-'} / has invalid ${invalid.join(', ') || '-'}.`);
+            process.exit(1);
+        }
+        if (configs.some(config => config.id === entry.id)) {
+            log("error", `FATAL ERROR: Duplicate network id "${entry.id}" in ${CONSTANTS.NETWORKS_CONFIG_PATH}.`);
+            process.exit(1);
+        }
+        configs.push({
+            name: entry.id,
+            dex: 'Uniswap V2',
+            nativeSymbol: 'ETH',
+            stablecoinAddress: null,
+            explorerName: 'Explorer',
+            privateRelayUrl: null,
+            ...entry,
+            chainId: parseInt(entry.chainId),
+            // `rpcUrl` may be a single URL or a list; `rpcUrls` adds fallbacks after it
+            rpcUrls: [...new Set([].concat(entry.rpcUrl, entry.rpcUrls ?? []).filter(Boolean))],
+            quoteTokens: (entry.quoteTokens ?? []).filter(a => isAddress(a)),
+            payWithTokens: (entry.payWithTokens ?? []).filter(a => isAddress(a)),
+            explorerUrl: entry.explorerUrl.replace(/\/+$/, ''),
+            feeBps: entry.feeBps ?? DEFAULT_SWAP_FEE_BPS
+        });
+    }
+    return configs;
+}
+
+function createNetwork(config) {
+    const rpcPool = { name: config.name, chainId: config.chainId, endpoints: config.rpcUrls.map(url => createRpcEndpoint(url, config.chainId)) };
+    const provider = new PooledJsonRpcProvider(rpcPool);
+    const wallet = new Wallet(process.env.PRIVATE_KEY, provider);
+    return {
+        ...config,
+        rpcPool,
+        provider,
+        wallet,
+        zapperContract: new Contract(config.zapperAddress, ZAPPER_ABI, wallet),
+        factoryContract: new Contract(config.factoryAddress, UNISWAP_V2_FACTORY_ABI, provider),
+        routerContract: new Contract(config.routerAddress, UNISWAP_V2_ROUTER_ABI, provider)
+    };
+}
+
+const NETWORKS = new Map((await loadNetworkConfigs()).map(config => [config.id, createNetwork(config)]));
+
+function getNetwork(networkId = DEFAULT_NETWORK_CONFIG.id) {
+    const network = NETWORKS.get(networkId);
+    if (!network) throw new Error(`Unknown network "${networkId}". Check ${CONSTANTS.NETWORKS_CONFIG_PATH}.`);
+    return network;
+}
+
+function getNativeAsset(network) {
+    return { address: null, symbol: network.nativeSymbol, decimals: 18n };
+}
+
+function getExplorerTxLink(network, txHash) {
+    return `[View on ${network.explorerName}](${network.explorerUrl}/tx/${txHash})`;
+}
 
 // =================================================================
 // --- CACHING & DATA PERSISTENCE ---
@@ -184,34 +634,348 @@ async function getCachedData(key, fetcherFunction, ...args) {
     }
 }
 
-async function loadPositions() {
+// Positions live in SQLite: each open position is one row keyed by `id`, with the position record (entries,
+// exits, rules) stored as JSON next to the indexed network and pair columns. Writes run in transactions,
+// so a crash can never leave a half-written file behind. DCA plans, queued actions, the transaction ledger and
+// alerts are stored the same way.
+const db = new Database(CONSTANTS.DATABASE_PATH);
+db.pragma('journal_mode = WAL');
+db.pragma('foreign_keys = ON');
+
+async function readLegacyJsonFile(filePath) {
     try {
-        await fs.access(CONSTANTS.POSITIONS_FILE_PATH);
-        const data = await fs.readFile(CONSTANTS.POSITIONS_FILE_PATH, 'utf-8');
-        const positions = JSON.parse(data);
-        log("info", `Loaded ${positions.length} position(s) from ${CONSTANTS.POSITIONS_FILE_PATH}`);
-        return positions;
+        const records = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+        return Array.isArray(records) ? records : [];
     } catch (error) {
-        log("warn", `${CONSTANTS.POSITIONS_FILE_PATH} not found. Starting with an empty list.`);
+        if (error.code !== 'ENOENT') log("warn", `Could not read ${filePath} for import: ${error.message}`);
         return [];
     }
 }
 
-async function savePositions(positions) {
-    try {
-        await fs.writeFile(CONSTANTS.POSITIONS_FILE_PATH, JSON.stringify(positions, null, 2));
-        log("info", `Successfully saved ${positions.length} position(s) to ${CONSTANTS.POSITIONS_FILE_PATH}`);
-    } catch (error) {
-        log("error", "Failed to save positions.json:", error);
+// Applied in order and tracked with PRAGMA user_version. Never edit a released migration; add a new one.
+// `load` runs before the migration's transaction for anything that needs async I/O.
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'create positions table',
+        up: () => db.exec(`
+            CREATE TABLE positions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                network_id TEXT NOT NULL,
+                pair_address TEXT NOT NULL,
+                data TEXT NOT NULL,
+                opened_at INTEGER NOT NULL,
+                updated_at INTEGER NOT NULL,
+                closed_at INTEGER
+            );
+            CREATE UNIQUE INDEX positions_open_pair ON positions (network_id, pair_address) WHERE closed_at IS NULL;
+        `)
+    },
+    {
+        version: 2,
+        description: `import ${CONSTANTS.POSITIONS_FILE_PATH}`,
+        load: () => readLegacyJsonFile(CONSTANTS.POSITIONS_FILE_PATH),
+        up: (positions) => {
+            const insert = db.prepare(`INSERT OR IGNORE INTO positions (network_id, pair_address, data, opened_at, updated_at)
+                VALUES (?, ?, ?, ?, ?)`);
+            let imported = 0;
+            for (const position of positions) {
+                if (!position.pairAddress) {
+                    log("warn", `Skipping a position without pairAddress in ${CONSTANTS.POSITIONS_FILE_PATH}`);
+                    continue;
+                }
+                const networkId = position.networkId ?? DEFAULT_NETWORK_CONFIG.id;
+                const timestamp = position.timestamp ?? Date.now();
+                imported += insert.run(networkId, position.pairAddress.toLowerCase(), JSON.stringify(position), timestamp, timestamp).changes;
+            }
+            log("info", `Imported ${imported} of ${positions.length} position(s) from ${CONSTANTS.POSITIONS_FILE_PATH}`);
+        }
+    },
+    {
+        version: 3,
+        description: 'create dca_plans table',
+        up: () => db.exec(`
+            CREATE TABLE dca_plans (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                chat_id TEXT NOT NULL,
+                status TEXT NOT NULL,
+                data TEXT NOT NULL,
+                next_run_at INTEGER NOT NULL,
+                created_at INTEGER NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+            CREATE INDEX dca_plans_due ON dca_plans (status, next_run_at);
+        `)
+    },
+    {
+        version: 4,
+        description: 'create queued_actions table',
+        up: () => db.exec(`
+            CREATE TABLE queued_actions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                chat_id TEXT NOT NULL,
+                status TEXT NOT NULL,
+                data TEXT NOT NULL,
+                expires_at INTEGER NOT NULL,
+                created_at INTEGER NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+            CREATE INDEX queued_actions_waiting ON queued_actions (status, expires_at);
+        `)
+    },
+    {
+        version: 5,
+        description: 'create transactions table',
+        up: () => db.exec(`
+            CREATE TABLE transactions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                hash TEXT NOT NULL,
+                network_id TEXT NOT NULL,
+                type TEXT NOT NULL,
+                data TEXT NOT NULL,
+                created_at INTEGER NOT NULL
+            );
+            CREATE INDEX transactions_hash ON transactions (hash);
+        `)
+    },
+    {
+        version: 6,
+        description: `import ${CONSTANTS.HISTORY_FILE_PATH}`,
+        load: () => readLegacyJsonFile(CONSTANTS.HISTORY_FILE_PATH),
+        up: (history) => {
+            const insert = db.prepare('INSERT INTO transactions (hash, network_id, type, data, created_at) VALUES (?, ?, ?, ?, ?)');
+            for (const entry of history) {
+                insert.run(entry.hash, entry.networkId ?? DEFAULT_NETWORK_CONFIG.id, entry.type, JSON.stringify(entry),
+                    Date.parse(entry.timestamp) || Date.now());
+            }
+            log("info", `Imported ${history.length} transaction(s) from ${CONSTANTS.HISTORY_FILE_PATH}`);
+        }
+    },
+    {
+        version: 7,
+        description: 'create alerts table',
+        up: () => db.exec(`
+            CREATE TABLE alerts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                chat_id TEXT NOT NULL,
+                data TEXT NOT NULL,
+                created_at INTEGER NOT NULL
+            );
+            CREATE INDEX alerts_chat ON alerts (chat_id);
+        `)
+    },
+    {
+        version: 8,
+        description: `import ${CONSTANTS.ALERTS_FILE_PATH}`,
+        load: () => readLegacyJsonFile(CONSTANTS.ALERTS_FILE_PATH),
+        up: (alerts) => {
+            // Alert IDs are kept, since chats refer to them in /alerts remove.
+            const insert = db.prepare('INSERT OR IGNORE INTO alerts (id, chat_id, data, created_at) VALUES (?, ?, ?, ?)');
+            let imported = 0;
+            for (const { id, chatId, ...data } of alerts) {
+                imported += insert.run(id, String(chatId), JSON.stringify(data), data.createdAt ?? Date.now()).changes;
+            }
+            log("info", `Imported ${imported} of ${alerts.length} alert(s) from ${CONSTANTS.ALERTS_FILE_PATH}`);
+        }
+    }
+];
+
+async function runMigrations() {
+    for (const migration of MIGRATIONS) {
+        if (db.pragma('user_version', { simple: true }) >= migration.version) continue;
+        const data = migration.load ? await migration.load() : undefined;
+        db.transaction(() => {
+            migration.up(data);
+            db.pragma(`user_version = ${migration.version}`);
+        })();
+        log("info", `Database migrated to version ${migration.version}: ${migration.description}`);
+    }
+}
+
+await runMigrations();
+
+const positionStatements = {
+    listOpen: db.prepare('SELECT * FROM positions WHERE closed_at IS NULL ORDER BY id'),
+    getOpen: db.prepare('SELECT * FROM positions WHERE id = ? AND closed_at IS NULL'),
+    findOpen: db.prepare('SELECT * FROM positions WHERE network_id = ? AND pair_address = ? AND closed_at IS NULL'),
+    insert: db.prepare('INSERT INTO positions (network_id, pair_address, data, opened_at, updated_at) VALUES (?, ?, ?, ?, ?)'),
+    update: db.prepare('UPDATE positions SET data = ?, updated_at = ?, closed_at = ? WHERE id = ?')
+};
+
+function rowToPosition(row) {
+    return row ? { ...JSON.parse(row.data), id: row.id } : null;
+}
+
+function loadPositions() {
+    return positionStatements.listOpen.all().map(rowToPosition);
+}
+
+function getPosition(id) {
+    return rowToPosition(positionStatements.getOpen.get(id));
+}
+
+// Pair addresses can repeat across chains, so positions are matched on network and pair together.
+function findPosition(market) {
+    return rowToPosition(positionStatements.findOpen.get(market.networkId, market.pairAddress.toLowerCase()));
+}
+
+// Reads the open position for a market, applies `updater` and writes the result in one transaction.
+// `updater` gets null when there is no open position and returns the record to store (or null to skip the write);
+// setting `closed: true` on it closes the position, which keeps the row for its history.
+const writePosition = db.transaction((market, updater) => {
+    const current = findPosition(market);
+    const next = updater(current);
+    if (!next) return current;
+
+    const { id, closed, ...data } = next;
+    const now = Date.now();
+    if (current) {
+        positionStatements.update.run(JSON.stringify(data), now, closed ? now : null, current.id);
+        return { ...data, id: current.id };
     }
+    const { lastInsertRowid } = positionStatements.insert.run(market.networkId, market.pairAddress.toLowerCase(), JSON.stringify(data), now, now);
+    return { ...data, id: Number(lastInsertRowid) };
+});
+
+// DCA plans are stored like positions: indexed scheduling columns plus the plan record as JSON.
+// `status` is 'active', 'paused', 'completed' or 'cancelled'.
+const dcaStatements = {
+    listForChat: db.prepare("SELECT * FROM dca_plans WHERE chat_id = ? AND status IN ('active', 'paused') ORDER BY id"),
+    listDue: db.prepare("SELECT * FROM dca_plans WHERE status = 'active' AND next_run_at <= ? ORDER BY next_run_at"),
+    get: db.prepare('SELECT * FROM dca_plans WHERE id = ?'),
+    insert: db.prepare('INSERT INTO dca_plans (chat_id, status, data, next_run_at, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)'),
+    update: db.prepare('UPDATE dca_plans SET status = ?, data = ?, next_run_at = ?, updated_at = ? WHERE id = ?')
+};
+
+function rowToDcaPlan(row) {
+    return row ? { ...JSON.parse(row.data), id: row.id, chatId: Number(row.chat_id), status: row.status, nextRunAt: row.next_run_at } : null;
+}
+
+function loadDcaPlans(chatId) {
+    return dcaStatements.listForChat.all(String(chatId)).map(rowToDcaPlan);
+}
+
+function loadDueDcaPlans(now = Date.now()) {
+    return dcaStatements.listDue.all(now).map(rowToDcaPlan);
+}
+
+function getDcaPlan(id) {
+    return rowToDcaPlan(dcaStatements.get.get(id));
+}
+
+function createDcaPlan({ chatId, status = 'active', nextRunAt, ...data }) {
+    const now = Date.now();
+    const { lastInsertRowid } = dcaStatements.insert.run(String(chatId), status, JSON.stringify(data), nextRunAt, now, now);
+    return getDcaPlan(Number(lastInsertRowid));
+}
+
+// Same contract as writePosition: `updater` gets the current plan (or null) and returns the plan to store, or null to skip.
+const writeDcaPlan = db.transaction((id, updater) => {
+    const current = getDcaPlan(id);
+    const next = updater(current);
+    if (!next) return current;
+
+    const { id: _id, chatId, status, nextRunAt, ...data } = next;
+    dcaStatements.update.run(status, JSON.stringify(data), nextRunAt, Date.now(), id);
+    return getDcaPlan(id);
+});
+
+// Gas-gated zap ins and zap outs, stored like DCA plans. `status` is 'waiting', 'running', 'executed', 'failed', 'expired'
+// or 'cancelled'.
+const queueStatements = {
+    listForChat: db.prepare("SELECT * FROM queued_actions WHERE chat_id = ? AND status = 'waiting' ORDER BY id"),
+    listWaiting: db.prepare("SELECT * FROM queued_actions WHERE status = 'waiting' ORDER BY id"),
+    listRunning: db.prepare("SELECT * FROM queued_actions WHERE status = 'running' ORDER BY id"),
+    get: db.prepare('SELECT * FROM queued_actions WHERE id = ?'),
+    insert: db.prepare('INSERT INTO queued_actions (chat_id, status, data, expires_at, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)'),
+    update: db.prepare('UPDATE queued_actions SET status = ?, data = ?, updated_at = ? WHERE id = ?')
+};
+
+function rowToQueuedAction(row) {
+    return row ? { ...JSON.parse(row.data), id: row.id, chatId: Number(row.chat_id), status: row.status, expiresAt: row.expires_at, createdAt: row.created_at } : null;
+}
+
+function loadQueuedActions(chatId) {
+    return queueStatements.listForChat.all(String(chatId)).map(rowToQueuedAction);
+}
+
+function loadWaitingQueuedActions() {
+    return queueStatements.listWaiting.all().map(rowToQueuedAction);
+}
+
+function getQueuedAction(id) {
+    return rowToQueuedAction(queueStatements.get.get(id));
+}
+
+function createQueuedAction({ chatId, status = 'waiting', expiresAt, ...data }) {
+    const now = Date.now();
+    const { lastInsertRowid } = queueStatements.insert.run(String(chatId), status, JSON.stringify(data), expiresAt, now, now);
+    return getQueuedAction(Number(lastInsertRowid));
+}
+
+// Same contract as writeDcaPlan; the expiry is fixed when the action is queued.
+const writeQueuedAction = db.transaction((id, updater) => {
+    const current = getQueuedAction(id);
+    const next = updater(current);
+    if (!next) return current;
+
+    const { id: _id, chatId, status, expiresAt, createdAt, ...data } = next;
+    queueStatements.update.run(status, JSON.stringify(data), Date.now(), id);
+    return getQueuedAction(id);
+});
+
+// The transaction ledger, oldest first. Each entry is one row with the ledger record stored as JSON.
+const transactionStatements = {
+    list: db.prepare('SELECT * FROM transactions ORDER BY id'),
+    get: db.prepare('SELECT * FROM transactions WHERE id = ?'),
+    findByHash: db.prepare('SELECT * FROM transactions WHERE hash = ? ORDER BY id DESC LIMIT 1'),
+    insert: db.prepare('INSERT INTO transactions (hash, network_id, type, data, created_at) VALUES (?, ?, ?, ?, ?)'),
+    update: db.prepare('UPDATE transactions SET data = ? WHERE id = ?')
+};
+
+function rowToTransaction(row) {
+    return row ? { ...JSON.parse(row.data), id: row.id } : null;
+}
+
+function loadHistory() {
+    return transactionStatements.list.all().map(rowToTransaction);
+}
+
+function getTransactionEntry(id) {
+    return rowToTransaction(transactionStatements.get.get(id));
+}
+
+// Alert subscriptions, one row per alert with the alert record stored as JSON.
+const alertStatements = {
+    list: db.prepare('SELECT * FROM alerts ORDER BY id'),
+    listForChat: db.prepare('SELECT * FROM alerts WHERE chat_id = ? ORDER BY id'),
+    get: db.prepare('SELECT * FROM alerts WHERE id = ?'),
+    insert: db.prepare('INSERT INTO alerts (chat_id, data, created_at) VALUES (?, ?, ?)'),
+    update: db.prepare('UPDATE alerts SET data = ? WHERE id = ?'),
+    delete: db.prepare('DELETE FROM alerts WHERE id = ?'),
+    deleteForChat: db.prepare('DELETE FROM alerts WHERE id = ? AND chat_id = ?')
+};
+
+function rowToAlert(row) {
+    return row ? { ...JSON.parse(row.data), id: row.id, chatId: Number(row.chat_id) } : null;
+}
+
+function loadAlerts(chatId) {
+    const rows = chatId === undefined ? alertStatements.list.all() : alertStatements.listForChat.all(String(chatId));
+    return rows.map(rowToAlert);
+}
+
+function createAlert({ chatId, ...data }) {
+    const { lastInsertRowid } = alertStatements.insert.run(String(chatId), JSON.stringify(data), data.createdAt ?? Date.now());
+    return rowToAlert(alertStatements.get.get(Number(lastInsertRowid)));
 }
 
 // =================================================================
 // --- BLOCKCHAIN HELPER FUNCTIONS ---
 // =================================================================
 
-async function fetchTokenInfo(tokenAddress) {
-    const contract = new Contract(tokenAddress, ERC20_ABI, provider);
+async function fetchTokenInfo(network, tokenAddress) {
+    const contract = new Contract(tokenAddress, ERC20_ABI, network.provider);
     try {
         const [name, symbol, decimals] = await Promise.all([
             contract.name(),
@@ -225,46 +989,126 @@ async function fetchTokenInfo(tokenAddress) {
     }
 }
 
-async function fetchPairInfo(tokenOtherAddress) {
-    const pairAddress = await factoryContract.getPair(CONSTANTS.WETH_ADDRESS, tokenOtherAddress);
+function orientReserves(reserves, token0, quoteTokenAddress) {
+    return getAddress(token0) === getAddress(quoteTokenAddress)
+        ? [reserves[0], reserves[1]]
+        : [reserves[1], reserves[0]];
+}
+
+async function fetchPairInfo(network, tokenOtherAddress, quoteTokenAddress = network.wrappedNativeAddress) {
+    const pairAddress = await network.factoryContract.getPair(quoteTokenAddress, tokenOtherAddress);
     if (pairAddress === ZeroAddress) {
-        throw new Error("Pair does not exist for this token. Please ensure the token has a WETH pair on Uniswap V2.");
+        throw new Error(`Pair does not exist for this token. Please ensure the token has a pair with the quote asset on ${network.dex}.`);
     }
 
-    const pairContract = new Contract(pairAddress, UNISWAP_V2_PAIR_ABI, provider);
-    const tokenOtherContract = new Contract(tokenOtherAddress, ERC20_ABI, provider);
+    const pairContract = new Contract(pairAddress, UNISWAP_V2_PAIR_ABI, network.provider);
+    const tokenOtherContract = new Contract(tokenOtherAddress, ERC20_ABI, network.provider);
 
-    const [reserves, token0, tokenTotalSupply, tokenDecimalsNum] = await Promise.all([
+    const [reserves, token0, tokenTotalSupply, tokenDecimalsNum, quoteInfo, quotePriceInWei] = await Promise.all([
         pairContract.getReserves(),
         pairContract.token0(),
         tokenOtherContract.totalSupply(),
-        tokenOtherContract.decimals().catch(() => 18)
+        tokenOtherContract.decimals().catch(() => 18),
+        getCachedTokenInfo(network, quoteTokenAddress),
+        getCachedQuotePriceInEth(network, quoteTokenAddress)
     ]);
 
     const tokenDecimals = BigInt(tokenDecimalsNum);
-    const [reserveWETH, reserveToken] = getAddress(token0) === getAddress(CONSTANTS.WETH_ADDRESS)
-        ? [reserves[0], reserves[1]]
-        : [reserves[1], reserves[0]];
+    const [reserveQuote, reserveToken] = orientReserves(reserves, token0, quoteTokenAddress);
 
-    if (reserveToken === 0n || reserveWETH === 0n) {
-        return { pairAddress, price: '0', marketCap: '0', reserveWETH: 0n, reserveToken: 0n };
+    if (reserveToken === 0n || reserveQuote === 0n) {
+        return { pairAddress, quoteTokenAddress, price: '0', marketCap: '0', reserveQuote: 0n, reserveToken: 0n, quotePriceInWei };
     }
 
-    const priceInWei = (reserveWETH * (10n ** tokenDecimals)) / reserveToken;
-    const marketCapInWei = (reserveWETH * tokenTotalSupply) / reserveToken;
+    // Prices are taken in the quote asset first and then converted to the native coin through the quote-asset resolver.
+    const quoteUnit = 10n ** quoteInfo.decimals;
+    const priceInWei = (reserveQuote * (10n ** tokenDecimals) * quotePriceInWei) / (reserveToken * quoteUnit);
+    const marketCapInWei = (reserveQuote * tokenTotalSupply * quotePriceInWei) / (reserveToken * quoteUnit);
 
     return {
         pairAddress,
+        quoteTokenAddress,
         price: formatEther(priceInWei),
         marketCap: formatEther(marketCapInWei),
-        reserveWETH,
-        reserveToken
+        reserveQuote,
+        reserveToken,
+        quotePriceInWei
     };
 }
 
-async function fetchTxOptionsFromEtherscan() {
+// Returns the value of one whole quote token in wei of the native coin, priced through its wrapped-native pair.
+async function fetchQuotePriceInEth(network, quoteTokenAddress) {
+    if (getAddress(quoteTokenAddress) === getAddress(network.wrappedNativeAddress)) return 10n ** 18n;
+
+    const pairAddress = await network.factoryContract.getPair(quoteTokenAddress, network.wrappedNativeAddress);
+    if (pairAddress === ZeroAddress) {
+        throw new Error(`Quote asset ${quoteTokenAddress} has no W${network.nativeSymbol} pair to price it.`);
+    }
+
+    const [{ reserveQuote, reserveToken: reserveWETH }, quoteInfo] = await Promise.all([
+        fetchPairReserves(network, pairAddress, quoteTokenAddress),
+        getCachedTokenInfo(network, quoteTokenAddress)
+    ]);
+    if (reserveQuote === 0n) throw new Error(`Quote asset ${quoteTokenAddress} has no liquidity against W${network.nativeSymbol}.`);
+
+    return (reserveWETH * (10n ** quoteInfo.decimals)) / reserveQuote;
+}
+
+async function resolveMarket(network, tokenA, tokenB) {
+    const [addressA, addressB] = [getAddress(tokenA), getAddress(tokenB)];
+    if (addressA === addressB) throw new Error("Both token addresses are the same.");
+
+    const pairAddress = await network.factoryContract.getPair(addressA, addressB);
+    if (pairAddress === ZeroAddress) {
+        throw new Error(`Pair does not exist on ${network.name} for these tokens.`);
+    }
+
+    // Prefer the wrapped native coin, then the configured stablecoin and quote tokens; otherwise use whichever side can be priced.
+    const preferredQuotes = [network.wrappedNativeAddress, network.stablecoinAddress, ...network.quoteTokens]
+        .filter(Boolean)
+        .map(address => getAddress(address));
+    let quoteTokenAddress = preferredQuotes.find(address => address === addressA || address === addressB);
+
+    if (!quoteTokenAddress) {
+        for (const candidate of [addressB, addressA]) {
+            try {
+                await getCachedQuotePriceInEth(network, candidate);
+                quoteTokenAddress = candidate;
+                break;
+            } catch (e) {
+                log('info', `Token ${candidate} cannot be used as quote asset: ${e.message}`);
+            }
+        }
+    }
+    if (!quoteTokenAddress) {
+        throw new Error(`Cannot price this pair: neither token has a W${network.nativeSymbol} pair.`);
+    }
+
+    const tokenAddress = quoteTokenAddress === addressA ? addressB : addressA;
+    return { networkId: network.id, pairAddress: getAddress(pairAddress), tokenAddress, quoteTokenAddress };
+}
+
+async function resolvePairInput(network, text) {
+    const addresses = (text || '').split(/[\s,/]+/).filter(Boolean);
+    if (addresses.length === 0 || addresses.length > 2 || !addresses.every(address => isAddress(address))) {
+        throw new Error("Send a token address, a pair address, or two token addresses.");
+    }
+
+    if (addresses.length === 2) return resolveMarket(network, addresses[0], addresses[1]);
+
+    // A single address is either a V2 pair or a token that is paired with the wrapped native coin.
+    const pairContract = new Contract(addresses[0], UNISWAP_V2_PAIR_ABI, network.provider);
+    const pairTokens = await Promise.all([pairContract.token0(), pairContract.token1()]).catch(() => null);
+    if (pairTokens) {
+        const market = await resolveMarket(network, pairTokens[0], pairTokens[1]);
+        if (market.pairAddress === getAddress(addresses[0])) return market;
+    }
+    return resolveMarket(network, network.wrappedNativeAddress, addresses[0]);
+}
+
+async function fetchTxOptionsFromEtherscan(network) {
     // Use Etherscan V2 API with correct endpoint
-    const url = `https://api.etherscan.io/v2/api?chainid=1&module=gastracker&action=gasoracle&apikey=${CONSTANTS.ETHERSCAN_API_KEY}`;
+    const url = `https://api.etherscan.io/v2/api?chainid=${network.chainId}&module=gastracker&action=gasoracle&apikey=${CONSTANTS.ETHERSCAN_API_KEY}`;
     const response = await fetch(url);
     if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
     const data = await response.json();
@@ -317,24 +1161,105 @@ async function fetchTxOptionsFromEtherscan() {
     const maxFeePerGas = parseUnits(cappedMaxFeeGwei.toFixed(9), 'gwei');
     const maxPriorityFeePerGas = parseUnits(priorityFeeGwei.toFixed(9), 'gwei');
 
-    log('info', `Gas from Etherscan V2 [${speedName}${CONSTANTS.GAS_SPEED_MULTIPLIER !== 1.0 ? ` x${CONSTANTS.GAS_SPEED_MULTIPLIER}` : ''}]: Max ${cappedMaxFeeGwei.toFixed(2)} Gwei, Priority ${priorityFeeGwei.toFixed(2)} Gwei (Base: ${baseFeeGwei.toFixed(2)})`);
+    log('info', `Gas from Etherscan V2 on chain ${network.chainId} [${speedName}${CONSTANTS.GAS_SPEED_MULTIPLIER !== 1.0 ? ` x${CONSTANTS.GAS_SPEED_MULTIPLIER}` : ''}]: Max ${cappedMaxFeeGwei.toFixed(2)} Gwei, Priority ${priorityFeeGwei.toFixed(2)} Gwei (Base: ${baseFeeGwei.toFixed(2)})`);
     return {
         gasPrice: maxFeePerGas,
         maxFeePerGas,
-        maxPriorityFeePerGas
+        maxPriorityFeePerGas,
+        capped: selectedGasPriceGwei > CONSTANTS.MAX_GAS_PRICE_GWEI
     };
 }
 
-async function fetchTxOptionsFromRPC() {
-    log('info', 'Fetching gas price from RPC provider...');
-    const feeData = await provider.getFeeData();
+// GAS_SPEED tiers for the eth_feeHistory estimator, in FEE_HISTORY_PERCENTILES order (each takes its tip from the
+// percentile at its position), and for how many full blocks the base fee may keep rising (+12.5% each) before
+// maxFeePerGas is outbid.
+const FEE_HISTORY_TIERS = [
+    { id: 'safe', name: 'Safe', headroomBlocks: 1 },
+    { id: 'standard', name: 'Standard', headroomBlocks: 2 },
+    { id: 'fast', name: 'Fast', headroomBlocks: 3 },
+    { id: 'instant', name: 'Instant', headroomBlocks: 4 }
+];
 
-    if (!feeData.maxFeePerGas) {
-        throw new Error('Could not fetch gas price from RPC');
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Derives a maxFeePerGas/maxPriorityFeePerGas pair per GAS_SPEED tier from the node's own fee history, so no API
+// key is needed. Tips are the median of each reward percentile over the window, ignoring empty blocks. The max fee
+// raises the next block's base fee by either the window's trend or the tier's headroom, whichever is larger; applying
+// both would count the same expected rise twice.
+async function fetchFeeHistoryTiers(network) {
+    const percentiles = CONSTANTS.FEE_HISTORY_PERCENTILES;
+    const history = await network.provider.send('eth_feeHistory', [toQuantity(CONSTANTS.FEE_HISTORY_BLOCKS), 'latest', percentiles]);
+    if (!history?.baseFeePerGas?.length || !Array.isArray(history.reward)) {
+        throw new Error('eth_feeHistory returned no data');
     }
 
-    // Cap the gas price
-    const maxGasPrice = parseUnits(CONSTANTS.MAX_GAS_PRICE_GWEI.toString(), 'gwei');
+    const toGwei = (value) => parseFloat(formatUnits(BigInt(value), 'gwei'));
+    const baseFees = history.baseFeePerGas.map(toGwei);
+    const nextBaseFeeGwei = baseFees.at(-1);
+    const windowBaseFees = baseFees.slice(0, -1);
+    const averageBaseFeeGwei = windowBaseFees.reduce((sum, fee) => sum + fee, 0) / Math.max(windowBaseFees.length, 1);
+    const trend = averageBaseFeeGwei > 0 ? nextBaseFeeGwei / averageBaseFeeGwei : 1;
+
+    const rewards = history.reward.filter((_, i) => history.gasUsedRatio?.[i] > 0);
+    const tiers = FEE_HISTORY_TIERS.map((tier, i) => {
+        const tips = rewards.map(blockRewards => toGwei(blockRewards[i] ?? 0));
+        const priorityFeeGwei = tips.length > 0 ? median(tips) : CONSTANTS.PRIORITY_FEE_GWEI;
+        const maxFeeGwei = nextBaseFeeGwei * Math.max(trend, Math.pow(1.125, tier.headroomBlocks)) + priorityFeeGwei;
+        return { ...tier, percentile: percentiles[i], priorityFeeGwei, maxFeeGwei };
+    });
+
+    return { baseFeeGwei: nextBaseFeeGwei, trend, tiers };
+}
+
+// Sub-Gwei fees are common on L2s, so they keep more decimals.
+function formatGasGwei(gwei) {
+    return gwei < 1 ? gwei.toFixed(3) : gwei.toFixed(1);
+}
+
+// The tiers side by side for /status as max fee/tip in Gwei, with the configured GAS_SPEED marked.
+function formatFeeTiers(feeTiers) {
+    if (!feeTiers) return '_unavailable_';
+    const selected = CONSTANTS.GAS_SPEED.toLowerCase();
+    const tiers = feeTiers.tiers.map(tier =>
+        `${tier.id === selected ? '▶️' : ''}${tier.name} ${formatGasGwei(tier.maxFeeGwei)}/${formatGasGwei(tier.priorityFeeGwei)}`
+    );
+    return `${tiers.join(' | ')}\n(max/tip Gwei, base ${formatGasGwei(feeTiers.baseFeeGwei)} trend x${feeTiers.trend.toFixed(2)})`;
+}
+
+async function fetchTxOptionsFromFeeHistory(network) {
+    const { baseFeeGwei, trend, tiers } = await fetchFeeHistoryTiers(network);
+    const tier = tiers.find(t => t.id === CONSTANTS.GAS_SPEED.toLowerCase()) || tiers.find(t => t.id === 'fast');
+
+    // Same multiplier and cap as the Etherscan path
+    const cappedMaxFeeGwei = Math.min(tier.maxFeeGwei * CONSTANTS.GAS_SPEED_MULTIPLIER, CONSTANTS.MAX_GAS_PRICE_GWEI);
+    const priorityFeeGwei = Math.min(tier.priorityFeeGwei * CONSTANTS.GAS_SPEED_MULTIPLIER, cappedMaxFeeGwei);
+
+    const maxFeePerGas = parseUnits(cappedMaxFeeGwei.toFixed(9), 'gwei');
+    const maxPriorityFeePerGas = parseUnits(priorityFeeGwei.toFixed(9), 'gwei');
+
+    log('info', `Gas from fee history on chain ${network.chainId} [${tier.name}${CONSTANTS.GAS_SPEED_MULTIPLIER !== 1.0 ? ` x${CONSTANTS.GAS_SPEED_MULTIPLIER}` : ''}]: Max ${cappedMaxFeeGwei.toFixed(2)} Gwei, Priority ${priorityFeeGwei.toFixed(2)} Gwei (Base: ${baseFeeGwei.toFixed(2)}, trend x${trend.toFixed(2)})`);
+    return {
+        gasPrice: maxFeePerGas,
+        maxFeePerGas,
+        maxPriorityFeePerGas,
+        capped: tier.maxFeeGwei * CONSTANTS.GAS_SPEED_MULTIPLIER > CONSTANTS.MAX_GAS_PRICE_GWEI
+    };
+}
+
+async function fetchTxOptionsFromRPC(network) {
+    log('info', `Fetching gas price from ${network.name} RPC provider...`);
+    const feeData = await network.provider.getFeeData();
+
+    if (!feeData.maxFeePerGas) {
+        throw new Error('Could not fetch gas price from RPC');
+    }
+
+    // Cap the gas price
+    const maxGasPrice = parseUnits(CONSTANTS.MAX_GAS_PRICE_GWEI.toString(), 'gwei');
     const maxFeePerGas = feeData.maxFeePerGas > maxGasPrice ? maxGasPrice : feeData.maxFeePerGas;
 
     // Ensure priority fee is less than or equal to max fee
@@ -350,21 +1275,32 @@ async function fetchTxOptionsFromRPC() {
     return {
         gasPrice: maxFeePerGas,
         maxFeePerGas,
-        maxPriorityFeePerGas
+        maxPriorityFeePerGas,
+        capped: feeData.maxFeePerGas > maxGasPrice
     };
 }
 
-async function fetchTxOptions() {
-    // Try Etherscan first
+// `capped` is set when MAX_GAS_PRICE_GWEI lowered maxFeePerGas below the estimate, i.e. the fee may be too low to be mined.
+async function fetchTxOptions(network) {
+    // Try Etherscan first, unless GAS_ORACLE=feehistory
+    if (CONSTANTS.GAS_ORACLE !== 'feehistory') {
+        try {
+            return await fetchTxOptionsFromEtherscan(network);
+        } catch (error) {
+            log("warn", `Could not fetch gas price from Etherscan: ${error.message}. Trying fee history...`);
+        }
+    }
+
+    // Local estimate from eth_feeHistory
     try {
-        return await fetchTxOptionsFromEtherscan();
+        return await fetchTxOptionsFromFeeHistory(network);
     } catch (error) {
-        log("warn", `Could not fetch gas price from Etherscan: ${error.message}. Trying RPC fallback...`);
+        log("warn", `Could not estimate gas from fee history: ${error.message}. Trying RPC fallback...`);
     }
 
     // Fallback to RPC provider
     try {
-        return await fetchTxOptionsFromRPC();
+        return await fetchTxOptionsFromRPC(network);
     } catch (error) {
         log("warn", `Could not fetch gas price from RPC: ${error.message}. Using default values...`);
     }
@@ -377,34 +1313,32 @@ async function fetchTxOptions() {
     return {
         gasPrice: defaultGasPrice,
         maxFeePerGas: defaultGasPrice,
-        maxPriorityFeePerGas: defaultPriorityFee
+        maxPriorityFeePerGas: defaultPriorityFee,
+        capped: false
     };
 }
 
-async function fetchEthPriceInUsd() {
-    // Use Etherscan V2 API
-    const url = `https://api.etherscan.io/v2/api?chainid=1&module=stats&action=ethprice&apikey=${CONSTANTS.ETHERSCAN_API_KEY}`;
+async function fetchEthPriceInUsd(network) {
+    // Use Etherscan V2 API; `ethprice` reports the chain's native coin price
+    const url = `https://api.etherscan.io/v2/api?chainid=${network.chainId}&module=stats&action=ethprice&apikey=${CONSTANTS.ETHERSCAN_API_KEY}`;
     try {
         const response = await fetch(url);
         if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
         const data = await response.json();
         if (data.status !== '1') throw new Error(`Etherscan API error: ${data.message || data.result}`);
         const ethPrice = parseFloat(data.result.ethusd);
-        log('info', `ETH price from Etherscan V2: $${ethPrice.toFixed(2)}`);
+        log('info', `${network.nativeSymbol} price from Etherscan V2 on chain ${network.chainId}: $${ethPrice.toFixed(2)}`);
         return ethPrice;
     } catch (error) {
-        log('warn', `Could not fetch ETH price from Etherscan V2: ${error.message}. Defaulting to 0.`);
+        log('warn', `Could not fetch ${network.nativeSymbol} price from Etherscan V2: ${error.message}. Defaulting to 0.`);
         return 0;
     }
 }
 
-function calculatePriceImpact(amountIn, reserveIn, reserveOut) {
+function calculatePriceImpact(amountIn, reserveIn, reserveOut, feeBps = DEFAULT_SWAP_FEE_BPS) {
     if (amountIn === 0n || reserveIn === 0n || reserveOut === 0n) return 0;
 
-    const amountInWithFee = amountIn * 997n;
-    const numerator = amountInWithFee * reserveOut;
-    const denominator = (reserveIn * 1000n) + amountInWithFee;
-    const amountOut = numerator / denominator;
+    const amountOut = calculateAmountOut(amountIn, reserveIn, reserveOut, feeBps);
 
     const priceBefore = Number(reserveOut) / Number(reserveIn);
     const priceAfter = Number(reserveOut - amountOut) / Number(reserveIn + amountIn);
@@ -412,12 +1346,12 @@ function calculatePriceImpact(amountIn, reserveIn, reserveOut) {
     return Math.abs((priceAfter - priceBefore) / priceBefore) * 100;
 }
 
-function calculateDynamicSlippage(reserveIn, reserveOut, amountIn) {
+function calculateDynamicSlippage(reserveIn, reserveOut, amountIn, feeBps = DEFAULT_SWAP_FEE_BPS) {
     if (!CONSTANTS.ENABLE_DYNAMIC_SLIPPAGE) {
         return CONSTANTS.SLIPPAGE_BPS;
     }
 
-    const priceImpact = calculatePriceImpact(amountIn, reserveIn, reserveOut);
+    const priceImpact = calculatePriceImpact(amountIn, reserveIn, reserveOut, feeBps);
 
     let slippageBps;
     if (priceImpact < 0.5) {
@@ -436,296 +1370,2979 @@ function calculateDynamicSlippage(reserveIn, reserveOut, amountIn) {
     return slippageBps;
 }
 
-function calculateAmountOut(amountIn, reserveIn, reserveOut) {
+// UniswapV2Library.getAmountOut with the pool fee as a parameter.
+function calculateAmountOut(amountIn, reserveIn, reserveOut, feeBps = DEFAULT_SWAP_FEE_BPS) {
     if (amountIn === 0n) return 0n;
-    const amountInWithFee = amountIn * 997n;
+    const amountInWithFee = amountIn * BigInt(10000 - feeBps);
     const numerator = amountInWithFee * reserveOut;
-    const denominator = (reserveIn * 1000n) + amountInWithFee;
+    const denominator = (reserveIn * 10000n) + amountInWithFee;
     return numerator / denominator;
 }
 
-const getCachedTokenInfo = (tokenAddress) => getCachedData(`tokenInfo:${tokenAddress}`, fetchTokenInfo, tokenAddress);
-const getCachedPairInfo = (tokenAddress) => getCachedData(`pairInfo:${tokenAddress}`, fetchPairInfo, tokenAddress);
-const getCachedTxOptions = () => getCachedData('txOptions', fetchTxOptions);
-const getCachedEthPriceInUsd = () => getCachedData('ethPrice', fetchEthPriceInUsd);
+function applySlippage(amount, slippageBps) {
+    return (amount * (10000n - BigInt(slippageBps))) / 10000n;
+}
+
+// Amount left after a fee-on-transfer token takes its cut. Taxes are in basis points.
+function applyTransferTax(amount, taxBps) {
+    return taxBps > 0 ? (amount * BigInt(10000 - Math.round(taxBps))) / 10000n : amount;
+}
+
+function calculateReserveDriftBps(before, after) {
+    if (before === 0n) return after === 0n ? 0 : 10000;
+    const difference = after > before ? after - before : before - after;
+    return Number((difference * 10000n) / before);
+}
+
+function getQuoteExpiryReason(quote, freshQuote) {
+    const ageSeconds = (freshQuote.createdAt - quote.createdAt) / 1000;
+    if (ageSeconds > CONSTANTS.QUOTE_TTL_SECONDS) {
+        return `quote is older than ${CONSTANTS.QUOTE_TTL_SECONDS}s`;
+    }
+
+    const driftBps = Math.max(
+        calculateReserveDriftBps(quote.reserveQuote, freshQuote.reserveQuote),
+        calculateReserveDriftBps(quote.reserveToken, freshQuote.reserveToken)
+    );
+    if (driftBps > CONSTANTS.QUOTE_MAX_RESERVE_DRIFT_BPS) {
+        return `pool reserves moved ${(driftBps / 100).toFixed(2)}%`;
+    }
+    return null;
+}
+
+async function fetchPairReserves(network, pairAddress, quoteTokenAddress = network.wrappedNativeAddress) {
+    const pairContract = new Contract(pairAddress, UNISWAP_V2_PAIR_ABI, network.provider);
+    const [reserves, token0, pairTotalSupply] = await Promise.all([
+        pairContract.getReserves(),
+        pairContract.token0(),
+        pairContract.totalSupply()
+    ]);
+
+    const [reserveQuote, reserveToken] = orientReserves(reserves, token0, quoteTokenAddress);
+    return { reserveQuote, reserveToken, pairTotalSupply };
+}
+
+async function calculateZapOutQuote(market, liquidity, exitSide = 'quote', taxes = { buyTaxBps: 0, sellTaxBps: 0 }) {
+    const network = getNetwork(market.networkId);
+    const { feeBps } = network;
+    const { reserveQuote, reserveToken, pairTotalSupply } = await fetchPairReserves(
+        network, market.pairAddress, market.quoteTokenAddress);
+
+    if (pairTotalSupply === 0n) throw new Error("Pool has no liquidity.");
+
+    // Burning the LP share returns both assets pro rata, then the side we are not exiting
+    // into is swapped into the pool that is left after the burn.
+    const amountQuote = (reserveQuote * liquidity) / pairTotalSupply;
+    const amountToken = (reserveToken * liquidity) / pairTotalSupply;
+    const reserveQuoteAfterBurn = reserveQuote - amountQuote;
+    const reserveTokenAfterBurn = reserveToken - amountToken;
+
+    // A fee-on-transfer token is taxed as it leaves the pair (buy tax) and again when it is swapped back in (sell tax).
+    // The pair's own burn amounts are checked before the transfer, so only the final output minimum absorbs the tax.
+    const tokenReceived = applyTransferTax(amountToken, taxes.buyTaxBps);
+    let expectedOut, priceImpact, slippageBps, taxCostQuote;
+    if (exitSide === 'token') {
+        const swapOut = calculateAmountOut(amountQuote, reserveQuoteAfterBurn, reserveTokenAfterBurn, feeBps);
+        expectedOut = tokenReceived + applyTransferTax(swapOut, taxes.buyTaxBps);
+        priceImpact = calculatePriceImpact(amountQuote, reserveQuoteAfterBurn, reserveTokenAfterBurn, feeBps);
+        slippageBps = calculateDynamicSlippage(reserveQuoteAfterBurn, reserveTokenAfterBurn, amountQuote, feeBps);
+        taxCostQuote = ((amountToken + swapOut - expectedOut) * reserveQuote) / reserveToken;
+    } else {
+        const tokenArrived = applyTransferTax(tokenReceived, taxes.sellTaxBps);
+        const swapOut = calculateAmountOut(tokenArrived, reserveTokenAfterBurn, reserveQuoteAfterBurn, feeBps);
+        expectedOut = amountQuote + swapOut;
+        priceImpact = calculatePriceImpact(tokenArrived, reserveTokenAfterBurn, reserveQuoteAfterBurn, feeBps);
+        slippageBps = calculateDynamicSlippage(reserveTokenAfterBurn, reserveQuoteAfterBurn, tokenArrived, feeBps);
+        taxCostQuote = ((amountToken - tokenArrived) * reserveQuote) / reserveToken;
+    }
+
+    return {
+        reserveQuote,
+        reserveToken,
+        priceImpact,
+        amountQuote,
+        amountToken,
+        expectedOut,
+        taxes,
+        taxCostQuote,
+        slippageBps,
+        amountAMin: applySlippage(amountQuote, slippageBps),
+        amountBMin: applySlippage(amountToken, slippageBps),
+        amountOutMin: applySlippage(expectedOut, slippageBps)
+    };
+}
+
+// Router paths use a direct pair when one exists and otherwise hop through the wrapped native coin. `null` stands for the native coin.
+async function buildSwapPath(network, fromAddress, toAddress) {
+    const weth = getAddress(network.wrappedNativeAddress);
+    const from = getAddress(fromAddress ?? weth);
+    const to = getAddress(toAddress ?? weth);
+    if (from === to) throw new Error("Swap input and output are the same asset.");
+
+    const directPair = await network.factoryContract.getPair(from, to);
+    if (directPair !== ZeroAddress) return [from, to];
+
+    if (from !== weth && to !== weth) {
+        const [fromPair, toPair] = await Promise.all([
+            network.factoryContract.getPair(from, weth),
+            network.factoryContract.getPair(weth, to)
+        ]);
+        if (fromPair !== ZeroAddress && toPair !== ZeroAddress) return [from, weth, to];
+    }
+    throw new Error(`No ${network.dex} route found for this swap.`);
+}
+
+async function quoteRouterSwap(network, fromAddress, toAddress, amountIn) {
+    const path = await buildSwapPath(network, fromAddress, toAddress);
+
+    let amountOut = amountIn;
+    let priceImpact = 0;
+    let slippageBps = 0;
+    for (let i = 0; i < path.length - 1; i++) {
+        const pairAddress = await network.factoryContract.getPair(path[i], path[i + 1]);
+        const { reserveQuote: reserveIn, reserveToken: reserveOut } = await fetchPairReserves(network, pairAddress, path[i]);
+        if (reserveIn === 0n || reserveOut === 0n) throw new Error("Swap route has a pool with no liquidity.");
+
+        priceImpact += calculatePriceImpact(amountOut, reserveIn, reserveOut, network.feeBps);
+        slippageBps = Math.max(slippageBps, calculateDynamicSlippage(reserveIn, reserveOut, amountOut, network.feeBps));
+        amountOut = calculateAmountOut(amountOut, reserveIn, reserveOut, network.feeBps);
+    }
+
+    return {
+        networkId: network.id,
+        fromAddress,
+        toAddress,
+        path,
+        amountIn,
+        expectedOut: amountOut,
+        priceImpact,
+        slippageBps,
+        amountOutMin: applySlippage(amountOut, slippageBps)
+    };
+}
+
+const getCachedTokenInfo = (network, tokenAddress) =>
+    getCachedData(`${network.id}:tokenInfo:${tokenAddress}`, fetchTokenInfo, network, tokenAddress);
+const getCachedPairInfo = (network, tokenAddress, quoteTokenAddress = network.wrappedNativeAddress) =>
+    getCachedData(`${network.id}:pairInfo:${quoteTokenAddress}:${tokenAddress}`, fetchPairInfo, network, tokenAddress, quoteTokenAddress);
+const getCachedQuotePriceInEth = (network, quoteTokenAddress) =>
+    getCachedData(`${network.id}:quotePrice:${quoteTokenAddress}`, fetchQuotePriceInEth, network, quoteTokenAddress);
+const getCachedTxOptions = (network) => getCachedData(`${network.id}:txOptions`, fetchTxOptions, network);
+const getCachedFeeHistoryTiers = (network) => getCachedData(`${network.id}:feeTiers`, fetchFeeHistoryTiers, network);
+const getCachedEthPriceInUsd = (network) => getCachedData(`ethPrice:${network.chainId}`, fetchEthPriceInUsd, network);
+
+async function estimateGasCost(network, gasLimit) {
+    const [txOptionsData, ethPriceUsd] = await Promise.all([getCachedTxOptions(network), getCachedEthPriceInUsd(network)]);
+    const estimatedGasFee = gasLimit * txOptionsData.gasPrice;
+    return {
+        gasLimit,
+        txOptionsData,
+        estimatedGasFee,
+        estimatedFeeUsd: parseFloat(formatEther(estimatedGasFee)) * ethPriceUsd
+    };
+}
 
-async function validateBalance(amountIn, estimatedGasFee) {
-    const balance = await provider.getBalance(wallet.address);
+async function validateBalance(network, amountIn, estimatedGasFee) {
+    const balance = await network.provider.getBalance(network.wallet.address);
     const totalRequired = amountIn + estimatedGasFee;
+    const symbol = network.nativeSymbol;
 
     if (balance < totalRequired) {
         const shortfall = totalRequired - balance;
         throw new Error(
-            `Insufficient ETH. You need ${formatEther(totalRequired)} ETH total (${formatEther(amountIn)} for zap + ${formatEther(estimatedGasFee)} for gas), but you only have ${formatEther(balance)} ETH. Please add ${formatEther(shortfall)} ETH to your wallet.`
+            `Insufficient ${symbol} on ${network.name}. You need ${formatEther(totalRequired)} ${symbol} total (${formatEther(amountIn)} for zap + ${formatEther(estimatedGasFee)} for gas), but you only have ${formatEther(balance)} ${symbol}. Please add ${formatEther(shortfall)} ${symbol} to your wallet.`
         );
     }
 }
 
-// =================================================================
-// --- TELEGRAM CONVERSATIONS ---
-// =================================================================
+async function validateTokenBalance(network, asset, amountIn) {
+    const balance = await getAssetBalance(network, asset.address);
 
-const activeConversations = new Set();
+    if (balance < amountIn) {
+        throw new Error(
+            `Insufficient ${asset.symbol}. You need ${formatUnits(amountIn, asset.decimals)} ${asset.symbol}, but you only have ${formatUnits(balance, asset.decimals)} ${asset.symbol}.`
+        );
+    }
+}
 
-async function zapInConversation(conversation, ctx) {
-    activeConversations.add(ctx.chat.id);
-    let mainMessage;
+// Returns the gas fee paid for the approval, or 0n when the existing allowance already covers the amount.
+// `chatId` is where a stuck-transaction notice is sent; `details` overrides the ledger fields (LP tokens are
+// recorded under their pair).
+async function ensureAllowance(network, tokenAddress, spender, amount, txOptionsData, chatId, details = {}) {
+    const tokenContract = new Contract(tokenAddress, ERC20_ABI, network.wallet);
+    const allowance = await tokenContract.allowance(network.wallet.address, spender);
 
-    try {
-        mainMessage = await ctx.reply("🔍 Please provide the token contract address to pair with ETH.\n\n_Make sure it has a WETH pair on Uniswap V2._", { parse_mode: 'Markdown' });
-        const tokenAddressMsg = await conversation.wait();
-        const tokenAddressText = tokenAddressMsg.message?.text;
+    if (allowance >= amount) {
+        log("info", `Existing allowance of ${tokenAddress} for ${spender} is sufficient. Skipping approval.`);
+        return 0n;
+    }
 
-        try {
-            await ctx.api.deleteMessage(ctx.chat.id, tokenAddressMsg.message.message_id);
-        } catch (e) { log('warn', 'Could not delete user message', e.description); }
+    log("info", `Approving ${amount.toString()} of ${tokenAddress} for ${spender}...`);
+    const { decimals, ...tokenInfo } = await getCachedTokenInfo(network, tokenAddress);
+    const symbol = details.tokenSymbol ?? tokenInfo.symbol;
+    const approveTx = await sendContractTransaction(network, tokenContract.approve, [spender, amount], {
+        maxFeePerGas: txOptionsData.maxFeePerGas,
+        maxPriorityFeePerGas: txOptionsData.maxPriorityFeePerGas
+    }, { label: `${symbol} approval`, chatId });
+    const receipt = await waitForTransaction(network, approveTx, {
+        type: 'approve',
+        tokenAddress,
+        tokenSymbol: symbol,
+        assetIn: symbol,
+        amountIn: formatUnits(amount, decimals),
+        spender,
+        ...details
+    });
+    log("info", "Token approval confirmed.");
+    return receipt.fee;
+}
 
-        if (!tokenAddressText || !isAddress(tokenAddressText)) {
-            await ctx.api.editMessageText(ctx.chat.id, mainMessage.message_id, "❌ Invalid Ethereum address. Please try again with /zapin");
-            return;
-        }
+const zapperInterface = new Interface(ZAPPER_ABI);
+const zapperFunctionSupport = new Map();
+const PERMIT_TYPES = {
+    Permit: [
+        { name: 'owner', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
 
-        const tokenAddress = getAddress(tokenAddressText);
-        await ctx.api.editMessageText(ctx.chat.id, mainMessage.message_id, '⏳ Fetching token and pair data...');
+// Zapper deployments differ in which entry points they have, so optional ones are detected from their selector in the
+// deployed bytecode. The code is fetched once per network.
+async function zapperHasFunction(network, name) {
+    if (!zapperFunctionSupport.has(network.id)) {
+        zapperFunctionSupport.set(network.id, network.provider.getCode(network.zapperAddress)
+            .then(code => code.toLowerCase())
+            .catch((error) => {
+                zapperFunctionSupport.delete(network.id);
+                throw error;
+            }));
+    }
+    const code = await zapperFunctionSupport.get(network.id);
+    return code.includes(zapperInterface.getFunction(name).selector.slice(2));
+}
 
-        await displayZapInInfo(ctx, mainMessage.message_id, tokenAddress);
+// Older Zapper deployments only have zapOut; the permit variant is used when its selector is in the deployed bytecode.
+const zapperSupportsPermit = (network) => zapperHasFunction(network, 'zapOutWithPermit');
 
-        let keepWaiting = true;
-        while (keepWaiting) {
-            const response = await conversation.waitFor(["message:text", "callback_query"]);
-            let ethAmount;
+// Signs an EIP-2612 permit for LP tokens. Returns null when the Zapper cannot take it or the pair's
+// DOMAIN_SEPARATOR does not match the standard Uniswap V2 domain (forks that changed the name or version).
+async function signPairPermit(network, pairAddress, spender, value, deadline) {
+    if (!await zapperSupportsPermit(network)) return null;
 
-            if (response.callbackQuery) await response.answerCallbackQuery();
+    const pairContract = new Contract(pairAddress, UNISWAP_V2_PAIR_ABI, network.provider);
+    const [name, domainSeparator, nonce] = await Promise.all([
+        pairContract.name(),
+        pairContract.DOMAIN_SEPARATOR(),
+        pairContract.nonces(network.wallet.address)
+    ]);
+    const domain = { name, version: '1', chainId: network.chainId, verifyingContract: pairAddress };
+    if (TypedDataEncoder.hashDomain(domain) !== domainSeparator) {
+        log("warn", `Pair ${pairAddress} uses a non-standard permit domain. Falling back to approve.`);
+        return null;
+    }
 
-            if (response.callbackQuery?.data.startsWith('zap_amount:')) {
-                ethAmount = response.callbackQuery.data.split(':')[1];
-                keepWaiting = false;
-            } else if (response.callbackQuery?.data.startsWith('refresh_zap:')) {
-                await displayZapInInfo(ctx, mainMessage.message_id, tokenAddress);
-                continue;
-            } else if (response.message?.text) {
-                const potentialAmount = response.message.text;
-                try {
-                    await ctx.api.deleteMessage(ctx.chat.id, response.message.message_id);
-                } catch (e) { log('warn', 'Could not delete user message', e.description); }
+    const signature = await network.wallet.signTypedData(domain, PERMIT_TYPES, {
+        owner: network.wallet.address,
+        spender,
+        value,
+        nonce,
+        deadline
+    });
+    const { v, r, s } = Signature.from(signature);
+    return { v, r, s };
+}
 
-                if (potentialAmount && !isNaN(parseFloat(potentialAmount)) && parseFloat(potentialAmount) > 0) {
-                    ethAmount = potentialAmount;
-                    keepWaiting = false;
-                } else {
-                    await ctx.api.editMessageText(ctx.chat.id, mainMessage.message_id, "❌ Invalid amount. Please enter a valid number or use /zapin to start again.", { reply_markup: undefined });
-                    return;
-                }
-            } else { continue; }
+// Readable explanations for the revert strings Uniswap V2 routers, pairs and the Zapper commonly return.
+const REVERT_REASON_HINTS = [
+    [/INSUFFICIENT_(A_|B_|OUTPUT_)?AMOUNT|slippage/i, 'the price moved beyond the slippage tolerance'],
+    [/EXPIRED/, 'the transaction deadline passed'],
+    [/TRANSFER_FROM_FAILED|exceeds allowance|insufficient allowance/i, 'the token transfer into the contract failed (balance or allowance too low)'],
+    [/TRANSFER_FAILED/, 'a token transfer failed; the token may block or tax transfers'],
+    [/INSUFFICIENT_LIQUIDITY/, 'the pool does not have enough liquidity'],
+    [/UniswapV2: K/, 'the pool rejected the swap, which usually means the token charges a transfer fee'],
+    [/exceeds balance|insufficient funds/i, 'the wallet balance is too low']
+];
 
-            if (!keepWaiting) {
-                await executeZapIn(ctx, mainMessage.message_id, tokenAddress, ethAmount);
-                break;
-            }
-        }
+function decodeRevertReason(e) {
+    const raw = (e.revert?.name === 'Error' ? e.revert.args[0] : null)
+        ?? e.reason ?? e.revert?.name ?? e.info?.error?.message ?? e.shortMessage ?? e.message ?? 'unknown error';
+    const hint = REVERT_REASON_HINTS.find(([pattern]) => pattern.test(raw));
+    return hint ? `${hint[1]} (${raw})` : String(raw);
+}
+
+// Runs the exact call as an eth_call and an eth_estimateGas before anything is broadcast, so a transaction
+// that would revert is blocked without paying gas. Returns the gas limit to send with, padded by `bufferPercent`.
+// `sentSteps` names the transactions the flow already had mined before this step (an approval, a pre-swap), so a
+// blocked step does not claim that nothing was sent.
+async function simulateTransaction(method, args, overrides, bufferPercent, sentSteps = []) {
+    let estimatedGas;
+    try {
+        await method.staticCall(...args, overrides);
+        estimatedGas = await method.estimateGas(...args, overrides);
     } catch (e) {
-        log('error', "Error in zapInConversation", e);
-        if (mainMessage) {
-            await ctx.api.editMessageText(ctx.chat.id, mainMessage.message_id, `❌ An unexpected error occurred: ${e.message}`)
-                .catch(err => log('error', 'Failed to send final error message.', err));
-        }
-    } finally {
-        activeConversations.delete(ctx.chat.id);
+        const error = new Error(`Simulation failed: ${decodeRevertReason(e)}`);
+        error.code = 'SIMULATION_FAILED';
+        error.revertReason = decodeRevertReason(e);
+        error.sentSteps = sentSteps;
+        throw error;
     }
+    return (estimatedGas * bufferPercent) / 100n;
 }
 
 // =================================================================
-// --- TRANSACTION EXECUTION LOGIC ---
+// --- NONCE MANAGER & PENDING TRANSACTIONS ---
 // =================================================================
 
-async function executeZapIn(ctx, messageId, tokenAddress, ethAmount) {
-    if (!ethAmount || isNaN(parseFloat(ethAmount)) || parseFloat(ethAmount) <= 0) {
-        await ctx.api.editMessageText(ctx.chat.id, messageId, "❌ Invalid amount. Please use /zapin to start again.");
-        return;
-    }
+const nonceManagers = new Map();
+const pendingTransactions = new Map();
+const REPLACEMENT_LABELS = { original: 'Original', speedup: 'Speed-up', cancel: 'Cancel' };
 
-    const amountIn = parseEther(ethAmount);
-    await ctx.api.editMessageText(ctx.chat.id, messageId, `⏳ Preparing to zap ${ethAmount} ETH...`, { reply_markup: undefined });
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-    try {
-        const deadline = Math.floor(Date.now() / 1000) + (CONSTANTS.DEADLINE_MINUTES * 60);
+function getPendingKey(network, nonce) {
+    return `${network.id}:${nonce}`;
+}
 
-        const pairInfo = await getCachedPairInfo(tokenAddress);
-        const pairContract = new Contract(pairInfo.pairAddress, UNISWAP_V2_PAIR_ABI, provider);
-        const reserves = await pairContract.getReserves();
-        const token0 = await pairContract.token0();
+// Sends are serialized per network so concurrent chats, the rule monitor and multi-step flows never pick the
+// same nonce. The next nonce is tracked locally while transactions are pending and re-read from the node otherwise.
+async function sendManagedTransaction(network, txRequest, { label, chatId } = {}) {
+    let manager = nonceManagers.get(network.id);
+    if (!manager) {
+        manager = { nextNonce: null, queue: Promise.resolve() };
+        nonceManagers.set(network.id, manager);
+    }
 
-        const [reserveWETH, reserveToken] = getAddress(token0) === getAddress(CONSTANTS.WETH_ADDRESS)
-            ? [reserves[0], reserves[1]]
-            : [reserves[1], reserves[0]];
+    const send = async () => {
+        const chainNonce = await readFromActiveRpc(network, provider => provider.getTransactionCount(network.wallet.address, 'pending'));
+        const hasPending = [...pendingTransactions.values()].some(p => p.networkId === network.id && !p.resolved);
+        const nonce = hasPending && manager.nextNonce !== null && manager.nextNonce > chainNonce ? manager.nextNonce : chainNonce;
+        try {
+            const tx = await submitTransaction(network, { ...txRequest, nonce });
+            manager.nextNonce = nonce + 1;
+            return tx;
+        } catch (e) {
+            manager.nextNonce = null;
+            throw e;
+        }
+    };
+    const result = manager.queue.then(send);
+    manager.queue = result.catch(() => { });
+    const tx = await result;
+
+    pendingTransactions.set(getPendingKey(network, tx.nonce), {
+        id: getPendingKey(network, tx.nonce),
+        networkId: network.id,
+        nonce: tx.nonce,
+        label: label ?? 'Transaction',
+        chatId: chatId ?? CONSTANTS.OWNER_CHAT_ID,
+        request: {
+            to: tx.to,
+            data: tx.data,
+            value: tx.value,
+            gasLimit: tx.gasLimit,
+            chainId: tx.chainId
+        },
+        attempts: [{ kind: 'original', hash: tx.hash, maxFeePerGas: tx.maxFeePerGas ?? tx.gasPrice, maxPriorityFeePerGas: tx.maxPriorityFeePerGas }],
+        sentAt: Date.now(),
+        noticeMessageId: null,
+        resolved: false
+    });
+    log("info", `${label ?? 'Transaction'} sent on ${network.name} with nonce ${tx.nonce}: ${tx.hash}`);
+    return tx;
+}
 
-        const amountToSwap = amountIn / 2n;
-        const dynamicSlippageBps = calculateDynamicSlippage(reserveWETH, reserveToken, amountToSwap);
+// Sends a populated contract call (`method.populateTransaction`) through the nonce manager.
+async function sendContractTransaction(network, method, args, overrides, options) {
+    const txRequest = await method.populateTransaction(...args, overrides);
+    return sendManagedTransaction(network, txRequest, options);
+}
 
-        const expectedAmountToken = calculateAmountOut(amountToSwap, reserveWETH, reserveToken);
-        const slippageMultiplier = 10000n - BigInt(dynamicSlippageBps);
-        const amountAMin = (amountToSwap * slippageMultiplier) / 10000n;
-        const amountBMin = (expectedAmountToken * slippageMultiplier) / 10000n;
+// One poll of a pending nonce against a single endpoint. Returns the mined attempt, `{ foreign: true }` when the nonce
+// was used by another transaction, or null while it is still pending.
+async function pollPendingTransaction(provider, network, pending) {
+    for (const attempt of [...pending.attempts].reverse()) {
+        const receipt = await provider.getTransactionReceipt(attempt.hash);
+        if (receipt) return { receipt, attempt };
+    }
 
-        const txOptionsData = await getCachedTxOptions();
-        const estimatedGasFee = CONSTANTS.ZAP_IN_GAS_LIMIT_ESTIMATE * txOptionsData.gasPrice;
-        await validateBalance(amountIn, estimatedGasFee);
+    const minedNonce = await provider.getTransactionCount(network.wallet.address, 'latest');
+    if (minedNonce <= pending.nonce) return null;
+    // The nonce is used; give the node one more poll to return the receipt before giving up.
+    await sleep(CONSTANTS.PENDING_TX_POLL_INTERVAL_MS);
+    for (const attempt of pending.attempts) {
+        const receipt = await provider.getTransactionReceipt(attempt.hash);
+        if (receipt) return { receipt, attempt };
+    }
+    return { foreign: true };
+}
 
-        const txOptions = {
-            value: amountIn,
-            gasLimit: CONSTANTS.ZAP_IN_GAS_LIMIT_ESTIMATE,
-            maxFeePerGas: txOptionsData.maxFeePerGas,
-            maxPriorityFeePerGas: txOptionsData.maxPriorityFeePerGas
-        };
+// Polls every broadcast attempt for the nonce until one is mined. Returns the receipt and the attempt that won;
+// throws if the nonce was used by a transaction the bot did not send. A failed poll is retried on the next endpoint
+// instead of abandoning a transaction that is already broadcast.
+async function waitForPendingTransaction(network, pending) {
+    for (;;) {
+        if (pending.relayError) throw new Error(pending.relayError);
+        const result = await readFromActiveRpc(network, provider => pollPendingTransaction(provider, network, pending))
+            .catch((error) => {
+                log("warn", `Could not poll nonce ${pending.nonce} on ${network.name}: ${error.shortMessage || error.message}`);
+                return null;
+            });
+        if (result?.foreign) throw new Error(`Nonce ${pending.nonce} was used by a transaction this bot did not send.`);
+        if (result) return result;
+
+        if (!pending.noticeMessageId && Date.now() - pending.sentAt > CONSTANTS.PENDING_TX_STUCK_SECONDS * 1000) {
+            await sendPendingNotice(network, pending);
+        }
+        await sleep(CONSTANTS.PENDING_TX_POLL_INTERVAL_MS);
+    }
+}
 
-        const ethPriceUsd = await getCachedEthPriceInUsd();
-        const estimatedFeeUsd = parseFloat(formatEther(estimatedGasFee)) * ethPriceUsd;
+// Replacements must outbid the previous attempt by at least 10% (geth's default), and never go below current fees.
+async function buildReplacementFees(network, pending) {
+    const last = pending.attempts.at(-1);
+    const bump = (value) => (value * (100n + CONSTANTS.TX_REPLACEMENT_BUMP_PERCENT)) / 100n;
+    const feeData = await network.provider.getFeeData();
+    const max = (a, b) => (b !== null && b !== undefined && b > a ? b : a);
+    if (last.maxPriorityFeePerGas === null || last.maxPriorityFeePerGas === undefined) {
+        return { gasPrice: max(bump(last.maxFeePerGas), feeData.gasPrice) };
+    }
+    const maxPriorityFeePerGas = max(bump(last.maxPriorityFeePerGas), feeData.maxPriorityFeePerGas);
+    const maxFeePerGas = max(max(bump(last.maxFeePerGas), feeData.maxFeePerGas), maxPriorityFeePerGas);
+    return { maxFeePerGas, maxPriorityFeePerGas };
+}
 
-        await ctx.api.editMessageText(ctx.chat.id, messageId,
-            `🚀 **Zapping ${ethAmount} ETH...**\n\n` +
-            `*Transaction Details:*\n` +
-            `Gas Price: ~${parseFloat(formatUnits(txOptionsData.gasPrice, "gwei")).toFixed(1)} Gwei\n` +
-            `Est. Fee: ~$${estimatedFeeUsd.toFixed(4)}\n` +
-            `Slippage: ${(dynamicSlippageBps / 100).toFixed(2)}%\n\n` +
-            `_Sending transaction..._`,
-            { parse_mode: 'Markdown' });
+// Rebroadcasts a pending transaction at the same nonce: `speedup` resends the same call with higher fees,
+// `cancel` sends an empty transfer to the wallet itself so the original can no longer be mined.
+async function replacePendingTransaction(pending, kind) {
+    const network = getNetwork(pending.networkId);
+    const fees = await buildReplacementFees(network, pending);
+    const txRequest = kind === 'cancel'
+        ? { to: network.wallet.address, value: 0n, data: '0x', gasLimit: 21000n, chainId: pending.request.chainId }
+        : { ...pending.request };
+
+    const tx = await submitTransaction(network, { ...txRequest, ...fees, nonce: pending.nonce });
+    pending.attempts.push({
+        kind,
+        hash: tx.hash,
+        maxFeePerGas: tx.maxFeePerGas ?? tx.gasPrice,
+        maxPriorityFeePerGas: tx.maxPriorityFeePerGas
+    });
+    log("info", `${REPLACEMENT_LABELS[kind]} for nonce ${pending.nonce} on ${network.name} sent: ${tx.hash}`);
+    return tx;
+}
 
-        const tx = await zapperContract.zapInETH(
-            tokenAddress,
-            amountAMin,
-            amountBMin,
-            wallet.address,
-            deadline,
-            dynamicSlippageBps,
-            txOptions
-        );
+function formatAttempt(network, attempt, index) {
+    const gwei = parseFloat(formatUnits(attempt.maxFeePerGas ?? 0n, 'gwei')).toFixed(2);
+    return `${index + 1}. ${REPLACEMENT_LABELS[attempt.kind]} @ ${gwei} Gwei - ${getExplorerTxLink(network, attempt.hash)}`;
+}
 
-        log("info", `Zap-in transaction submitted: ${tx.hash}`);
-        await ctx.api.editMessageText(ctx.chat.id, messageId,
-            `✅ Transaction sent! Waiting for confirmation...\n\n[View on Etherscan](https://etherscan.io/tx/${tx.hash})`,
-            { parse_mode: 'Markdown', disable_web_page_preview: true });
+function generatePendingMessage(pending) {
+    const network = getNetwork(pending.networkId);
+    const minutes = Math.floor((Date.now() - pending.sentAt) / 60000);
+    const messageText =
+        `⏳ **${pending.label} still pending**\n\n` +
+        `*Network:* ${network.name}\n` +
+        `*Nonce:* ${pending.nonce}\n` +
+        `*Waiting:* ${minutes} min\n\n` +
+        `*Broadcasts:*\n` +
+        pending.attempts.map((attempt, index) => formatAttempt(network, attempt, index)).join('\n') + '\n\n' +
+        `_Speed up resends it with ${CONSTANTS.TX_REPLACEMENT_BUMP_PERCENT}% higher fees. Cancel replaces it with an empty transfer to yourself._`;
+    const keyboard = new InlineKeyboard()
+        .text('⚡ Speed up', `tx_speedup:${pending.id}`)
+        .text('🚫 Cancel', `tx_cancel:${pending.id}`);
+    return { messageText, keyboard };
+}
 
-        const receipt = await tx.wait();
-        log("info", `Zap-in confirmed in block ${receipt.blockNumber} for ${ethAmount} ETH with token ${tokenAddress}`);
+async function sendPendingNotice(network, pending) {
+    if (!pending.chatId) return;
+    const { messageText, keyboard } = generatePendingMessage(pending);
+    const message = await bot.api.sendMessage(pending.chatId, messageText,
+        { parse_mode: 'Markdown', reply_markup: keyboard, disable_web_page_preview: true })
+        .catch(e => log("warn", `Could not send pending transaction notice to chat ${pending.chatId}:`, e.message));
+    // Only try once; a chat that cannot be reached should not be retried on every poll.
+    pending.noticeMessageId = message?.message_id ?? -1;
+}
 
-        await updateAndSavePosition(tokenAddress, ethAmount);
+// Tells the chat which broadcast was mined once a transaction that got a pending notice resolves.
+async function reportPendingResolution(network, pending, receipt, attempt) {
+    if (!pending.noticeMessageId || pending.noticeMessageId < 0) return;
+    const outcome = attempt.kind === 'cancel'
+        ? `🚫 **${pending.label} cancelled**`
+        : receipt.status === 1
+            ? `✅ **${pending.label} mined** (${REPLACEMENT_LABELS[attempt.kind].toLowerCase()})`
+            : `❌ **${pending.label} reverted** (${REPLACEMENT_LABELS[attempt.kind].toLowerCase()})`;
+    await bot.api.editMessageText(pending.chatId, pending.noticeMessageId,
+        `${outcome}\n\n` +
+        `*Network:* ${network.name}\n` +
+        `*Nonce:* ${pending.nonce}\n` +
+        `*Block:* ${receipt.blockNumber}\n` +
+        `*Mined:* ${getExplorerTxLink(network, receipt.hash)}` +
+        (pending.attempts.length > 1 ? `\n\n*Broadcasts:*\n${pending.attempts.map((a, i) => formatAttempt(network, a, i)).join('\n')}` : ''),
+        { parse_mode: 'Markdown', disable_web_page_preview: true, reply_markup: undefined })
+        .catch(e => log("warn", `Could not update pending transaction notice:`, e.message));
+}
 
-        const tokenInfo = await getCachedTokenInfo(tokenAddress);
-        const keyboard = new InlineKeyboard().text("📊 View Position", "show_position");
-        await ctx.api.editMessageText(ctx.chat.id, messageId,
-            `✅ **Zap In Successful!**\n\n` +
-            `Token: ${tokenInfo.symbol}\n` +
-            `Amount: ${ethAmount} ETH\n` +
-            `Block: ${receipt.blockNumber}`,
-            { reply_markup: keyboard, parse_mode: 'Markdown' });
+// =================================================================
+// --- PRIVATE RELAY ---
+// =================================================================
 
-    } catch (e) {
-        log("error", "Zap In execution error:", e);
-        let errorMessage = "An unknown error occurred.";
+// Flashbots-style relays identify senders by a signature over the request body. Any key works; a fixed
+// PRIVATE_RELAY_AUTH_KEY only builds reputation with the relay, so a throwaway key is used otherwise.
+const relayAuthSigner = CONSTANTS.PRIVATE_RELAY_AUTH_KEY ? new Wallet(CONSTANTS.PRIVATE_RELAY_AUTH_KEY) : Wallet.createRandom();
+
+async function callRelay(url, method, params) {
+    const body = JSON.stringify({ jsonrpc: '2.0', id: Date.now(), method, params });
+    const signature = await relayAuthSigner.signMessage(keccak256(toUtf8Bytes(body)));
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Flashbots-Signature': `${relayAuthSigner.address}:${signature}` },
+        body
+    });
+    if (!response.ok) throw new Error(`Relay HTTP error! status: ${response.status}`);
+    const data = await response.json();
+    if (data.error) throw new Error(`Relay error: ${data.error.message ?? JSON.stringify(data.error)}`);
+    return data.result;
+}
 
-        if (e.code === 'INSUFFICIENT_FUNDS') {
-            errorMessage = "Insufficient ETH to cover zap amount and gas fees.";
-        } else if (e.message && e.message.includes('slippage')) {
-            errorMessage = "Transaction would fail due to price slippage. Try again with higher slippage tolerance.";
-        } else if (e.message && e.message.includes('priorityFee')) {
-            errorMessage = "Gas price configuration error. The bot will use fallback gas prices. Please try again.";
-        } else if (e.reason) {
-            errorMessage = e.reason.substring(0, 200); // Limit length
-        } else if (e.message) {
-            errorMessage = e.message.substring(0, 200); // Limit length
-        }
+// A bundle targets exactly one block; a private transaction stays valid up to its maxBlockNumber.
+function sendToRelay(network, signedTx, targetBlock) {
+    if (CONSTANTS.PRIVATE_RELAY_METHOD === 'bundle') {
+        return callRelay(network.privateRelayUrl, 'eth_sendBundle', [{ txs: [signedTx], blockNumber: toQuantity(targetBlock) }]);
+    }
+    return callRelay(network.privateRelayUrl, 'eth_sendPrivateTransaction', [{
+        tx: signedTx,
+        maxBlockNumber: toQuantity(targetBlock + CONSTANTS.PRIVATE_RELAY_TARGET_BLOCKS - 1)
+    }]);
+}
 
-        // Escape markdown special characters
-        errorMessage = errorMessage.replace(/[_*[\]()~`>#+=|{}.!-]/g, '\\$&');
+// Broadcasts a fully specified transaction (nonce included). On networks with a privateRelayUrl it is signed
+// locally and handed to the relay, and a background watcher keeps it alive until it is included or expires.
+async function submitTransaction(network, txRequest) {
+    if (!network.privateRelayUrl) return network.wallet.sendTransaction(txRequest);
 
-        await ctx.api.editMessageText(ctx.chat.id, messageId,
-            `❌ *Zap In Failed*\n\n*Reason:* ${errorMessage}`,
-            { parse_mode: 'Markdown' });
+    const signedTx = await network.wallet.signTransaction(await network.wallet.populateTransaction(txRequest));
+    const tx = Transaction.from(signedTx);
+    const firstBlock = (await network.provider.getBlockNumber()) + 1;
+    try {
+        await sendToRelay(network, signedTx, firstBlock);
+    } catch (e) {
+        if (!CONSTANTS.PRIVATE_RELAY_FALLBACK_PUBLIC) throw e;
+        log("warn", `Private relay rejected ${tx.hash} on ${network.name} (${e.message}). Broadcasting publicly.`);
+        return network.provider.broadcastTransaction(signedTx);
     }
+
+    log("info", `Transaction ${tx.hash} sent to the private relay on ${network.name} (${CONSTANTS.PRIVATE_RELAY_METHOD}, blocks ${firstBlock}-${firstBlock + CONSTANTS.PRIVATE_RELAY_TARGET_BLOCKS - 1})`);
+    watchRelayedTransaction(network, signedTx, tx, firstBlock)
+        .catch(e => log("error", `Private relay watcher for ${tx.hash} failed:`, e));
+    return tx;
 }
 
-async function updateAndSavePosition(tokenAddress, ethAmount) {
-    const positions = await loadPositions();
-    const pairInfo = await getCachedPairInfo(tokenAddress);
-    const existingIndex = positions.findIndex(p => getAddress(p.tokenAddress) === getAddress(tokenAddress));
+// Resubmits bundles for each new block until the nonce is used. If the target window passes without inclusion
+// the transaction is broadcast publicly (PRIVATE_RELAY_FALLBACK_PUBLIC) or the waiting flow is failed.
+// The watcher stops as soon as a speed-up or cancel replaces this broadcast.
+async function watchRelayedTransaction(network, signedTx, tx, firstBlock) {
+    const key = getPendingKey(network, tx.nonce);
+    const lastBlock = firstBlock + CONSTANTS.PRIVATE_RELAY_TARGET_BLOCKS - 1;
+    let submittedFor = firstBlock;
+
+    for (;;) {
+        await sleep(CONSTANTS.PENDING_TX_POLL_INTERVAL_MS);
+        const pending = pendingTransactions.get(key);
+        if (!pending || pending.attempts.at(-1).hash !== tx.hash) return;
+
+        const [minedNonce, blockNumber] = await Promise.all([
+            network.provider.getTransactionCount(network.wallet.address, 'latest'),
+            network.provider.getBlockNumber()
+        ]);
+        if (minedNonce > tx.nonce) return;
+
+        if (blockNumber >= lastBlock) {
+            if (CONSTANTS.PRIVATE_RELAY_FALLBACK_PUBLIC) {
+                log("warn", `${tx.hash} was not included by the private relay within ${CONSTANTS.PRIVATE_RELAY_TARGET_BLOCKS} blocks. Broadcasting publicly.`);
+                await network.provider.broadcastTransaction(signedTx);
+            } else {
+                pending.relayError = `The private relay did not include the transaction within ${CONSTANTS.PRIVATE_RELAY_TARGET_BLOCKS} blocks. Nothing was sent publicly.`;
+            }
+            return;
+        }
 
-    if (existingIndex > -1) {
-        const pos = positions[existingIndex];
-        const oldEth = parseFloat(pos.initialEthValue);
-        const newEth = parseFloat(ethAmount);
-        const oldMCap = parseFloat(pos.initialMarketCap);
-        const newMCap = parseFloat(pairInfo.marketCap);
-        const totalEth = oldEth + newEth;
-        pos.initialMarketCap = (((oldMCap * oldEth) + (newMCap * newEth)) / totalEth).toString();
-        pos.initialEthValue = totalEth.toString();
-        pos.timestamp = Date.now();
-    } else {
-        positions.push({
-            tokenAddress,
-            pairAddress: pairInfo.pairAddress,
-            initialEthValue: ethAmount,
-            initialMarketCap: pairInfo.marketCap,
-            timestamp: Date.now()
-        });
+        if (CONSTANTS.PRIVATE_RELAY_METHOD === 'bundle' && blockNumber >= submittedFor) {
+            submittedFor = blockNumber + 1;
+            await sendToRelay(network, signedTx, submittedFor)
+                .catch(e => log("warn", `Bundle resubmission for block ${submittedFor} failed: ${e.message}`));
+        }
     }
-    await savePositions(positions);
 }
 
 // =================================================================
-// --- TELEGRAM BOT SETUP & MIDDLEWARE ---
+// --- TRANSACTION LEDGER ---
 // =================================================================
 
-const bot = new Bot(process.env.TELEGRAM_BOT_TOKEN);
-const activeWatchers = new Map();
+const TRANSACTION_TYPE_LABELS = { approve: 'Approve', revoke: 'Revoke', swap: 'Swap', zap_in: 'Zap In', zap_out: 'Zap Out' };
 
-function stopWatcher(chatId) {
-    if (activeWatchers.has(chatId)) {
-        clearInterval(activeWatchers.get(chatId));
-        activeWatchers.delete(chatId);
-        log('info', `Stopped auto-refresh for chat ID: ${chatId}`);
-    }
+async function getAssetInfo(network, assetAddress) {
+    if (!assetAddress) return getNativeAsset(network);
+    const { symbol, decimals } = await getCachedTokenInfo(network, assetAddress);
+    return { address: assetAddress, symbol, decimals };
 }
 
-bot.use(session({ initial: () => ({ positionIndex: 0 }) }));
-bot.use(conversations());
-bot.use(createConversation(zapInConversation));
-
-// =================================================================
-// --- COMMAND HANDLERS ---
-// =================================================================
+// Ledger entries keep amounts as decimal strings in their asset's units and fees in the native coin,
+// so the CSV export can be used for bookkeeping without knowing token decimals.
+async function recordTransaction(network, tx, receipt, details) {
+    const ethPriceUsd = await getCachedEthPriceInUsd(network).catch(() => null);
+    const fee = receipt ? parseFloat(formatEther(receipt.fee)) : null;
+    const entry = {
+        timestamp: new Date().toISOString(),
+        hash: tx.hash,
+        networkId: network.id,
+        chainId: network.chainId,
+        blockNumber: receipt?.blockNumber ?? null,
+        status: details.cancelled ? 'cancelled' : receipt?.status === 1 ? 'success' : 'failed',
+        type: details.type,
+        pairAddress: details.pairAddress ?? null,
+        tokenAddress: details.tokenAddress ?? null,
+        tokenSymbol: details.tokenSymbol ?? null,
+        assetIn: details.assetIn ?? null,
+        amountIn: details.amountIn ?? null,
+        assetOut: details.assetOut ?? null,
+        amountOut: details.amountOut ?? null,
+        spender: details.spender ?? null,
+        gasUsed: receipt ? receipt.gasUsed.toString() : null,
+        effectiveGasPriceGwei: receipt ? formatUnits(receipt.gasPrice, 'gwei') : null,
+        fee: receipt ? formatEther(receipt.fee) : null,
+        ethPriceUsd,
+        feeUsd: fee !== null && ethPriceUsd ? fee * ethPriceUsd : null
+    };
+    // The transaction is already mined, so a ledger write error is logged instead of failing the caller.
+    try {
+        transactionStatements.insert.run(entry.hash, entry.networkId, entry.type, JSON.stringify(entry), Date.now());
+    } catch (error) {
+        log("error", `Failed to record transaction ${entry.hash} in the ledger:`, error);
+    }
+}
 
-bot.command("start", (ctx) => {
-    stopWatcher(ctx.chat.id);
-    ctx.reply(
-        "🚀 **Welcome to Enhanced Uniswap V2 Zapper Bot!**\n\n" +
-        "✨ **Features:**\n" +
-        "• Dynamic slippage protection\n" +
-        "• Optimized gas management (EIP-1559)\n" +
-        "• Real-time position tracking\n" +
-        "• Enhanced error handling\n" +
-        "• Price impact calculation\n\n" +
-        "**Commands:**\n" +
-        "/zapin - Add liquidity to a pool\n" +
-        "/positions - View and manage positions\n" +
-        "/help - Show help and instructions\n" +
-        "/status - Check bot and wallet status",
-        { parse_mode: 'Markdown' }
-    );
+const writeTransactionChanges = db.transaction((hash, changes) => {
+    const entry = rowToTransaction(transactionStatements.findByHash.get(hash));
+    if (!entry) return;
+    const { id, ...data } = entry;
+    transactionStatements.update.run(JSON.stringify({ ...data, ...changes }), id);
 });
 
-bot.command("help", (ctx) => {
-    ctx.reply(
-        "📖 **Zapper Bot Help**\n\n" +
-        "**How to Zap In:**\n" +
-        "1. Use /zapin command\n" +
-        "2. Enter token contract address\n" +
-        "3. Review token info and choose amount\n" +
-        "4. Confirm transaction\n\n" +
-        "**How to Zap Out:**\n" +
+// Output amounts are only known once the receipt is decoded after confirmation, so they are filled in afterwards.
+function updateTransaction(hash, changes) {
+    try {
+        writeTransactionChanges(hash, changes);
+    } catch (error) {
+        log("error", `Failed to update transaction ${hash} in the ledger:`, error);
+    }
+}
+
+// Waits for a transaction, or whichever speed-up or cancel replaced it, and records the mined one in the ledger,
+// including reverted ones. The returned receipt's hash is the transaction that was actually mined.
+async function waitForTransaction(network, tx, details) {
+    const pending = pendingTransactions.get(getPendingKey(network, tx.nonce))
+        ?? { nonce: tx.nonce, attempts: [{ kind: 'original', hash: tx.hash }], sentAt: Date.now(), noticeMessageId: -1 };
+    let receipt, attempt;
+    try {
+        ({ receipt, attempt } = await waitForPendingTransaction(network, pending));
+    } catch (e) {
+        await recordTransaction(network, tx, null, details);
+        throw e;
+    } finally {
+        pending.resolved = true;
+        pendingTransactions.delete(getPendingKey(network, tx.nonce));
+    }
+
+    await reportPendingResolution(network, pending, receipt, attempt);
+    await recordTransaction(network, { hash: receipt.hash }, receipt, { ...details, cancelled: attempt.kind === 'cancel' });
+    if (attempt.kind === 'cancel') {
+        throw new Error(`Transaction was cancelled at nonce ${pending.nonce}.`);
+    }
+    if (receipt.status !== 1) {
+        const error = new Error(`Transaction reverted on-chain (${receipt.hash}).`);
+        error.code = 'CALL_EXCEPTION';
+        error.receipt = receipt;
+        throw error;
+    }
+    return receipt;
+}
+
+const HISTORY_CSV_COLUMNS = [
+    'timestamp', 'hash', 'networkId', 'chainId', 'blockNumber', 'status', 'type', 'pairAddress', 'tokenAddress', 'tokenSymbol',
+    'assetIn', 'amountIn', 'assetOut', 'amountOut', 'spender', 'gasUsed', 'effectiveGasPriceGwei', 'fee', 'ethPriceUsd', 'feeUsd'
+];
+
+function formatHistoryCsv(history) {
+    const escape = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [HISTORY_CSV_COLUMNS.join(','), ...history.map(entry => HISTORY_CSV_COLUMNS.map(column => escape(entry[column])).join(','))].join('\n') + '\n';
+}
+
+function formatHistoryEntry(entry) {
+    const network = NETWORKS.get(entry.networkId);
+    const nativeSymbol = network?.nativeSymbol ?? 'ETH';
+    const formatAmount = (amount) => amount !== null ? parseFloat(amount).toPrecision(6) : '?';
+    const flow = entry.assetOut
+        ? `${formatAmount(entry.amountIn)} ${entry.assetIn} → ${formatAmount(entry.amountOut)} ${entry.assetOut}`
+        : `${formatAmount(entry.amountIn)} ${entry.assetIn}`;
+    const fee = entry.fee !== null
+        ? `${parseFloat(entry.fee).toFixed(6)} ${nativeSymbol}` + (entry.feeUsd !== null ? ` ($${entry.feeUsd.toFixed(2)})` : '')
+        : 'n/a';
+    return `${entry.status === 'success' ? '✅' : entry.status === 'cancelled' ? '🚫' : '❌'} *${TRANSACTION_TYPE_LABELS[entry.type] ?? entry.type}* · ${new Date(entry.timestamp).toLocaleString()}\n` +
+        `${flow}\n` +
+        `Gas: ${fee} · Block ${entry.blockNumber ?? 'n/a'}` +
+        (network ? ` · ${getExplorerTxLink(network, entry.hash)}` : ` · \`${entry.hash}\``);
+}
+
+async function generateHistoryMessage(page) {
+    const history = loadHistory().reverse();
+    const pageCount = Math.max(1, Math.ceil(history.length / CONSTANTS.HISTORY_PAGE_SIZE));
+    const currentPage = Math.min(Math.max(page, 0), pageCount - 1);
+    const entries = history.slice(currentPage * CONSTANTS.HISTORY_PAGE_SIZE, (currentPage + 1) * CONSTANTS.HISTORY_PAGE_SIZE);
+
+    const messageText = history.length > 0
+        ? `📜 **Transaction History** (page ${currentPage + 1} of ${pageCount}, ${history.length} total)\n\n` +
+        entries.map(formatHistoryEntry).join('\n\n')
+        : "📜 No transactions recorded yet.";
+
+    const keyboard = new InlineKeyboard();
+    if (pageCount > 1) {
+        keyboard.text('⬅️', `history_page:${(currentPage - 1 + pageCount) % pageCount}`)
+            .text(`${currentPage + 1}/${pageCount}`, `history_page:${currentPage}`)
+            .text('➡️', `history_page:${(currentPage + 1) % pageCount}`)
+            .row();
+    }
+    if (history.length > 0) {
+        keyboard.text('📄 Export CSV', 'history_export:csv').text('🧾 Export JSON', 'history_export:json');
+    }
+    return { messageText, keyboard };
+}
+
+async function sendHistoryExport(ctx, format) {
+    const history = loadHistory().map(({ id, ...entry }) => entry);
+    if (history.length === 0) {
+        await ctx.reply("📜 No transactions recorded yet.");
+        return;
+    }
+    const content = format === 'csv' ? formatHistoryCsv(history) : JSON.stringify(history, null, 2);
+    const filename = `zapper-history-${new Date().toISOString().slice(0, 10)}.${format}`;
+    await ctx.replyWithDocument(new InputFile(Buffer.from(content, 'utf-8'), filename), {
+        caption: `${history.length} transaction(s), exported ${new Date().toISOString()}`
+    });
+}
+
+// Allowances are discovered from the approvals in the ledger and read back from the chain, so LP approvals consumed
+// by a zap out and allowances already revoked drop out. Each approval is identified by its ledger ID.
+async function loadGrantedApprovals() {
+    const latest = new Map();
+    for (const entry of loadHistory()) {
+        if (entry.type !== 'approve' || entry.status !== 'success' || !entry.spender || !NETWORKS.has(entry.networkId)) continue;
+        latest.set(`${entry.networkId}:${entry.tokenAddress.toLowerCase()}:${entry.spender.toLowerCase()}`, entry);
+    }
+
+    const approvals = await Promise.all([...latest.values()].map(async (entry) => {
+        const network = getNetwork(entry.networkId);
+        const tokenContract = new Contract(entry.tokenAddress, ERC20_ABI, network.provider);
+        const [allowance, { decimals }] = await Promise.all([
+            tokenContract.allowance(network.wallet.address, entry.spender),
+            getCachedTokenInfo(network, entry.tokenAddress)
+        ]).catch(() => [null, {}]);
+        return { ...entry, network, allowance, decimals };
+    }));
+    return approvals.filter(approval => approval.allowance === null || approval.allowance > 0n);
+}
+
+function getSpenderLabel(network, spender) {
+    if (isSameAsset(spender, network.zapperAddress)) return 'Zapper';
+    if (isSameAsset(spender, network.routerAddress)) return 'Router';
+    return `\`${spender}\``;
+}
+
+async function generateApprovalsMessage() {
+    const approvals = await loadGrantedApprovals();
+    const keyboard = new InlineKeyboard();
+    if (approvals.length === 0) {
+        return { messageText: "🔓 No open allowances granted by the bot.", keyboard };
+    }
+
+    const lines = approvals.map((approval) => {
+        const amount = approval.allowance === null
+            ? 'unknown'
+            : approval.allowance === MaxUint256 ? 'unlimited' : parseFloat(formatUnits(approval.allowance, approval.decimals)).toPrecision(6);
+        keyboard.text(`🗑 Revoke ${approval.tokenSymbol} (${approval.network.name})`, `approval_revoke:${approval.id}`).row();
+        return `• *${approval.tokenSymbol}* on ${approval.network.name}\n` +
+            `   Spender: ${getSpenderLabel(approval.network, approval.spender)}\n` +
+            `   Allowance: ${amount}`;
+    });
+    return { messageText: `🔐 **Open Allowances** (${approvals.length})\n\n${lines.join('\n\n')}`, keyboard };
+}
+
+// Sets the allowance behind ledger entry `id` back to zero and records the revoke in the ledger.
+async function revokeApproval(id, chatId) {
+    const entry = getTransactionEntry(id);
+    if (!entry || entry.type !== 'approve' || !NETWORKS.has(entry.networkId)) throw new Error("Approval not found.");
+
+    const network = getNetwork(entry.networkId);
+    const tokenContract = new Contract(entry.tokenAddress, ERC20_ABI, network.wallet);
+    const txOptionsData = await getCachedTxOptions(network);
+    const revokeTx = await sendContractTransaction(network, tokenContract.approve, [entry.spender, 0n], {
+        maxFeePerGas: txOptionsData.maxFeePerGas,
+        maxPriorityFeePerGas: txOptionsData.maxPriorityFeePerGas
+    }, { label: `${entry.tokenSymbol} revoke`, chatId });
+    const receipt = await waitForTransaction(network, revokeTx, {
+        type: 'revoke',
+        pairAddress: entry.pairAddress,
+        tokenAddress: entry.tokenAddress,
+        tokenSymbol: entry.tokenSymbol,
+        assetIn: entry.tokenSymbol,
+        amountIn: '0',
+        spender: entry.spender
+    });
+    log("info", `Revoked ${entry.tokenSymbol} allowance for ${entry.spender} on ${network.name}: ${receipt.hash}`);
+    return { network, receipt };
+}
+
+// =================================================================
+// --- TOKEN SAFETY SCAN ---
+// =================================================================
+
+const SAFETY_STATUS_ICONS = { pass: '✅', warn: '⚠️', fail: '⛔', unknown: '❔' };
+const BURN_ADDRESSES = ['0x000000000000000000000000000000000000dEaD', '0x0000000000000000000000000000000000000000'];
+const STORAGE_SLOT_SEARCH_LIMIT = 20;
+const PAIR_CREATION_LOG_CHUNK_BLOCKS = 5000;
+const erc20Interface = new Interface(ERC20_ABI);
+const ownableInterface = new Interface(['function owner() view returns (address)']);
+const stateOverrideSupport = new Map();
+const safetyReports = new Map();
+const transferTaxes = new Map();
+
+// Returns the raw result of an eth_call with a state override set, or null if the call reverts.
+async function simulateCall(network, tx, stateOverride = {}) {
+    try {
+        return await network.provider.send('eth_call', [tx, 'latest', stateOverride]);
+    } catch {
+        return null;
+    }
+}
+
+// The buy/sell simulation funds the wallet through eth_call state overrides, which not every RPC supports.
+async function supportsStateOverrides(network) {
+    if (!stateOverrideSupport.has(network.id)) {
+        const result = await simulateCall(network, {
+            to: network.wrappedNativeAddress,
+            data: erc20Interface.encodeFunctionData('balanceOf', [network.wallet.address])
+        }, { [network.wallet.address]: { balance: '0x1' } });
+        stateOverrideSupport.set(network.id, result !== null);
+    }
+    return stateOverrideSupport.get(network.id);
+}
+
+// Storage key of `mapping[key]` at `slot`, for Solidity (key first) or Vyper (slot first) layouts.
+function getMappingStorageKey(key, slot, vyper, keyType = 'address', slotType = 'uint256') {
+    const coder = AbiCoder.defaultAbiCoder();
+    return keccak256(vyper ? coder.encode([slotType, keyType], [slot, key]) : coder.encode([keyType, slotType], [key, slot]));
+}
+
+// Finds the storage slot of the token's balance and allowance mappings by overriding candidate slots until
+// balanceOf / allowance read back the injected amount. Returns the state override that funds and approves `holder`.
+async function buildTokenFundingOverride(network, tokenAddress, holder, spender, amount) {
+    const value = toBeHex(amount, 32);
+    const readsBack = (result) => result !== null && result.length > 2 && BigInt(result) === amount;
+    const candidates = [false, true].flatMap(vyper => Array.from({ length: STORAGE_SLOT_SEARCH_LIMIT }, (_, slot) => ({ slot, vyper })));
+
+    const balanceData = erc20Interface.encodeFunctionData('balanceOf', [holder]);
+    const balanceMatches = await Promise.all(candidates.map(async ({ slot, vyper }) => {
+        const key = getMappingStorageKey(holder, slot, vyper);
+        const result = await simulateCall(network, { to: tokenAddress, data: balanceData }, { [tokenAddress]: { stateDiff: { [key]: value } } });
+        return readsBack(result) ? { key, vyper } : null;
+    }));
+    const balance = balanceMatches.find(Boolean);
+    if (!balance) return null;
+
+    const allowanceData = erc20Interface.encodeFunctionData('allowance', [holder, spender]);
+    const allowanceMatches = await Promise.all(Array.from({ length: STORAGE_SLOT_SEARCH_LIMIT }, async (_, slot) => {
+        const inner = getMappingStorageKey(holder, slot, balance.vyper);
+        const key = getMappingStorageKey(spender, inner, balance.vyper, 'address', 'bytes32');
+        const result = await simulateCall(network, { to: tokenAddress, data: allowanceData }, { [tokenAddress]: { stateDiff: { [key]: value } } });
+        return readsBack(result) ? key : null;
+    }));
+    const allowanceKey = allowanceMatches.find(Boolean);
+    if (!allowanceKey) return null;
+
+    return { [tokenAddress]: { stateDiff: { [balance.key]: value, [allowanceKey]: value } } };
+}
+
+// Fee-on-transfer-aware router swaps check what actually arrived against amountOutMin, so the largest minimum
+// that still passes is the real output. Returns null when the swap reverts even with no minimum.
+async function measureSwapOutput(network, buildTx, expectedOut, stateOverride) {
+    if (await simulateCall(network, buildTx(0n), stateOverride) === null) return null;
+    if (await simulateCall(network, buildTx(expectedOut), stateOverride) !== null) return expectedOut;
+
+    let low = 0n, high = expectedOut;
+    for (let i = 0; i < 14 && high - low > 1n; i++) {
+        const mid = (low + high) / 2n;
+        if (await simulateCall(network, buildTx(mid), stateOverride) !== null) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    return low;
+}
+
+function getTaxStatus(taxBps, maxPercent) {
+    if (taxBps / 100 > maxPercent) return 'fail';
+    return taxBps > 10 ? 'warn' : 'pass';
+}
+
+async function checkBuySellTax(network, market) {
+    if (!(await supportsStateOverrides(network))) {
+        const detail = 'RPC does not support eth_call state overrides';
+        return [
+            { id: 'buy', label: 'Buy', status: 'unknown', detail },
+            { id: 'sell', label: 'Sell', status: 'unknown', detail }
+        ];
+    }
+
+    const wallet = network.wallet.address;
+    const weth = getAddress(network.wrappedNativeAddress);
+    const buyPath = isSameAsset(market.quoteTokenAddress, weth)
+        ? [weth, market.tokenAddress]
+        : [weth, market.quoteTokenAddress, market.tokenAddress];
+    const sellPath = [...buyPath].reverse();
+    const deadline = Math.floor(Date.now() / 1000) + (CONSTANTS.DEADLINE_MINUTES * 60);
+    const routerInterface = network.routerContract.interface;
+    const probeIn = parseEther(CONSTANTS.SAFETY_PROBE_ETH);
+
+    const expectedTokens = (await network.routerContract.getAmountsOut(probeIn, buyPath)).at(-1);
+    const tokensBought = await measureSwapOutput(network, (amountOutMin) => ({
+        from: wallet,
+        to: network.routerAddress,
+        value: toQuantity(probeIn),
+        data: routerInterface.encodeFunctionData('swapExactETHForTokensSupportingFeeOnTransferTokens', [amountOutMin, buyPath, wallet, deadline])
+    }), expectedTokens, { [wallet]: { balance: toQuantity(probeIn * 2n) } });
+
+    if (tokensBought === null) {
+        return [
+            { id: 'buy', label: 'Buy', status: 'fail', detail: 'buy simulation reverts' },
+            { id: 'sell', label: 'Sell', status: 'unknown', detail: 'not tested because the buy failed' }
+        ];
+    }
+
+    const buyTaxBps = expectedTokens > 0n ? Number(((expectedTokens - tokensBought) * 10000n) / expectedTokens) : 0;
+    const buyCheck = {
+        id: 'buy', label: 'Buy Tax', status: getTaxStatus(buyTaxBps, CONSTANTS.SAFETY_MAX_BUY_TAX_PERCENT),
+        detail: `${(buyTaxBps / 100).toFixed(2)}%`, taxBps: buyTaxBps
+    };
+
+    const fundingOverride = await buildTokenFundingOverride(network, market.tokenAddress, wallet, network.routerAddress, expectedTokens);
+    if (!fundingOverride) {
+        return [buyCheck, { id: 'sell', label: 'Sell', status: 'unknown', detail: 'token storage layout not recognised' }];
+    }
+
+    const expectedEth = (await network.routerContract.getAmountsOut(expectedTokens, sellPath)).at(-1);
+    const ethReceived = await measureSwapOutput(network, (amountOutMin) => ({
+        from: wallet,
+        to: network.routerAddress,
+        data: routerInterface.encodeFunctionData('swapExactTokensForETHSupportingFeeOnTransferTokens', [expectedTokens, amountOutMin, sellPath, wallet, deadline])
+    }), expectedEth, fundingOverride);
+
+    if (ethReceived === null) {
+        return [buyCheck, { id: 'sell', label: 'Sell', status: 'fail', detail: 'sell simulation reverts (possible honeypot)' }];
+    }
+
+    const sellTaxBps = expectedEth > 0n ? Number(((expectedEth - ethReceived) * 10000n) / expectedEth) : 0;
+    return [buyCheck, {
+        id: 'sell', label: 'Sell Tax', status: getTaxStatus(sellTaxBps, CONSTANTS.SAFETY_MAX_SELL_TAX_PERCENT),
+        detail: `${(sellTaxBps / 100).toFixed(2)}%`, taxBps: sellTaxBps
+    }];
+}
+
+// Looks for the factory's PairCreated event within the minimum-age window. Returns null when the pair is older.
+async function findRecentPairCreation(network, pairAddress, maxAgeSeconds) {
+    const pairContract = new Contract(pairAddress, UNISWAP_V2_PAIR_ABI, network.provider);
+    const [token0, token1, latest] = await Promise.all([pairContract.token0(), pairContract.token1(), network.provider.getBlock('latest')]);
+    const sample = await network.provider.getBlock(Math.max(0, latest.number - 1000));
+    const secondsPerBlock = Math.max(0.1, (latest.timestamp - sample.timestamp) / Math.max(1, latest.number - sample.number));
+    const fromBlock = Math.max(0, latest.number - Math.ceil(maxAgeSeconds / secondsPerBlock));
+    const filter = network.factoryContract.filters.PairCreated(token0, token1);
+
+    for (let toBlock = latest.number; toBlock >= fromBlock; toBlock -= PAIR_CREATION_LOG_CHUNK_BLOCKS) {
+        const logs = await network.factoryContract.queryFilter(filter, Math.max(fromBlock, toBlock - PAIR_CREATION_LOG_CHUNK_BLOCKS + 1), toBlock);
+        if (logs.length > 0) {
+            const [block, tx] = await Promise.all([logs[0].getBlock(), logs[0].getTransaction()]);
+            return { ageSeconds: latest.timestamp - block.timestamp, creator: tx.from };
+        }
+    }
+    return null;
+}
+
+// A pair's creator never changes, so lookups (including ones that found nothing) are kept for the life of the process.
+const pairCreators = new Map();
+
+// Finds who created a pair of any age from the factory's PairCreated event, scanned in getLogs chunks over the last
+// SAFETY_CREATOR_LOOKBACK_BLOCKS. Returns null when the event is not in that range.
+async function findPairCreator(network, pairAddress) {
+    const key = `${network.id}:${pairAddress.toLowerCase()}`;
+    if (!pairCreators.has(key)) {
+        const pairContract = new Contract(pairAddress, UNISWAP_V2_PAIR_ABI, network.provider);
+        const [token0, token1, latestBlock] = await Promise.all([pairContract.token0(), pairContract.token1(), network.provider.getBlockNumber()]);
+        const fromBlock = Math.max(0, latestBlock - CONSTANTS.SAFETY_CREATOR_LOOKBACK_BLOCKS);
+        const topics = [network.factoryContract.interface.getEvent('PairCreated').topicHash, toAddressTopic(token0), toAddressTopic(token1)];
+        const logs = await getLogsChunked(network, { address: network.factoryAddress, topics }, fromBlock, latestBlock);
+        const creator = logs.length > 0 ? (await network.provider.getTransaction(logs[0].transactionHash)).from : null;
+        pairCreators.set(key, creator);
+    }
+    return pairCreators.get(key);
+}
+
+async function fetchTokenOwner(network, tokenAddress) {
+    const result = await simulateCall(network, { to: tokenAddress, data: ownableInterface.encodeFunctionData('owner') });
+    if (!result || result.length < 66) return undefined;
+    return ownableInterface.decodeFunctionResult('owner', result)[0];
+}
+
+async function scanTokenSafety(market) {
+    const network = getNetwork(market.networkId);
+    const checks = [];
+    const settle = async (label, fn) => {
+        try {
+            checks.push(...[].concat(await fn()));
+        } catch (e) {
+            log('warn', `Safety check "${label}" failed for ${market.tokenAddress}: ${e.message}`);
+            checks.push({ id: label.toLowerCase(), label, status: 'unknown', detail: 'check failed' });
+        }
+    };
+
+    await settle('Buy/Sell', () => checkBuySellTax(network, market));
+
+    await settle('Liquidity', async () => {
+        const [pairInfo, quoteInfo] = await Promise.all([
+            getCachedPairInfo(network, market.tokenAddress, market.quoteTokenAddress),
+            getCachedTokenInfo(network, market.quoteTokenAddress)
+        ]);
+        const liquidityEth = parseFloat(formatEther((pairInfo.reserveQuote * pairInfo.quotePriceInWei) / (10n ** quoteInfo.decimals)));
+        return {
+            id: 'liquidity', label: `${quoteInfo.symbol} Reserve`,
+            status: liquidityEth < CONSTANTS.SAFETY_MIN_LIQUIDITY_ETH ? 'fail' : 'pass',
+            detail: `${liquidityEth.toFixed(3)} ${network.nativeSymbol}`
+        };
+    });
+
+    let creator;
+    if (CONSTANTS.SAFETY_MIN_PAIR_AGE_HOURS > 0) {
+        await settle('Pair Age', async () => {
+            const creation = await findRecentPairCreation(network, market.pairAddress, CONSTANTS.SAFETY_MIN_PAIR_AGE_HOURS * 3600);
+            creator = creation?.creator;
+            return creation
+                ? { id: 'age', label: 'Pair Age', status: 'fail', detail: `${(creation.ageSeconds / 3600).toFixed(1)}h old` }
+                : { id: 'age', label: 'Pair Age', status: 'pass', detail: `older than ${CONSTANTS.SAFETY_MIN_PAIR_AGE_HOURS}h` };
+        });
+    }
+
+    const owner = await fetchTokenOwner(network, market.tokenAddress).catch(() => undefined);
+    checks.push(owner === undefined
+        ? { id: 'owner', label: 'Ownership', status: 'unknown', detail: 'no owner() function' }
+        : owner === ZeroAddress
+            ? { id: 'owner', label: 'Ownership', status: 'pass', detail: 'renounced' }
+            : { id: 'owner', label: 'Ownership', status: 'warn', detail: `owned by ${owner.slice(0, 10)}…` });
+
+    await settle('Deployer LP', async () => {
+        // The log search runs on the quote path, so it is only used when neither the age check nor owner() named anyone.
+        const deployer = creator ?? (owner && owner !== ZeroAddress ? owner : null) ?? await findPairCreator(network, market.pairAddress);
+        const pairContract = new Contract(market.pairAddress, UNISWAP_V2_PAIR_ABI, network.provider);
+        const [totalSupply, burned, deployerBalance] = await Promise.all([
+            pairContract.totalSupply(),
+            Promise.all(BURN_ADDRESSES.map(address => pairContract.balanceOf(address))).then(balances => balances.reduce((a, b) => a + b, 0n)),
+            deployer ? pairContract.balanceOf(deployer) : null
+        ]);
+        const share = (amount) => totalSupply > 0n ? Number((amount * 10000n) / totalSupply) / 100 : 0;
+        const burnedText = `${share(burned).toFixed(1)}% burned`;
+        if (deployerBalance === null) {
+            return { id: 'deployer_lp', label: 'Deployer LP', status: 'unknown', detail: `deployer not found, ${burnedText}` };
+        }
+        const deployerShare = share(deployerBalance);
+        return {
+            id: 'deployer_lp', label: 'Deployer LP',
+            status: deployerShare > CONSTANTS.SAFETY_MAX_DEPLOYER_LP_PERCENT ? 'fail' : 'pass',
+            detail: `${deployerShare.toFixed(1)}% held by ${deployer.slice(0, 10)}…, ${burnedText}`
+        };
+    });
+
+    const blockingChecks = checks.filter(check => check.status === 'fail' || (CONSTANTS.SAFETY_BLOCK_UNKNOWN && check.status === 'unknown'));
+    return {
+        checks,
+        buyTaxBps: checks.find(check => check.id === 'buy')?.taxBps ?? null,
+        sellTaxBps: checks.find(check => check.id === 'sell')?.taxBps ?? null,
+        blocked: CONSTANTS.SAFETY_POLICY === 'block' && blockingChecks.length > 0,
+        blockReasons: blockingChecks.map(check => `${check.label}: ${check.detail}`),
+        scannedAt: Date.now()
+    };
+}
+
+// Scans are expensive (dozens of eth_calls), so reports are kept for SAFETY_CACHE_SECONDS per pair.
+async function getSafetyReport(market) {
+    if (!CONSTANTS.SAFETY_SCAN_ENABLED) return null;
+    const key = `${market.networkId}:${market.pairAddress.toLowerCase()}`;
+    const cached = safetyReports.get(key);
+    if (cached && Date.now() - cached.scannedAt < CONSTANTS.SAFETY_CACHE_SECONDS * 1000) return cached;
+
+    log('info', `Running safety scan for ${market.tokenAddress} on ${market.networkId}...`);
+    const report = await scanTokenSafety(market);
+    safetyReports.set(key, report);
+    return report;
+}
+
+// Measured buy/sell transfer tax of the pair's token, used to size zap minimums and value exits. This runs even
+// when the safety scan is disabled; a token that cannot be measured is treated as untaxed.
+async function getTransferTax(market) {
+    const key = `${market.networkId}:${market.pairAddress.toLowerCase()}`;
+    const cached = transferTaxes.get(key);
+    if (cached && Date.now() - cached.measuredAt < CONSTANTS.SAFETY_CACHE_SECONDS * 1000) return cached;
+
+    let checks = [];
+    try {
+        const report = await getSafetyReport(market);
+        checks = report ? report.checks : await checkBuySellTax(getNetwork(market.networkId), market);
+    } catch (e) {
+        log('warn', `Could not measure transfer tax for ${market.tokenAddress}: ${e.message}`);
+    }
+
+    const buyTaxBps = checks.find(check => check.id === 'buy')?.taxBps;
+    const sellTaxBps = checks.find(check => check.id === 'sell')?.taxBps;
+    const tax = {
+        buyTaxBps: buyTaxBps ?? 0,
+        sellTaxBps: sellTaxBps ?? 0,
+        measured: buyTaxBps !== undefined && sellTaxBps !== undefined,
+        measuredAt: Date.now()
+    };
+    transferTaxes.set(key, tax);
+    return tax;
+}
+
+function hasTransferTax(taxes) {
+    return Boolean(taxes) && (taxes.buyTaxBps > 0 || taxes.sellTaxBps > 0);
+}
+
+function formatTransferTax(taxes) {
+    return `${(taxes.buyTaxBps / 100).toFixed(2)}% buy / ${(taxes.sellTaxBps / 100).toFixed(2)}% sell`;
+}
+
+function formatSafetyReport(report) {
+    if (!report) return '';
+    return `🛡️ **Safety Scan:**\n` +
+        report.checks.map(check => `${SAFETY_STATUS_ICONS[check.status]} ${check.label}: ${check.detail}`).join('\n') + '\n' +
+        (report.blocked
+            ? `⛔ *Blocked by safety policy.*\n\n`
+            : report.checks.some(check => check.status === 'fail') ? `_Policy is set to warn only._\n\n` : '\n');
+}
+
+// =================================================================
+// --- ACCESS CONTROL ---
+// =================================================================
+
+const ROLE_LEVELS = { viewer: 1, trader: 2, admin: 3 };
+
+// Minimum role per command. Commands not listed here require admin.
+const COMMAND_ROLES = {
+    start: 'viewer',
+    help: 'viewer',
+    status: 'viewer',
+    positions: 'viewer',
+    zapin: 'trader',
+    basket: 'trader',
+    rules: 'trader',
+    alert: 'viewer',
+    alerts: 'viewer',
+    history: 'viewer',
+    approvals: 'viewer',
+    dca: 'trader',
+    queue: 'trader',
+    sync: 'trader',
+    settings: 'admin'
+};
+
+// Minimum role per callback data pattern. Unknown callbacks require trader.
+const CALLBACK_ROLES = [
+    [/^(show_position|prev_pos|next_pos|refresh_pos)(:\d+)?$/, 'viewer'],
+    [/^(alert_remove|history_page|history_export):/, 'viewer'],
+    [/^(zap_amount|refresh_zap|execute_zapout|zapout_asset|pay_with|zap_network|approval_revoke):/, 'trader'],
+    [/^(confirm|cancel)_(zapin|zapout|dca|basket)$/, 'trader'],
+    [/^(ask_(skip|cancel)|dca_(pause|resume|cancel):\d+)$/, 'trader'],
+    [/^(queue_(zapin|zapout)|queue_cancel:\d+)$/, 'trader'],
+    [/^(insufficient_balance|safety_blocked)$/, 'trader'],
+    [/^tx_(speedup|cancel):/, 'trader']
+];
+
+function getUserRole(userId) {
+    const id = String(userId);
+    if (CONSTANTS.ADMIN_USER_IDS.includes(id)) return 'admin';
+    if (CONSTANTS.TRADER_USER_IDS.includes(id)) return 'trader';
+    if (CONSTANTS.VIEWER_USER_IDS.includes(id)) return 'viewer';
+    return null;
+}
+
+function hasRole(role, requiredRole) {
+    return !!role && ROLE_LEVELS[role] >= ROLE_LEVELS[requiredRole];
+}
+
+function getRequiredRole(ctx) {
+    const callbackData = ctx.callbackQuery?.data;
+    if (callbackData !== undefined) {
+        const match = CALLBACK_ROLES.find(([pattern]) => pattern.test(callbackData));
+        return { action: `callback:${callbackData}`, requiredRole: match ? match[1] : 'trader' };
+    }
+
+    const text = ctx.message?.text;
+    const commandMatch = text?.match(/^\/([a-z0-9_]+)(@\w+)?/i);
+    if (commandMatch) {
+        const command = commandMatch[1].toLowerCase();
+        return { action: `command:/${command}`, requiredRole: COMMAND_ROLES[command] || 'admin' };
+    }
+
+    // Plain messages only matter while a zap conversation is waiting for input.
+    if (ctx.chat && activeConversations.has(ctx.chat.id)) {
+        return { action: 'conversation:input', requiredRole: 'trader' };
+    }
+    return { action: 'message', requiredRole: 'viewer' };
+}
+
+async function writeAuditLog(entry) {
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry });
+    try {
+        await fs.appendFile(CONSTANTS.AUDIT_LOG_PATH, line + '\n');
+    } catch (error) {
+        log("error", `Failed to write audit log to ${CONSTANTS.AUDIT_LOG_PATH}:`, error.message);
+    }
+}
+
+async function authorize(ctx, next) {
+    const userId = ctx.from?.id;
+    const chatId = ctx.chat?.id;
+    const { action, requiredRole } = getRequiredRole(ctx);
+    const role = userId !== undefined ? getUserRole(userId) : null;
+
+    let reason = null;
+    if (userId === undefined) {
+        reason = 'no sender';
+    } else if (CONSTANTS.ALLOWED_CHAT_IDS.length > 0 && !CONSTANTS.ALLOWED_CHAT_IDS.includes(String(chatId))) {
+        reason = 'chat not allowed';
+    } else if (!hasRole(role, requiredRole)) {
+        reason = role ? 'insufficient role' : 'user not allowed';
+    }
+
+    if (!reason) return next();
+
+    log('warn', `Access denied for user ${userId} in chat ${chatId}: ${action} (${reason})`);
+    await writeAuditLog({
+        event: 'access_denied',
+        userId,
+        username: ctx.from?.username,
+        chatId,
+        action,
+        role,
+        requiredRole,
+        reason
+    });
+
+    const deniedText = role
+        ? `⛔ This action requires the ${requiredRole} role.`
+        : `⛔ You are not authorized to use this bot. Your user ID is ${userId}.`;
+    if (ctx.callbackQuery) {
+        await ctx.answerCallbackQuery({ text: deniedText, show_alert: true }).catch(() => { });
+    } else if (ctx.chat && ctx.message) {
+        await ctx.reply(deniedText).catch(() => { });
+    }
+}
+
+// =================================================================
+// --- TELEGRAM CONVERSATIONS ---
+// =================================================================
+
+const activeConversations = new Set();
+
+async function zapInConversation(conversation, ctx) {
+    activeConversations.add(ctx.chat.id);
+    let mainMessage;
+
+    try {
+        mainMessage = await ctx.reply('⏳ Loading networks...');
+        const network = getNetwork(await chooseNetwork(conversation, ctx, mainMessage.message_id));
+
+        await ctx.api.editMessageText(ctx.chat.id, mainMessage.message_id,
+            `🔍 *${network.name}*\n\n` +
+            `Please provide the token contract address to pair with ${network.nativeSymbol}, a ${network.dex} pair address, or two token addresses separated by a space.\n\n` +
+            `_The pair must exist on ${network.dex} and one side must be priceable against W${network.nativeSymbol}._`,
+            { parse_mode: 'Markdown' });
+        const pairInputMsg = await conversation.wait();
+        const pairInputText = pairInputMsg.message?.text;
+
+        try {
+            await ctx.api.deleteMessage(ctx.chat.id, pairInputMsg.message.message_id);
+        } catch (e) { log('warn', 'Could not delete user message', e.description); }
+
+        await ctx.api.editMessageText(ctx.chat.id, mainMessage.message_id, '⏳ Resolving pair...');
+        const resolved = await conversation.external(async () => {
+            try {
+                return { market: await resolvePairInput(network, pairInputText) };
+            } catch (e) {
+                log('warn', `Could not resolve pair input: ${e.message}`);
+                return { error: e.message };
+            }
+        });
+
+        if (resolved.error) {
+            await ctx.api.editMessageText(ctx.chat.id, mainMessage.message_id, `❌ ${resolved.error} Please try again with /zapin`);
+            return;
+        }
+
+        const { market } = resolved;
+        const payWith = await choosePayWithAsset(conversation, ctx, mainMessage.message_id, market);
+        await ctx.api.editMessageText(ctx.chat.id, mainMessage.message_id, '⏳ Fetching token and pair data...');
+
+        await displayZapInInfo(ctx, mainMessage.message_id, market, payWith);
+
+        let keepWaiting = true;
+        while (keepWaiting) {
+            const response = await conversation.waitFor(["message:text", "callback_query"]);
+            let amount;
+
+            if (response.callbackQuery) await response.answerCallbackQuery();
+
+            if (response.callbackQuery?.data.startsWith('zap_amount:')) {
+                amount = response.callbackQuery.data.split(':')[1];
+                keepWaiting = false;
+            } else if (response.callbackQuery?.data.startsWith('refresh_zap:')) {
+                await displayZapInInfo(ctx, mainMessage.message_id, market, payWith);
+                continue;
+            } else if (response.message?.text) {
+                const potentialAmount = response.message.text;
+                try {
+                    await ctx.api.deleteMessage(ctx.chat.id, response.message.message_id);
+                } catch (e) { log('warn', 'Could not delete user message', e.description); }
+
+                if (potentialAmount && !isNaN(parseFloat(potentialAmount)) && parseFloat(potentialAmount) > 0) {
+                    amount = potentialAmount;
+                    keepWaiting = false;
+                } else {
+                    await ctx.api.editMessageText(ctx.chat.id, mainMessage.message_id, "❌ Invalid amount. Please enter a valid number or use /zapin to start again.", { reply_markup: undefined });
+                    return;
+                }
+            } else { continue; }
+
+            if (!keepWaiting) {
+                await confirmAndExecuteZapIn(conversation, ctx, mainMessage.message_id, market, amount, payWith);
+                break;
+            }
+        }
+    } catch (e) {
+        log('error', "Error in zapInConversation", e);
+        if (mainMessage) {
+            await ctx.api.editMessageText(ctx.chat.id, mainMessage.message_id, `❌ An unexpected error occurred: ${e.message}`)
+                .catch(err => log('error', 'Failed to send final error message.', err));
+        }
+    } finally {
+        activeConversations.delete(ctx.chat.id);
+    }
+}
+
+async function chooseNetwork(conversation, ctx, messageId) {
+    if (NETWORKS.size === 1) return DEFAULT_NETWORK_CONFIG.id;
+
+    const keyboard = new InlineKeyboard();
+    [...NETWORKS.values()].forEach((network, idx) => {
+        keyboard.text(network.name, `zap_network:${network.id}`);
+        if ((idx + 1) % 2 === 0) keyboard.row();
+    });
+
+    await ctx.api.editMessageText(ctx.chat.id, messageId, "🌐 **Which network and DEX?**",
+        { parse_mode: 'Markdown', reply_markup: keyboard });
+
+    const response = await conversation.waitForCallbackQuery(/^zap_network:/);
+    await response.answerCallbackQuery();
+
+    const networkId = response.callbackQuery.data.slice('zap_network:'.length);
+    return NETWORKS.has(networkId) ? networkId : DEFAULT_NETWORK_CONFIG.id;
+}
+
+async function choosePayWithAsset(conversation, ctx, messageId, market) {
+    await ctx.api.editMessageText(ctx.chat.id, messageId, '⏳ Loading wallet balances...');
+
+    const options = await conversation.external(() => fetchPayWithOptions(market));
+    if (options.length === 1) return options[0];
+
+    const keyboard = new InlineKeyboard();
+    options.forEach((option, idx) => {
+        const balanceText = parseFloat(formatUnits(option.balance, option.decimals)).toPrecision(4);
+        keyboard.text(`${option.symbol} (${balanceText})`, `pay_with:${option.address ?? 'eth'}`);
+        if ((idx + 1) % 2 === 0 && idx < options.length - 1) keyboard.row();
+    });
+
+    await ctx.api.editMessageText(ctx.chat.id, messageId,
+        "💳 **Pay with which asset?**\n\n_Inputs that are part of the pair are approved to the Zapper; anything else is swapped into the pair's quote asset via the router first._",
+        { parse_mode: 'Markdown', reply_markup: keyboard });
+
+    const response = await conversation.waitForCallbackQuery(/^pay_with:/);
+    await response.answerCallbackQuery();
+
+    const choice = response.callbackQuery.data.split(':')[1];
+    const selected = options.find(option => (option.address ?? 'eth') === choice);
+    return selected ?? options[0];
+}
+
+async function confirmAndExecuteZapIn(conversation, ctx, messageId, market, amount, payWith) {
+    if (!amount || isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) {
+        await ctx.api.editMessageText(ctx.chat.id, messageId, "❌ Invalid amount. Please use /zapin to start again.");
+        return;
+    }
+
+    await ctx.api.editMessageText(ctx.chat.id, messageId, `⏳ Preparing quote for ${amount} ${payWith.symbol}...`, { reply_markup: undefined });
+
+    // Quotes are taken inside `external` so that conversation replays compare
+    // against the exact quote the user confirmed instead of re-fetching it.
+    const fetchQuote = () => conversation.external(async () => {
+        try {
+            return { quote: await buildZapInQuote(market, amount, payWith) };
+        } catch (e) {
+            log("error", "Zap In quote error:", e);
+            return { error: formatZapInError(e) };
+        }
+    });
+
+    let { quote, error } = await fetchQuote();
+    let notice;
+
+    while (!error) {
+        const { messageText, keyboard } = generateZapInQuoteMessage(quote, notice);
+        await ctx.api.editMessageText(ctx.chat.id, messageId, messageText, { parse_mode: 'Markdown', reply_markup: keyboard });
+
+        const response = await conversation.waitForCallbackQuery(['confirm_zapin', 'cancel_zapin', 'queue_zapin']);
+        await response.answerCallbackQuery();
+
+        if (response.callbackQuery.data === 'cancel_zapin') {
+            await ctx.api.editMessageText(ctx.chat.id, messageId, "🚫 Zap In cancelled.", { reply_markup: undefined });
+            return;
+        }
+        if (response.callbackQuery.data === 'queue_zapin') {
+            await queueZapIn(conversation, ctx, messageId, quote);
+            return;
+        }
+
+        const fresh = await fetchQuote();
+        if (fresh.error) {
+            error = fresh.error;
+            break;
+        }
+
+        const expiryReason = getQuoteExpiryReason(quote, fresh.quote);
+        quote = fresh.quote;
+        if (!expiryReason) {
+            await executeZapIn(ctx, messageId, quote);
+            return;
+        }
+        notice = `⚠️ Previous quote expired: ${expiryReason}. Please review the updated quote.`;
+    }
+
+    await ctx.api.editMessageText(ctx.chat.id, messageId,
+        `❌ *Zap In Failed*\n\n*Reason:* ${error}`,
+        { parse_mode: 'Markdown' });
+}
+
+const DURATION_UNITS = { m: 60_000, h: 3_600_000, d: 86_400_000, w: 604_800_000 };
+
+// Parses durations such as `30m`, `6h`, `1d` or `2w` into milliseconds.
+function parseDuration(text) {
+    const match = (text || '').trim().match(/^(\d+(?:\.\d+)?)\s*([mhdw])$/i);
+    return match ? Math.round(parseFloat(match[1]) * DURATION_UNITS[match[2].toLowerCase()]) : null;
+}
+
+function formatDuration(ms) {
+    const [unit, size] = Object.entries(DURATION_UNITS).reverse().find(([, size]) => ms >= size && ms % size === 0) ?? ['m', DURATION_UNITS.m];
+    return `${Math.round(ms / size)}${unit}`;
+}
+
+function parsePositiveNumber(text, what) {
+    const value = parseFloat(text);
+    if (!/^\d*\.?\d+$/.test(text) || !(value > 0)) throw new Error(`Enter the ${what} as a positive number.`);
+    return value;
+}
+
+// Asks for one value and returns `{ value }`, or `{ cancelled: true }`. `parse` throws with a message on invalid
+// input, which is shown above the prompt; optional values get a Skip button and return null.
+async function askValue(conversation, ctx, messageId, prompt, parse, optional = false) {
+    let notice = '';
+    while (true) {
+        const keyboard = new InlineKeyboard();
+        if (optional) keyboard.text('⏭ Skip', 'ask_skip');
+        keyboard.text('❌ Cancel', 'ask_cancel');
+        await ctx.api.editMessageText(ctx.chat.id, messageId, notice + prompt, { parse_mode: 'Markdown', reply_markup: keyboard });
+
+        const response = await conversation.waitFor(["message:text", "callback_query:data"]);
+        if (response.callbackQuery) {
+            await response.answerCallbackQuery();
+            if (response.callbackQuery.data === 'ask_cancel') return { cancelled: true };
+            if (response.callbackQuery.data === 'ask_skip' && optional) return { value: null };
+            continue;
+        }
+
+        try {
+            await ctx.api.deleteMessage(ctx.chat.id, response.message.message_id);
+        } catch (e) { log('warn', 'Could not delete user message', e.description); }
+
+        try {
+            return { value: await parse(response.message.text.trim()) };
+        } catch (e) {
+            notice = `❌ ${e.message}\n\n`;
+        }
+    }
+}
+
+async function dcaConversation(conversation, ctx) {
+    activeConversations.add(ctx.chat.id);
+    let mainMessage;
+
+    try {
+        mainMessage = await ctx.reply('⏳ Loading networks...');
+        const messageId = mainMessage.message_id;
+        const network = getNetwork(await chooseNetwork(conversation, ctx, messageId));
+        const nativeSymbol = network.nativeSymbol;
+        const ask = (prompt, parse, optional) => askValue(conversation, ctx, messageId, prompt, parse, optional);
+        const cancelled = () => ctx.api.editMessageText(ctx.chat.id, messageId, "🚫 DCA plan not created.", { reply_markup: undefined });
+
+        const pair = await ask(
+            `🔁 *New DCA Plan on ${network.name}*\n\n` +
+            `Send the token address to pair with ${nativeSymbol}, a ${network.dex} pair address, or two token addresses separated by a space.`,
+            async (text) => {
+                const resolved = await conversation.external(async () => {
+                    try {
+                        const market = await resolvePairInput(network, text);
+                        const [tokenInfo, quoteInfo] = await Promise.all([
+                            getCachedTokenInfo(network, market.tokenAddress),
+                            getCachedTokenInfo(network, market.quoteTokenAddress)
+                        ]);
+                        return { market, tokenSymbol: tokenInfo.symbol, quoteSymbol: quoteInfo.symbol };
+                    } catch (e) {
+                        return { error: e.message };
+                    }
+                });
+                if (resolved.error) throw new Error(resolved.error);
+                return resolved;
+            });
+        if (pair.cancelled) return cancelled();
+        const { market, tokenSymbol, quoteSymbol } = pair.value;
+        const pairLabel = `${tokenSymbol}/${quoteSymbol}`;
+
+        const amount = await ask(`🔁 *${pairLabel}*\n\nHow much ${nativeSymbol} should each run zap in? (e.g. \`0.01\`)`,
+            (text) => {
+                parsePositiveNumber(text, 'amount');
+                return text;
+            });
+        if (amount.cancelled) return cancelled();
+
+        const interval = await ask(`🔁 *${pairLabel}* · ${amount.value} ${nativeSymbol} per run\n\nHow often? (e.g. \`30m\`, \`6h\`, \`1d\`, \`1w\`)`,
+            (text) => {
+                const ms = parseDuration(text);
+                if (!ms) throw new Error("Use a number followed by m, h, d or w.");
+                if (ms < CONSTANTS.DCA_CHECK_INTERVAL_MS) {
+                    throw new Error(`The interval must be at least ${formatDuration(CONSTANTS.DCA_CHECK_INTERVAL_MS)}.`);
+                }
+                return ms;
+            });
+        if (interval.cancelled) return cancelled();
+
+        const budget = await ask(`💰 Total budget in ${nativeSymbol}? The plan completes once it has been spent.`,
+            (text) => {
+                if (parsePositiveNumber(text, 'budget') < parseFloat(amount.value)) throw new Error("The budget must cover at least one run.");
+                return text;
+            }, true);
+        if (budget.cancelled) return cancelled();
+
+        const now = await conversation.now();
+        const endDate = await ask(`📅 End date? Send a date (\`2026-12-31\`) or a duration from now (\`30d\`).`,
+            (text) => {
+                const endsAt = parseDuration(text) ? now + parseDuration(text) : Date.parse(text);
+                if (isNaN(endsAt) || endsAt <= now) throw new Error("Enter a future date such as 2026-12-31, or a duration such as 30d.");
+                return endsAt;
+            }, true);
+        if (endDate.cancelled) return cancelled();
+
+        const maxGas = await ask(`⛽ Skip a run when gas is above how many Gwei?`,
+            (text) => parsePositiveNumber(text, 'gas cap'), true);
+        if (maxGas.cancelled) return cancelled();
+
+        const maxImpact = await ask(`📉 Skip a run when price impact is above what percent?`,
+            (text) => parsePositiveNumber(text, 'price impact limit'), true);
+        if (maxImpact.cancelled) return cancelled();
+
+        const draft = {
+            chatId: ctx.chat.id,
+            ...market,
+            tokenSymbol,
+            quoteSymbol,
+            amountPerRun: amount.value,
+            intervalMs: interval.value,
+            budget: budget.value,
+            endsAt: endDate.value,
+            maxGasGwei: maxGas.value,
+            maxPriceImpactPercent: maxImpact.value,
+            spent: '0',
+            gasSpent: '0',
+            lpAcquired: '0',
+            runs: 0,
+            skips: 0,
+            failures: 0,
+            lastRun: null,
+            nextRunAt: now
+        };
+
+        await ctx.api.editMessageText(ctx.chat.id, messageId,
+            `🔁 **Confirm DCA Plan**\n\n${formatDcaPlan(draft)}\n\n_The first run starts within ${formatDuration(CONSTANTS.DCA_CHECK_INTERVAL_MS)} of creating the plan._`,
+            { parse_mode: 'Markdown', reply_markup: new InlineKeyboard().text('✅ Create Plan', 'confirm_dca').text('❌ Cancel', 'cancel_dca') });
+        const response = await conversation.waitForCallbackQuery(['confirm_dca', 'cancel_dca']);
+        await response.answerCallbackQuery();
+        if (response.callbackQuery.data === 'cancel_dca') return cancelled();
+
+        const plan = await conversation.external(() => createDcaPlan(draft));
+        log("info", `DCA plan #${plan.id} created for ${pairLabel} on ${network.name}`);
+        await ctx.api.editMessageText(ctx.chat.id, messageId,
+            `✅ **DCA Plan #${plan.id} Created**\n\n${formatDcaPlan(plan)}\n\nUse /dca to pause, resume or cancel it.`,
+            { parse_mode: 'Markdown' });
+    } catch (e) {
+        log('error', "Error in dcaConversation", e);
+        if (mainMessage) {
+            await ctx.api.editMessageText(ctx.chat.id, mainMessage.message_id, `❌ An unexpected error occurred: ${e.message}`)
+                .catch(err => log('error', 'Failed to send final error message.', err));
+        }
+    } finally {
+        activeConversations.delete(ctx.chat.id);
+    }
+}
+
+// Asks when a queued action may run: a base fee threshold and how long to wait for it.
+// Returns `{ maxBaseFeeGwei, expiresAt }`, or null when cancelled.
+async function askQueueConditions(conversation, ctx, messageId, network, label) {
+    const baseFeeGwei = await conversation.external(() => fetchBaseFeeGwei(network).catch(() => null));
+    const threshold = await askValue(conversation, ctx, messageId,
+        `⛽ *Queue ${label}*\n\n` +
+        (baseFeeGwei !== null ? `The ${network.name} base fee is ${formatGasGwei(baseFeeGwei)} Gwei now. ` : '') +
+        `Run it once the base fee drops below how many Gwei?`,
+        (text) => {
+            const threshold = parsePositiveNumber(text, 'base fee threshold');
+            if (threshold >= CONSTANTS.MAX_GAS_PRICE_GWEI) {
+                throw new Error(`The threshold must be below MAX_GAS_PRICE_GWEI (${CONSTANTS.MAX_GAS_PRICE_GWEI} Gwei).`);
+            }
+            return threshold;
+        });
+    if (threshold.cancelled) return null;
+
+    const now = await conversation.now();
+    const expiry = await askValue(conversation, ctx, messageId,
+        `⌛ *Queue ${label}* · base fee below ${threshold.value} Gwei\n\nGive up if gas has not dropped within how long? (e.g. \`6h\`, \`1d\`)`,
+        (text) => {
+            const ms = parseDuration(text);
+            if (!ms) throw new Error("Use a number followed by m, h, d or w.");
+            if (ms < CONSTANTS.QUEUE_CHECK_INTERVAL_MS) {
+                throw new Error(`The expiry must be at least ${formatDuration(CONSTANTS.QUEUE_CHECK_INTERVAL_MS)}.`);
+            }
+            return ms;
+        });
+    if (expiry.cancelled) return null;
+
+    return { maxBaseFeeGwei: threshold.value, expiresAt: now + expiry.value };
+}
+
+async function createQueuedActionFromConversation(conversation, ctx, messageId, draft) {
+    const action = await conversation.external(() => createQueuedAction(draft));
+    log("info", `Queued action #${action.id} created: ${action.type} ${action.tokenSymbol}/${action.quoteSymbol} below ${action.maxBaseFeeGwei} Gwei`);
+    await ctx.api.editMessageText(ctx.chat.id, messageId,
+        `⏳ **Queued #${action.id}**\n\n${formatQueuedAction(action)}\n\n` +
+        `_It runs with a fresh quote once the base fee is low enough, and this chat is notified. Use /queue to see or cancel it._`,
+        { parse_mode: 'Markdown', reply_markup: undefined });
+}
+
+// Entered from the Queue button on a zap in review.
+async function queueZapIn(conversation, ctx, messageId, quote) {
+    const network = getNetwork(quote.networkId);
+    const label = `Zap In ${quote.amount} ${quote.payWith.symbol}`;
+    const conditions = await askQueueConditions(conversation, ctx, messageId, network, label);
+    if (!conditions) {
+        await ctx.api.editMessageText(ctx.chat.id, messageId, "🚫 Zap In not queued.", { reply_markup: undefined });
+        return;
+    }
+
+    const { address, symbol, decimals } = quote.payWith;
+    await createQueuedActionFromConversation(conversation, ctx, messageId, {
+        type: 'zapin',
+        chatId: ctx.chat.id,
+        networkId: quote.networkId,
+        pairAddress: quote.pairAddress,
+        tokenAddress: quote.tokenAddress,
+        quoteTokenAddress: quote.quoteTokenAddress,
+        tokenSymbol: quote.tokenSymbol,
+        quoteSymbol: quote.quoteSymbol,
+        amount: quote.amount,
+        payWith: { address, symbol, decimals },
+        ...conditions
+    });
+}
+
+// Entered from the Queue button on a zap out review, with the reviewed quote's plain fields as `request`.
+async function queueZapOutConversation(conversation, ctx, request) {
+    activeConversations.add(ctx.chat.id);
+    const messageId = ctx.callbackQuery.message.message_id;
+
+    try {
+        const network = getNetwork(request.networkId);
+        const label = `${request.percentage}% Zap Out to ${request.outSymbol}`;
+        const conditions = await askQueueConditions(conversation, ctx, messageId, network, label);
+        if (!conditions) {
+            await ctx.api.editMessageText(ctx.chat.id, messageId, "🚫 Zap Out not queued. Use /positions to start again.", { reply_markup: undefined });
+            return;
+        }
+        await createQueuedActionFromConversation(conversation, ctx, messageId, {
+            type: 'zapout',
+            chatId: ctx.chat.id,
+            ...request,
+            ...conditions
+        });
+    } catch (e) {
+        log('error', "Error in queueZapOutConversation", e);
+        await ctx.api.editMessageText(ctx.chat.id, messageId, `❌ An unexpected error occurred: ${e.message}`)
+            .catch(err => log('error', 'Failed to send final error message.', err));
+    } finally {
+        activeConversations.delete(ctx.chat.id);
+    }
+}
+
+async function basketConversation(conversation, ctx) {
+    activeConversations.add(ctx.chat.id);
+    let mainMessage;
+
+    try {
+        mainMessage = await ctx.reply('⏳ Loading networks...');
+        const messageId = mainMessage.message_id;
+        const network = getNetwork(await chooseNetwork(conversation, ctx, messageId));
+        const cancelled = () => ctx.api.editMessageText(ctx.chat.id, messageId, "🚫 Basket zap cancelled.", { reply_markup: undefined });
+
+        const legs = await askValue(conversation, ctx, messageId,
+            `🧺 *Basket Zap on ${network.name}*\n\n` +
+            `Send up to ${BASKET_MAX_LEGS} token addresses paired with W${network.nativeSymbol} on ${network.dex}, one per line, each with an optional weight:\n\n` +
+            `\`0xTOKEN_A 50\`\n\`0xTOKEN_B 30\`\n\`0xTOKEN_C 20\`\n\n_Without weights the amount is split equally._`,
+            parseBasketInput);
+        if (legs.cancelled) return cancelled();
+
+        const amount = await askValue(conversation, ctx, messageId,
+            `🧺 *${legs.value.length} tokens*\n\nHow much ${network.nativeSymbol} in total?`,
+            (text) => {
+                parsePositiveNumber(text, 'amount');
+                return text;
+            });
+        if (amount.cancelled) return cancelled();
+
+        await ctx.api.editMessageText(ctx.chat.id, messageId, `⏳ Quoting ${legs.value.length} pools...`, { reply_markup: undefined });
+        const fetchBasket = () => conversation.external(async () => {
+            try {
+                return { basket: await buildBasketQuote(network.id, legs.value, amount.value) };
+            } catch (e) {
+                log("error", "Basket quote error:", e);
+                return { error: formatZapInError(e) };
+            }
+        });
+
+        let { basket, error } = await fetchBasket();
+        let notice;
+        while (!error) {
+            const { messageText, keyboard } = generateBasketQuoteMessage(basket, notice);
+            await ctx.api.editMessageText(ctx.chat.id, messageId, messageText, { parse_mode: 'Markdown', reply_markup: keyboard });
+
+            const response = await conversation.waitForCallbackQuery(['confirm_basket', 'cancel_basket']);
+            await response.answerCallbackQuery();
+            if (response.callbackQuery.data === 'cancel_basket') return cancelled();
+
+            const fresh = await fetchBasket();
+            if (fresh.error) {
+                error = fresh.error;
+                break;
+            }
+
+            const expiryReason = getBasketExpiryReason(basket, fresh.basket);
+            basket = fresh.basket;
+            if (!expiryReason) {
+                await executeBasketZap(ctx, messageId, basket);
+                return;
+            }
+            notice = `⚠️ Previous quote expired: ${expiryReason}. Please review the updated quote.`;
+        }
+
+        await ctx.api.editMessageText(ctx.chat.id, messageId, `❌ *Basket Zap Failed*\n\n*Reason:* ${error}`, { parse_mode: 'Markdown' });
+    } catch (e) {
+        log('error', "Error in basketConversation", e);
+        if (mainMessage) {
+            await ctx.api.editMessageText(ctx.chat.id, mainMessage.message_id, `❌ An unexpected error occurred: ${e.message}`)
+                .catch(err => log('error', 'Failed to send final error message.', err));
+        }
+    } finally {
+        activeConversations.delete(ctx.chat.id);
+    }
+}
+
+// =================================================================
+// --- TRANSACTION EXECUTION LOGIC ---
+// =================================================================
+
+function describeSimulationFailure(e) {
+    return `Blocked before sending: ${e.revertReason}. ` + (e.sentSteps?.length
+        ? `The blocked step was not sent, but earlier steps already went through: ${e.sentSteps.join(', ')} (see /history).`
+        : `No transaction was broadcast for this step.`);
+}
+
+function formatZapInError(e) {
+    let errorMessage = "An unknown error occurred.";
+
+    if (e.code === 'SIMULATION_FAILED') {
+        errorMessage = describeSimulationFailure(e);
+    } else if (e.code === 'INSUFFICIENT_FUNDS') {
+        errorMessage = "Insufficient ETH to cover zap amount and gas fees.";
+    } else if (e.message && e.message.includes('slippage')) {
+        errorMessage = "Transaction would fail due to price slippage. Try again with higher slippage tolerance.";
+    } else if (e.message && e.message.includes('priorityFee')) {
+        errorMessage = "Gas price configuration error. The bot will use fallback gas prices. Please try again.";
+    } else if (e.reason) {
+        errorMessage = e.reason.substring(0, 200); // Limit length
+    } else if (e.message) {
+        errorMessage = e.message.substring(0, 200); // Limit length
+    }
+
+    // Escape markdown special characters
+    return errorMessage.replace(/[_*[\]()~`>#+=|{}.!-]/g, '\\$&');
+}
+
+function formatZapOutError(e) {
+    let errorMessage = "An unknown error occurred.";
+
+    if (e.code === 'SIMULATION_FAILED') {
+        errorMessage = describeSimulationFailure(e);
+    } else if (e.message && e.message.includes('insufficient funds')) {
+        errorMessage = "Insufficient ETH for gas fees.";
+    } else if (e.message && e.message.includes('priorityFee')) {
+        errorMessage = "Gas price configuration error. Please try again.";
+    } else if (e.reason) {
+        errorMessage = e.reason.substring(0, 200); // Limit length
+    } else if (e.message) {
+        errorMessage = e.message.substring(0, 200); // Limit length
+    }
+
+    // Escape markdown special characters
+    return errorMessage.replace(/[_*[\]()~`>#+=|{}.!-]/g, '\\$&');
+}
+
+// `taxes` describe a fee-on-transfer token in basis points: `inBps` is lost every time the input asset is sent
+// into the pair, `outBps` when the swap output leaves it and `outAddBps` when that output is added back as liquidity.
+// `feeBps` is the pool's swap fee.
+function calculateZapInAmounts(amountIn, reserveIn, reserveOut, pairTotalSupply, taxes = {}, feeBps = DEFAULT_SWAP_FEE_BPS) {
+    const { inBps = 0, outBps = 0, outAddBps = 0 } = taxes;
+
+    // Half of the input is swapped; the other half is paired with the swap output
+    // against the post-swap reserves.
+    const amountToSwap = amountIn / 2n;
+    const amountInToAdd = amountIn - amountToSwap;
+    const swapArrived = applyTransferTax(amountToSwap, inBps);
+    const swapOut = calculateAmountOut(swapArrived, reserveIn, reserveOut, feeBps);
+    const expectedAmountOut = applyTransferTax(swapOut, outBps);
+    const priceImpact = calculatePriceImpact(swapArrived, reserveIn, reserveOut, feeBps);
+    const slippageBps = calculateDynamicSlippage(reserveIn, reserveOut, swapArrived, feeBps);
+
+    // The input side is only added up to what the (possibly taxed) swap output can be paired with.
+    const reserveInAfterSwap = reserveIn + swapArrived;
+    const reserveOutAfterSwap = reserveOut - swapOut;
+    const pairableIn = (expectedAmountOut * reserveInAfterSwap) / reserveOutAfterSwap;
+    const amountInUsed = outBps > 0 && pairableIn < amountInToAdd ? pairableIn : amountInToAdd;
+
+    const liquidityFromIn = (applyTransferTax(amountInUsed, inBps) * pairTotalSupply) / reserveInAfterSwap;
+    const liquidityFromOut = (applyTransferTax(expectedAmountOut, outAddBps) * pairTotalSupply) / reserveOutAfterSwap;
+
+    return {
+        amountToSwap,
+        expectedAmountOut,
+        expectedLiquidity: liquidityFromIn < liquidityFromOut ? liquidityFromIn : liquidityFromOut,
+        priceImpact,
+        slippageBps,
+        amountInMin: applySlippage(amountInUsed, slippageBps),
+        amountOutMin: applySlippage(expectedAmountOut, slippageBps),
+        // Tax losses, in input units and in output units
+        taxLossIn: (amountToSwap - swapArrived) + (amountInUsed - applyTransferTax(amountInUsed, inBps)),
+        taxLossOut: (swapOut - expectedAmountOut) + (expectedAmountOut - applyTransferTax(expectedAmountOut, outAddBps))
+    };
+}
+
+// Positions saved before the network registry belong to the default network.
+function getPositionMarket(position) {
+    const network = getNetwork(position.networkId ?? DEFAULT_NETWORK_CONFIG.id);
+    return {
+        networkId: network.id,
+        pairAddress: position.pairAddress,
+        tokenAddress: position.tokenAddress,
+        quoteTokenAddress: position.quoteTokenAddress ?? network.wrappedNativeAddress
+    };
+}
+
+function isSameAsset(addressA, addressB) {
+    if (!addressA || !addressB) return !addressA && !addressB;
+    return getAddress(addressA) === getAddress(addressB);
+}
+
+// The asset the Zapper takes in and pays out on the quote side: the native coin for wrapped-native pairs, the quote token otherwise.
+async function getZapAsset(market) {
+    const network = getNetwork(market.networkId);
+    if (isSameAsset(market.quoteTokenAddress, network.wrappedNativeAddress)) return getNativeAsset(network);
+    const { symbol, decimals } = await getCachedTokenInfo(network, market.quoteTokenAddress);
+    return { address: market.quoteTokenAddress, symbol, decimals };
+}
+
+function getPayMode(market, payWith) {
+    const network = getNetwork(market.networkId);
+    if (!payWith.address) return isSameAsset(market.quoteTokenAddress, network.wrappedNativeAddress) ? 'eth' : 'swap';
+    if (isSameAsset(payWith.address, market.tokenAddress) || isSameAsset(payWith.address, market.quoteTokenAddress)) return 'pair';
+    return 'swap';
+}
+
+async function buildZapInQuote(market, amount, payWith = getNativeAsset(getNetwork(market.networkId))) {
+    const { networkId, pairAddress, tokenAddress, quoteTokenAddress } = market;
+    const network = getNetwork(networkId);
+    const amountIn = parseUnits(amount, payWith.decimals);
+    const payMode = getPayMode(market, payWith);
+
+    // Custom amounts bypass the preset buttons, so the safety policy is enforced here as well.
+    const safetyReport = await getSafetyReport(market);
+    if (safetyReport?.blocked) throw new Error(`Blocked by safety policy: ${safetyReport.blockReasons.join('; ')}`);
+
+    const [{ reserveQuote, reserveToken, pairTotalSupply }, tokenInfo, quoteInfo, quotePriceInWei] = await Promise.all([
+        fetchPairReserves(network, pairAddress, quoteTokenAddress),
+        getCachedTokenInfo(network, tokenAddress),
+        getCachedTokenInfo(network, quoteTokenAddress),
+        getCachedQuotePriceInEth(network, quoteTokenAddress)
+    ]);
+
+    if (reserveQuote === 0n || reserveToken === 0n) throw new Error("Pool has no liquidity.");
+
+    // ERC-20 zaps go through the Zapper's zapIn, which older deployments lack. Checking it here refuses the zap before
+    // any approval or pre-swap is sent for it.
+    const zapAsset = payMode === 'swap' ? await getZapAsset(market) : payWith;
+    if (zapAsset.address && !await zapperHasFunction(network, 'zapIn')) {
+        throw new Error(`The Zapper on ${network.name} has no zapIn, so only ${network.nativeSymbol} can be zapped into this pair.`);
+    }
+
+    // Inputs outside the pair are swapped into the zap asset through the router first.
+    let preSwap = null;
+    let quoteIn = amountIn;
+    if (payMode === 'swap') {
+        preSwap = { ...await quoteRouterSwap(network, payWith.address, zapAsset.address, amountIn), outAsset: zapAsset };
+        quoteIn = preSwap.expectedOut;
+    }
+
+    // Measured transfer taxes shrink what arrives at each hop, so expected amounts and minimums are reduced to match.
+    const taxes = await getTransferTax(market);
+    const payingWithToken = payMode === 'pair' && isSameAsset(payWith.address, tokenAddress);
+    let amounts, amountAMin, amountBMin, quoteValue, taxCostQuote;
+    if (payingWithToken) {
+        amounts = calculateZapInAmounts(amountIn, reserveToken, reserveQuote, pairTotalSupply, { inBps: taxes.sellTaxBps }, network.feeBps);
+        amountAMin = amounts.amountOutMin;
+        amountBMin = amounts.amountInMin;
+        quoteValue = (amountIn * reserveQuote) / reserveToken;
+        taxCostQuote = (amounts.taxLossIn * reserveQuote) / reserveToken + amounts.taxLossOut;
+    } else {
+        amounts = calculateZapInAmounts(quoteIn, reserveQuote, reserveToken, pairTotalSupply, {
+            outBps: taxes.buyTaxBps,
+            outAddBps: taxes.sellTaxBps
+        }, network.feeBps);
+        amountAMin = amounts.amountInMin;
+        amountBMin = amounts.amountOutMin;
+        quoteValue = quoteIn;
+        taxCostQuote = amounts.taxLossIn + (amounts.taxLossOut * reserveQuote) / reserveToken;
+    }
+    const ethValue = (quoteValue * quotePriceInWei) / (10n ** quoteInfo.decimals);
+    const taxCostWei = (taxCostQuote * quotePriceInWei) / (10n ** quoteInfo.decimals);
+
+    const gasLimit = payMode === 'eth'
+        ? CONSTANTS.ZAP_IN_GAS_LIMIT_ESTIMATE
+        : CONSTANTS.ZAP_IN_GAS_LIMIT_ESTIMATE + CONSTANTS.APPROVE_GAS_LIMIT_ESTIMATE +
+            (payMode === 'swap' ? CONSTANTS.SWAP_GAS_LIMIT_ESTIMATE : 0n);
+    const gasCost = await estimateGasCost(network, gasLimit);
+
+    if (payWith.address) {
+        await validateTokenBalance(network, payWith, amountIn);
+        await validateBalance(network, 0n, gasCost.estimatedGasFee);
+    } else {
+        await validateBalance(network, amountIn, gasCost.estimatedGasFee);
+    }
+
+    return {
+        networkId,
+        pairAddress,
+        tokenAddress,
+        quoteTokenAddress,
+        tokenSymbol: tokenInfo.symbol,
+        tokenDecimals: tokenInfo.decimals,
+        quoteSymbol: quoteInfo.symbol,
+        quoteDecimals: quoteInfo.decimals,
+        payWith,
+        payMode,
+        amount,
+        amountIn,
+        ethValue,
+        preSwap,
+        expectedLiquidity: amounts.expectedLiquidity,
+        priceImpact: amounts.priceImpact,
+        slippageBps: amounts.slippageBps,
+        amountAMin,
+        amountBMin,
+        taxes,
+        taxCostWei,
+        reserveQuote,
+        reserveToken,
+        quotePriceInWei,
+        ...gasCost,
+        createdAt: Date.now()
+    };
+}
+
+const BASKET_MAX_LEGS = 8;
+
+// Parses `0xTOKEN weight` entries separated by commas or new lines. Weights are relative (`40`, `40%` and `0.4`
+// all work) and default to 1, which splits the amount equally.
+function parseBasketInput(text) {
+    const entries = (text || '').split(/[,\n]+/).map(entry => entry.trim()).filter(Boolean);
+    if (entries.length < 2 || entries.length > BASKET_MAX_LEGS) {
+        throw new Error(`List between 2 and ${BASKET_MAX_LEGS} tokens, one per line.`);
+    }
+
+    const legs = entries.map((entry) => {
+        const [address, weightText, ...rest] = entry.split(/\s+/);
+        const weight = weightText === undefined ? 1 : parseFloat(weightText.replace(/%$/, ''));
+        if (!isAddress(address) || rest.length > 0 || !(weight > 0)) {
+            throw new Error(`Could not read "${entry}". Send one token address and optional weight per line.`);
+        }
+        return { tokenAddress: getAddress(address), weight };
+    });
+    if (new Set(legs.map(leg => leg.tokenAddress)).size !== legs.length) throw new Error("Each token can only appear once.");
+    return legs;
+}
+
+// Validates every leg's WETH pair through fetchPairInfo and quotes its weighted share of `totalAmount`. A leg that
+// cannot be quoted keeps its `error` and is left out of the totals; the last leg takes the rounding remainder.
+async function buildBasketQuote(networkId, legs, totalAmount) {
+    const network = getNetwork(networkId);
+    const totalWei = parseEther(totalAmount);
+    const totalWeight = legs.reduce((sum, leg) => sum + leg.weight, 0);
+    let allocated = 0n;
+    const amounts = legs.map((leg, idx) => {
+        const amount = idx === legs.length - 1
+            ? totalWei - allocated
+            : (totalWei * BigInt(Math.round((leg.weight / totalWeight) * 10000))) / 10000n;
+        allocated += amount;
+        return amount;
+    });
+
+    const quotedLegs = await Promise.all(legs.map(async (leg, idx) => {
+        const sharePercent = (leg.weight / totalWeight) * 100;
+        const symbol = await getCachedTokenInfo(network, leg.tokenAddress).then(info => info.symbol).catch(() => leg.tokenAddress.slice(0, 10));
+        try {
+            const pairInfo = await fetchPairInfo(network, leg.tokenAddress);
+            const market = {
+                networkId,
+                pairAddress: getAddress(pairInfo.pairAddress),
+                tokenAddress: leg.tokenAddress,
+                quoteTokenAddress: getAddress(network.wrappedNativeAddress)
+            };
+            const quote = await buildZapInQuote(market, formatEther(amounts[idx]));
+            return { ...leg, symbol, sharePercent, amount: amounts[idx], market, quote };
+        } catch (e) {
+            log("warn", `Basket leg ${leg.tokenAddress} could not be quoted: ${e.message}`);
+            return { ...leg, symbol, sharePercent, amount: amounts[idx], error: formatZapInError(e) };
+        }
+    }));
+
+    const validLegs = quotedLegs.filter(leg => !leg.error);
+    const totalIn = validLegs.reduce((sum, leg) => sum + leg.amount, 0n);
+    const totalGasFee = validLegs.reduce((sum, leg) => sum + leg.quote.estimatedGasFee, 0n);
+    // Each leg only checked its own share, so the wallet has to cover all of them together.
+    if (validLegs.length > 0) await validateBalance(network, totalIn, totalGasFee);
+
+    return {
+        networkId,
+        totalAmount,
+        legs: quotedLegs,
+        totalIn,
+        totalGasFee,
+        totalFeeUsd: validLegs.reduce((sum, leg) => sum + leg.quote.estimatedFeeUsd, 0),
+        createdAt: Date.now()
+    };
+}
+
+// Compares a refreshed basket with the confirmed one leg by leg, like getQuoteExpiryReason does for single zaps.
+function getBasketExpiryReason(basket, freshBasket) {
+    for (const [idx, leg] of basket.legs.entries()) {
+        const freshLeg = freshBasket.legs[idx];
+        if (!!leg.error !== !!freshLeg.error) return `${leg.symbol} ${freshLeg.error ? 'can no longer be quoted' : 'can now be quoted'}`;
+        const reason = leg.quote && getQuoteExpiryReason(leg.quote, freshLeg.quote);
+        if (reason) return `${leg.symbol}: ${reason}`;
+    }
+    return null;
+}
+
+async function fetchPayWithOptions(market) {
+    const network = getNetwork(market.networkId);
+    const candidates = [market.tokenAddress, market.quoteTokenAddress, network.wrappedNativeAddress, network.stablecoinAddress, ...network.payWithTokens]
+        .filter(Boolean)
+        .map(address => getAddress(address))
+        .filter((address, idx, all) => all.indexOf(address) === idx);
+
+    const [ethBalance, ...tokenOptions] = await Promise.all([
+        network.provider.getBalance(network.wallet.address),
+        ...candidates.map(async (address) => {
+            const [{ symbol, decimals }, balance] = await Promise.all([
+                getCachedTokenInfo(network, address),
+                getAssetBalance(network, address)
+            ]);
+            return { address, symbol, decimals, balance };
+        })
+    ]);
+
+    return [{ ...getNativeAsset(network), balance: ethBalance }, ...tokenOptions.filter(option => option.balance > 0n)];
+}
+
+function getAvailableExitAssets(position) {
+    const { networkId, quoteTokenAddress } = getPositionMarket(position);
+    const network = getNetwork(networkId);
+    const assets = ['eth', 'token'];
+    // Pairs quoted in something other than the wrapped native coin or the stablecoin can also exit into their quote token.
+    if (!isSameAsset(quoteTokenAddress, network.wrappedNativeAddress) &&
+        !(network.stablecoinAddress && isSameAsset(quoteTokenAddress, network.stablecoinAddress))) {
+        assets.push('quote');
+    }
+    if (network.stablecoinAddress) assets.push('stable');
+    return assets;
+}
+
+// The exit asset is a per-chat preference, so fall back to ETH for positions that do not offer it.
+function resolveExitAsset(position, exitAsset) {
+    return getAvailableExitAssets(position).includes(exitAsset) ? exitAsset : 'eth';
+}
+
+async function getExitAssetInfo(exitAsset, market) {
+    const network = getNetwork(market.networkId);
+    const addresses = { token: market.tokenAddress, quote: market.quoteTokenAddress, stable: network.stablecoinAddress };
+    const address = addresses[exitAsset];
+    if (address) {
+        const { symbol, decimals } = await getCachedTokenInfo(network, address);
+        return { address, symbol, decimals };
+    }
+    return getNativeAsset(network);
+}
+
+async function getAssetBalance(network, assetAddress) {
+    if (!assetAddress) return network.provider.getBalance(network.wallet.address);
+    return new Contract(assetAddress, ERC20_ABI, network.provider).balanceOf(network.wallet.address);
+}
+
+async function buildZapOutQuote(position, percentage, exitAsset = 'eth') {
+    if (!getAvailableExitAssets(position).includes(exitAsset)) {
+        throw new Error(`Exit asset "${exitAsset}" is not available.`);
+    }
+
+    const market = getPositionMarket(position);
+    const network = getNetwork(market.networkId);
+    const exitSide = exitAsset === 'token' ? 'token' : 'quote';
+    const pairContract = new Contract(market.pairAddress, UNISWAP_V2_PAIR_ABI, network.provider);
+    const [lpBalance, tokenInfo, quoteInfo, outAsset, zapOutAsset] = await Promise.all([
+        pairContract.balanceOf(network.wallet.address),
+        getCachedTokenInfo(network, market.tokenAddress),
+        getCachedTokenInfo(network, market.quoteTokenAddress),
+        getExitAssetInfo(exitAsset, market),
+        exitSide === 'token' ? getExitAssetInfo('token', market) : getZapAsset(market)
+    ]);
+
+    if (lpBalance === 0n) {
+        throw new Error("You have no LP tokens for this pair. The position may have already been closed.");
+    }
+
+    // Exits into an asset outside the pair zap out to the quote side first and then swap through the router.
+    const needsSwap = !isSameAsset(outAsset.address, zapOutAsset.address);
+    const liquidity = (lpBalance * BigInt(percentage)) / 100n;
+    const gasLimit = CONSTANTS.ZAP_OUT_GAS_LIMIT_ESTIMATE + (needsSwap
+        ? CONSTANTS.SWAP_GAS_LIMIT_ESTIMATE + (zapOutAsset.address ? CONSTANTS.APPROVE_GAS_LIMIT_ESTIMATE : 0n)
+        : 0n);
+    const taxes = await getTransferTax(market);
+    const [pairQuote, gasCost] = await Promise.all([
+        calculateZapOutQuote(market, liquidity, exitSide, taxes),
+        estimateGasCost(network, gasLimit)
+    ]);
+    const swapQuote = needsSwap ? await quoteRouterSwap(network, zapOutAsset.address, outAsset.address, pairQuote.expectedOut) : null;
+
+    return {
+        ...market,
+        tokenSymbol: tokenInfo.symbol,
+        tokenDecimals: tokenInfo.decimals,
+        quoteSymbol: quoteInfo.symbol,
+        quoteDecimals: quoteInfo.decimals,
+        exitAsset,
+        exitSide,
+        outAsset,
+        zapOutAsset,
+        percentage,
+        lpBalance,
+        liquidity,
+        ...pairQuote,
+        swapQuote,
+        ...gasCost,
+        createdAt: Date.now()
+    };
+}
+
+// Returns the receipt, LP acquired and cost of the zap, or `{ error }` after reporting a failure in the message.
+async function executeZapIn(ctx, messageId, quote) {
+    const { networkId, pairAddress, tokenAddress, quoteTokenAddress, payWith, txOptionsData } = quote;
+    const market = { networkId, pairAddress, tokenAddress, quoteTokenAddress };
+    const network = getNetwork(networkId);
+    const amountLabel = `${quote.amount} ${payWith.symbol}`;
+    // Message edits never decide the outcome: a failed edit after the zap was mined must not report it as failed.
+    const edit = (text, options) => ctx.api.editMessageText(ctx.chat.id, messageId, text, options)
+        .catch(e => log('warn', `Could not update zap in message: ${e.description || e.message}`));
+    let receipt = null;
+    let gasFeesPaid = 0n;
+    // Approvals and the pre-swap that were already mined, and what the pre-swap left in the wallet, so any later
+    // failure can tell the user their input is no longer in `payWith`.
+    const sentSteps = [];
+    let preSwap = null;
+
+    try {
+        await edit(
+            `🚀 **Zapping ${amountLabel}...**\n\n` +
+            `*Transaction Details:*\n` +
+            `Gas Price: ~${parseFloat(formatUnits(txOptionsData.gasPrice, "gwei")).toFixed(1)} Gwei\n` +
+            `Est. Fee: ~$${quote.estimatedFeeUsd.toFixed(4)}\n` +
+            `Slippage: ${(quote.slippageBps / 100).toFixed(2)}%\n\n` +
+            `_Sending transaction..._`,
+            { parse_mode: 'Markdown', reply_markup: undefined });
+
+        // A router pre-swap turns the input into the zap asset; the zap leg is then re-quoted with what actually arrived.
+        let zapQuote = quote;
+        if (quote.payMode === 'swap') {
+            const { outAsset } = quote.preSwap;
+            const swapResult = await executeRouterSwap(network, quote.preSwap, txOptionsData, (swapTx) =>
+                edit(
+                    `🔁 Swapping ${amountLabel} to ${outAsset.symbol}...\n\n${getExplorerTxLink(network, swapTx.hash)}`,
+                    { parse_mode: 'Markdown', disable_web_page_preview: true }), ctx.chat.id);
+            gasFeesPaid += swapResult.gasFee;
+            if (swapResult.approved) sentSteps.push(`${payWith.symbol} approval`);
+            sentSteps.push(`${payWith.symbol} to ${outAsset.symbol} swap`);
+            preSwap = { hash: swapResult.hash, amount: formatUnits(swapResult.amountOut, outAsset.decimals), symbol: outAsset.symbol };
+            zapQuote = await buildZapInQuote(market, formatUnits(swapResult.amountOut, outAsset.decimals), outAsset);
+        }
+
+        const deadline = Math.floor(Date.now() / 1000) + (CONSTANTS.DEADLINE_MINUTES * 60);
+        const feeOptions = {
+            maxFeePerGas: txOptionsData.maxFeePerGas,
+            maxPriorityFeePerGas: txOptionsData.maxPriorityFeePerGas
+        };
+
+        // ERC-20 zaps need the allowance in place before they can be simulated.
+        let zapMethod, zapArgs, zapOverrides;
+        if (zapQuote.payMode === 'pair') {
+            const approvalFee = await ensureAllowance(
+                network, zapQuote.payWith.address, network.zapperAddress, zapQuote.amountIn, txOptionsData, ctx.chat.id);
+            if (approvalFee > 0n) sentSteps.push(`${zapQuote.payWith.symbol} approval`);
+            gasFeesPaid += approvalFee;
+            zapMethod = network.zapperContract.zapIn;
+            zapArgs = [
+                quoteTokenAddress,
+                tokenAddress,
+                zapQuote.payWith.address,
+                zapQuote.amountIn,
+                zapQuote.amountAMin,
+                zapQuote.amountBMin,
+                network.wallet.address,
+                deadline,
+                zapQuote.slippageBps
+            ];
+            zapOverrides = feeOptions;
+        } else {
+            zapMethod = network.zapperContract.zapInETH;
+            zapArgs = [
+                tokenAddress,
+                zapQuote.amountAMin,
+                zapQuote.amountBMin,
+                network.wallet.address,
+                deadline,
+                zapQuote.slippageBps
+            ];
+            zapOverrides = { ...feeOptions, value: zapQuote.amountIn };
+        }
+
+        const gasLimit = await simulateTransaction(zapMethod, zapArgs, zapOverrides, CONSTANTS.ZAP_IN_GAS_LIMIT_BUFFER_PERCENT, sentSteps);
+        log("info", `Zap-in simulation passed, gas limit ${gasLimit}`);
+        const tx = await sendContractTransaction(network, zapMethod, zapArgs, { ...zapOverrides, gasLimit },
+            { label: `Zap in to ${quote.tokenSymbol}/${quote.quoteSymbol}`, chatId: ctx.chat.id });
+
+        log("info", `Zap-in transaction submitted: ${tx.hash}`);
+        await edit(
+            `✅ Transaction sent! Waiting for confirmation...\n\n${getExplorerTxLink(network, tx.hash)}`,
+            { parse_mode: 'Markdown', disable_web_page_preview: true });
+
+        receipt = await waitForTransaction(network, tx, {
+            type: 'zap_in',
+            pairAddress,
+            tokenAddress,
+            tokenSymbol: quote.tokenSymbol,
+            assetIn: zapQuote.payWith.symbol,
+            amountIn: formatUnits(zapQuote.amountIn, zapQuote.payWith.decimals),
+            assetOut: `${quote.tokenSymbol}/${quote.quoteSymbol} LP`
+        });
+        log("info", `Zap-in confirmed on ${network.name} in block ${receipt.blockNumber} for ${amountLabel} into pair ${pairAddress}`);
+
+        // Cost basis is what the input was worth when quoted (exact for native input) plus every fee paid on the way in.
+        const lpAcquired = sumTransfersTo(receipt, pairAddress, network.wallet.address);
+        updateTransaction(receipt.hash, { amountOut: formatEther(lpAcquired) });
+        const ethValueIn = payWith.address ? quote.ethValue : quote.amountIn;
+        const ethSpent = ethValueIn + gasFeesPaid + receipt.fee;
+        const savedPosition = await updateAndSavePosition(market, formatEther(zapQuote.ethValue), {
+            txHash: receipt.hash,
+            lpAmount: lpAcquired,
+            ethValue: ethValueIn,
+            ethSpent,
+            gasFee: gasFeesPaid + receipt.fee,
+            reserveQuote: zapQuote.reserveQuote,
+            reserveToken: zapQuote.reserveToken,
+            quotePriceInWei: zapQuote.quotePriceInWei,
+            quoteDecimals: zapQuote.quoteDecimals
+        });
+
+        const keyboard = new InlineKeyboard().text("📊 View Position", `show_position:${savedPosition.id}`);
+        await edit(
+            `✅ **Zap In Successful!**\n\n` +
+            `Pair: ${quote.tokenSymbol}/${quote.quoteSymbol}\n` +
+            `Network: ${network.name}\n` +
+            `Amount: ${amountLabel}` +
+            (payWith.address ? ` (~${parseFloat(formatEther(zapQuote.ethValue)).toFixed(6)} ${network.nativeSymbol})` : '') + `\n` +
+            `LP Tokens: ${parseFloat(formatEther(lpAcquired)).toPrecision(6)}\n` +
+            `Cost incl. Gas: ${parseFloat(formatEther(ethSpent)).toFixed(6)} ${network.nativeSymbol}\n` +
+            `Block: ${receipt.blockNumber}`,
+            { reply_markup: keyboard, parse_mode: 'Markdown' });
+        return { receipt, lpAcquired, ethSpent, gasFee: gasFeesPaid + receipt.fee, position: savedPosition };
+
+    } catch (e) {
+        log("error", "Zap In execution error:", e);
+        const error = formatZapInError(e);
+        if (!receipt) {
+            const alreadySent = sentSteps.length > 0
+                ? `\n\n*Already sent:* ${sentSteps.join(', ')} (see /history).` +
+                (preSwap ? ` Your ${amountLabel} is now ${preSwap.amount} ${preSwap.symbol} in the wallet.\n${getExplorerTxLink(network, preSwap.hash)}` : '')
+                : '';
+            await edit(`❌ *Zap In Failed*\n\n*Reason:* ${error}${alreadySent}`, { parse_mode: 'Markdown', disable_web_page_preview: true });
+            return { error };
+        }
+        // The zap was mined, so callers still get what it bought; only the bookkeeping after it failed.
+        await edit(
+            `⚠️ *Zap In mined, but recording it failed*\n\n*Reason:* ${error}\n\n${getExplorerTxLink(network, receipt.hash)}`,
+            { parse_mode: 'Markdown', disable_web_page_preview: true });
+        return {
+            receipt,
+            lpAcquired: sumTransfersTo(receipt, pairAddress, network.wallet.address),
+            gasFee: gasFeesPaid + receipt.fee,
+            error
+        };
+    }
+}
+
+// Runs the quoted legs of a basket one after another through executeZapIn, each reporting into its own message.
+// Legs after the first are re-quoted right before they run; a leg whose pool moved beyond QUOTE_MAX_RESERVE_DRIFT_BPS
+// since the confirmation, or that fails, is reported and the remaining legs still run.
+async function executeBasketZap(ctx, messageId, basket) {
+    const network = getNetwork(basket.networkId);
+    const runnable = basket.legs.filter(leg => !leg.error);
+    const results = basket.legs.filter(leg => leg.error).map(leg => ({ leg, error: `not quoted: ${leg.error}` }));
+
+    for (const [idx, leg] of runnable.entries()) {
+        const label = `${leg.quote.tokenSymbol}/${leg.quote.quoteSymbol}`;
+        await ctx.api.editMessageText(ctx.chat.id, messageId,
+            `🧺 **Basket Zap**\n\n⏳ Leg ${idx + 1} of ${runnable.length}: ${label}...`,
+            { parse_mode: 'Markdown' }).catch(() => { });
+
+        let quote = leg.quote;
+        if (idx > 0) {
+            try {
+                quote = await buildZapInQuote(leg.market, formatEther(leg.amount));
+            } catch (e) {
+                log("warn", `Basket leg ${label} could not be re-quoted:`, e.message);
+                results.push({ leg, error: formatZapInError(e) });
+                continue;
+            }
+            const driftBps = Math.max(
+                calculateReserveDriftBps(leg.quote.reserveQuote, quote.reserveQuote),
+                calculateReserveDriftBps(leg.quote.reserveToken, quote.reserveToken)
+            );
+            if (driftBps > CONSTANTS.QUOTE_MAX_RESERVE_DRIFT_BPS) {
+                results.push({ leg, error: `pool reserves moved ${(driftBps / 100).toFixed(2)}% since confirmation` });
+                continue;
+            }
+        }
+
+        const legMessage = await ctx.reply(`⏳ Leg ${idx + 1}/${runnable.length}: zapping ${formatEther(leg.amount)} ${network.nativeSymbol} into ${label}...`);
+        results.push({ leg, ...await executeZapIn(ctx, legMessage.message_id, quote) });
+    }
+
+    const succeeded = results.filter(result => result.receipt);
+    const totalSpent = succeeded.reduce((sum, result) => sum + result.ethSpent, 0n);
+    const lines = basket.legs.map((leg) => {
+        const result = results.find(entry => entry.leg === leg);
+        return !result.receipt
+            ? `❌ *${leg.symbol}*: ${result.error}`
+            : `✅ *${leg.symbol}*: ${formatEther(leg.amount)} ${network.nativeSymbol} → ${parseFloat(formatEther(result.lpAcquired)).toPrecision(6)} LP`;
+    });
+    log("info", `Basket zap on ${network.name}: ${succeeded.length} of ${basket.legs.length} legs succeeded`);
+
+    await ctx.api.editMessageText(ctx.chat.id, messageId,
+        `🧺 **Basket Zap ${succeeded.length === basket.legs.length ? 'Complete' : 'Finished'}** (${succeeded.length} of ${basket.legs.length} legs)\n\n` +
+        `${lines.join('\n')}\n\n` +
+        `Cost incl. Gas: ${parseFloat(formatEther(totalSpent)).toFixed(6)} ${network.nativeSymbol}` +
+        (succeeded.length > 0 ? `\n\nUse /positions to view the new positions.` : ''),
+        { parse_mode: 'Markdown' }).catch(() => { });
+}
+
+// Sums the ERC-20 Transfer logs of `tokenAddress` to `recipient` in a receipt. Unlike a balance delta, this only counts
+// what the transaction itself delivered, whatever else the wallet received meanwhile.
+function sumTransfersTo(receipt, tokenAddress, recipient) {
+    return receipt.logs
+        .filter(entry => entry.topics[0] === TRANSFER_TOPIC && isSameAsset(entry.address, tokenAddress))
+        .map(entry => pairInterface.parseLog(entry))
+        .filter(parsed => isSameAsset(parsed.args.to, recipient))
+        .reduce((sum, parsed) => sum + parsed.args.value, 0n);
+}
+
+// Native coin output leaves no Transfer log: the wrapped native token is unwrapped by `unwrapper` (the Zapper or the
+// router) and forwarded, so the amount is read from the wrapped token's Withdrawal logs instead.
+function sumReceivedFromReceipt(network, receipt, assetAddress, unwrapper) {
+    if (assetAddress) return sumTransfersTo(receipt, assetAddress, network.wallet.address);
+    return receipt.logs
+        .filter(entry => entry.topics[0] === WITHDRAWAL_TOPIC && isSameAsset(entry.address, network.wrappedNativeAddress))
+        .map(entry => wrappedNativeInterface.parseLog(entry))
+        .filter(parsed => isSameAsset(parsed.args.src, unwrapper))
+        .reduce((sum, parsed) => sum + parsed.args.wad, 0n);
+}
+
+// Executes a quote from quoteRouterSwap and returns the amount of the output asset that arrived, read from the swap's
+// receipt, plus the gas paid and whether an approval had to be sent first.
+async function executeRouterSwap(network, swapQuote, txOptionsData, onSubmitted, chatId) {
+    const { fromAddress, toAddress, path, amountIn, amountOutMin } = swapQuote;
+    const router = network.routerContract.connect(network.wallet);
+    const recipient = network.wallet.address;
+    const deadline = Math.floor(Date.now() / 1000) + (CONSTANTS.DEADLINE_MINUTES * 60);
+    const txOptions = {
+        maxFeePerGas: txOptionsData.maxFeePerGas,
+        maxPriorityFeePerGas: txOptionsData.maxPriorityFeePerGas
+    };
+
+    const approvalFee = fromAddress
+        ? await ensureAllowance(network, fromAddress, network.routerAddress, amountIn, txOptionsData, chatId)
+        : 0n;
+
+    let swapMethod, swapArgs, swapOverrides = txOptions;
+    if (!fromAddress) {
+        swapMethod = router.swapExactETHForTokens;
+        swapArgs = [amountOutMin, path, recipient, deadline];
+        swapOverrides = { ...txOptions, value: amountIn };
+    } else if (!toAddress) {
+        swapMethod = router.swapExactTokensForETH;
+        swapArgs = [amountIn, amountOutMin, path, recipient, deadline];
+    } else {
+        swapMethod = router.swapExactTokensForTokens;
+        swapArgs = [amountIn, amountOutMin, path, recipient, deadline];
+    }
+
+    const [fromAsset, toAsset] = await Promise.all([getAssetInfo(network, fromAddress), getAssetInfo(network, toAddress)]);
+    const gasLimit = await simulateTransaction(swapMethod, swapArgs, swapOverrides, CONSTANTS.SWAP_GAS_LIMIT_BUFFER_PERCENT,
+        approvalFee > 0n ? [`${fromAsset.symbol} approval`] : []);
+    const swapTx = await sendContractTransaction(network, swapMethod, swapArgs, { ...swapOverrides, gasLimit },
+        { label: `Swap ${fromAsset.symbol} to ${toAsset.symbol}`, chatId });
+
+    log("info", `Router swap transaction submitted: ${swapTx.hash} (path ${path.join(' -> ')})`);
+    await onSubmitted(swapTx);
+
+    const receipt = await waitForTransaction(network, swapTx, {
+        type: 'swap',
+        tokenAddress: toAddress ?? fromAddress,
+        tokenSymbol: toAddress ? toAsset.symbol : fromAsset.symbol,
+        assetIn: fromAsset.symbol,
+        amountIn: formatUnits(amountIn, fromAsset.decimals),
+        assetOut: toAsset.symbol
+    });
+    log("info", `Router swap confirmed in block ${receipt.blockNumber}`);
+
+    const amountOut = sumReceivedFromReceipt(network, receipt, toAddress, network.routerAddress);
+    updateTransaction(receipt.hash, { amountOut: formatUnits(amountOut, toAsset.decimals) });
+    return {
+        hash: receipt.hash,
+        amountOut,
+        gasFee: approvalFee + receipt.fee,
+        approved: approvalFee > 0n
+    };
+}
+
+const exitsInProgress = new Set();
+
+// Sends the zap out for a prepared quote and records the exit. `notify.status` edits the progress message and
+// `notify.reply` sends a new one, so chat handlers and the rule monitor share the same execution path.
+// `notify.chatId` receives stuck-transaction notices. Once the zap out is mined this no longer throws: a failed
+// follow-up swap comes back as `swapError`, with the zap-out asset left in the wallet.
+async function performZapOut(quote, notify) {
+    const { percentage, liquidity: liquidityToZap, txOptionsData, outAsset, zapOutAsset, swapQuote } = quote;
+    const network = getNetwork(quote.networkId);
+    const tokenOut = quote.exitSide === 'token' ? quote.tokenAddress : quote.quoteTokenAddress;
+    const formatOut = (amount, decimals) => parseFloat(formatUnits(amount, decimals)).toPrecision(6);
+
+    const exitKey = `${network.id}:${quote.pairAddress.toLowerCase()}`;
+    if (exitsInProgress.has(exitKey)) throw new Error("A zap out for this position is already in progress.");
+    exitsInProgress.add(exitKey);
+
+    try {
+        const pairContract = new Contract(quote.pairAddress, UNISWAP_V2_PAIR_ABI, network.wallet);
+
+        const deadline = Math.floor(Date.now() / 1000) + (CONSTANTS.DEADLINE_MINUTES * 60);
+        const lpLabel = `${quote.tokenSymbol}/${quote.quoteSymbol} LP`;
+
+        // An existing allowance is used as is. Otherwise a signed permit replaces the approve transaction
+        // when the Zapper and the pair support it.
+        const allowance = await pairContract.allowance(network.wallet.address, network.zapperAddress);
+        const permit = allowance >= liquidityToZap ? null : await signPairPermit(
+            network, quote.pairAddress, network.zapperAddress, liquidityToZap, deadline
+        ).catch((error) => {
+            log("warn", `LP permit unavailable for ${quote.pairAddress}: ${error.shortMessage || error.message}`);
+            return null;
+        });
+        let gasFeesPaid = 0n;
+        const sentSteps = [];
+        if (permit) {
+            log("info", `Signed LP permit for ${formatEther(liquidityToZap)} LP tokens.`);
+        } else {
+            gasFeesPaid += await ensureAllowance(network, quote.pairAddress, network.zapperAddress, liquidityToZap, txOptionsData,
+                notify.chatId, { pairAddress: quote.pairAddress, tokenSymbol: lpLabel });
+            if (gasFeesPaid > 0n) sentSteps.push(`${lpLabel} approval`);
+        }
+
+        const zapOutArgs = [
+            quote.quoteTokenAddress,
+            quote.tokenAddress,
+            liquidityToZap,
+            tokenOut,
+            quote.amountOutMin, quote.amountAMin, quote.amountBMin,
+            network.wallet.address,
+            deadline,
+            quote.slippageBps,
+            ...(permit ? [permit.v, permit.r, permit.s] : [])
+        ];
+        const zapOutMethod = permit ? network.zapperContract.zapOutWithPermit : network.zapperContract.zapOut;
+        const feeOptions = {
+            maxFeePerGas: txOptionsData.maxFeePerGas,
+            maxPriorityFeePerGas: txOptionsData.maxPriorityFeePerGas
+        };
+
+        const gasLimit = await simulateTransaction(
+            zapOutMethod, zapOutArgs, feeOptions, CONSTANTS.ZAP_OUT_GAS_LIMIT_BUFFER_PERCENT, sentSteps);
+        log("info", `Zap-out simulation passed, gas limit ${gasLimit}`);
+
+        const estimatedFeeWei = gasLimit * txOptionsData.gasPrice;
+        const ethPriceUsd = await getCachedEthPriceInUsd(network);
+        const estimatedFeeUsd = parseFloat(formatEther(estimatedFeeWei)) * ethPriceUsd;
+
+        await notify.status(
+            `⏳ Executing ${percentage}% Zap Out...\n\n` +
+            `*Expected Out:* ~${formatOut(quote.expectedOut, zapOutAsset.decimals)} ${zapOutAsset.symbol}\n` +
+            `*Min Accepted:* ${formatOut(quote.amountOutMin, zapOutAsset.decimals)} ${zapOutAsset.symbol}\n` +
+            `*Slippage:* ${(quote.slippageBps / 100).toFixed(2)}%\n\n` +
+            `*Est. Fee:*\n` +
+            `Gas Price: ~${parseFloat(formatUnits(txOptionsData.gasPrice, "gwei")).toFixed(1)} Gwei\n` +
+            `Tx Fee: ~$${estimatedFeeUsd.toFixed(4)}\n\n` +
+            `_Sending transaction..._`,
+            { parse_mode: 'Markdown' }
+        );
+
+        const zapOutTx = await sendContractTransaction(network, zapOutMethod, zapOutArgs, { ...feeOptions, gasLimit },
+            { label: `Zap out of ${quote.tokenSymbol}/${quote.quoteSymbol}`, chatId: notify.chatId });
+
+        log("info", `Zap-out transaction submitted: ${zapOutTx.hash}`);
+        await notify.reply(
+            `✅ Transaction sent! Waiting for confirmation...\n\n${getExplorerTxLink(network, zapOutTx.hash)}`,
+            { parse_mode: 'Markdown', disable_web_page_preview: true }
+        );
+
+        const receipt = await waitForTransaction(network, zapOutTx, {
+            type: 'zap_out',
+            pairAddress: quote.pairAddress,
+            tokenAddress: quote.tokenAddress,
+            tokenSymbol: quote.tokenSymbol,
+            assetIn: lpLabel,
+            amountIn: formatEther(liquidityToZap),
+            assetOut: zapOutAsset.symbol
+        });
+        log("info", `Zap-out confirmed on ${network.name} in block ${receipt.blockNumber} for ${percentage}% of pair ${quote.pairAddress}`);
+
+        // The exit is recorded from the zap-out proceeds as soon as the zap out is mined, so a failing follow-up swap
+        // cannot leave a closed position on the books.
+        const zapOutReceived = sumReceivedFromReceipt(network, receipt, zapOutAsset.address, network.zapperAddress);
+        updateTransaction(receipt.hash, { amountOut: formatUnits(zapOutReceived, zapOutAsset.decimals) });
+        gasFeesPaid += receipt.fee;
+
+        const exit = await recordPositionExit(quote, {
+            txHash: receipt.hash,
+            lpAmount: liquidityToZap,
+            ethReceived: await valueAssetInEth(quote, zapOutAsset, zapOutReceived),
+            gasFee: gasFeesPaid
+        });
+
+        let receivedAsset = zapOutAsset, amountReceived = zapOutReceived, swapError = null;
+        if (swapQuote) {
+            try {
+                // Re-quote against current reserves: the actual amount received can differ from the zap-out estimate.
+                const freshSwapQuote = await quoteRouterSwap(network, zapOutAsset.address, outAsset.address, zapOutReceived);
+                const swapResult = await executeRouterSwap(network, freshSwapQuote, txOptionsData, (swapTx) => notify.reply(
+                    `🔁 Swapping ${formatOut(freshSwapQuote.amountIn, zapOutAsset.decimals)} ${zapOutAsset.symbol} to ${outAsset.symbol}...\n\n${getExplorerTxLink(network, swapTx.hash)}`,
+                    { parse_mode: 'Markdown', disable_web_page_preview: true }
+                ), notify.chatId);
+                receivedAsset = outAsset;
+                amountReceived = swapResult.amountOut;
+            } catch (e) {
+                log("error", `Swap to ${outAsset.symbol} after zap out ${receipt.hash} failed:`, e);
+                swapError = formatZapOutError(e);
+            }
+        }
+
+        const outBalance = await getAssetBalance(network, receivedAsset.address).catch(() => null);
+        const summary =
+            `Received: ${formatOut(amountReceived, receivedAsset.decimals)} ${receivedAsset.symbol}` +
+            (swapQuote && !swapError ? ` (min ${formatOut(swapQuote.amountOutMin, outAsset.decimals)})` : '') + `\n` +
+            (swapError ? `Swap to ${outAsset.symbol} failed: ${swapError}\n` : '') +
+            (outBalance !== null ? `Balance: ${formatOut(outBalance, receivedAsset.decimals)} ${receivedAsset.symbol}\n` : '') +
+            (exit ? `Realized PnL: ${formatPnl(BigInt(exit.realizedPnl), exit.ethPriceUsd, network.nativeSymbol)}\n` : '') +
+            `Block: ${receipt.blockNumber}`;
+
+        return { receipt, exit, summary, swapError };
+    } finally {
+        exitsInProgress.delete(exitKey);
+    }
+}
+
+async function executeZapOut(ctx, position, quote) {
+    const { percentage, outAsset } = quote;
+
+    await ctx.editMessageText(`⏳ Processing ${percentage}% Zap Out to ${outAsset.symbol}...`, { reply_markup: undefined });
+
+    try {
+        const { summary, swapError } = await performZapOut(quote, {
+            status: (text, options) => ctx.editMessageText(text, options),
+            reply: (text, options) => ctx.reply(text, options),
+            chatId: ctx.chat.id
+        });
+
+        const newPositions = loadPositions();
+        if (percentage === 100) {
+            ctx.session.positionId = null;
+        }
+
+        await ctx.reply(swapError
+            ? `⚠️ **${percentage}% Zapped Out, Swap Failed**\n\n${summary}`
+            : `✅ **${percentage}% Zap Out Successful!**\n\n${summary}`, { parse_mode: 'Markdown' });
+
+        if (newPositions.length > 0) {
+            await displayPosition(ctx, true);
+        } else {
+            await ctx.editMessageText("🎉 All positions have been closed!", { reply_markup: undefined });
+        }
+    } catch (e) {
+        log("error", "Zap Out Error:", e);
+        await ctx.reply(`❌ *Zap Out Failed*\n\n*Reason:* ${formatZapOutError(e)}`, { parse_mode: 'Markdown' });
+        await displayPosition(ctx, true).catch(() => { });
+    }
+}
+
+async function updateAndSavePosition(market, ethAmount, entry) {
+    const network = getNetwork(market.networkId);
+    const pairInfo = await getCachedPairInfo(network, market.tokenAddress, market.quoteTokenAddress);
+
+    return writePosition(market, (existing) => {
+        const position = existing ?? {
+            networkId: network.id,
+            chainId: network.chainId,
+            dex: network.dex,
+            tokenAddress: market.tokenAddress,
+            quoteTokenAddress: market.quoteTokenAddress,
+            pairAddress: market.pairAddress,
+            initialEthValue: ethAmount,
+            initialMarketCap: pairInfo.marketCap,
+            timestamp: Date.now(),
+            costBasis: '0',
+            lpAmount: '0'
+        };
+        if (existing) {
+            const oldEth = parseFloat(position.initialEthValue);
+            const newEth = parseFloat(ethAmount);
+            const oldMCap = parseFloat(position.initialMarketCap);
+            const newMCap = parseFloat(pairInfo.marketCap);
+            const totalEth = oldEth + newEth;
+            position.initialMarketCap = (((oldMCap * oldEth) + (newMCap * newEth)) / totalEth).toString();
+            position.initialEthValue = totalEth.toString();
+            position.quoteTokenAddress = market.quoteTokenAddress;
+            position.timestamp = Date.now();
+        }
+
+        const accounting = getPositionAccounting(position);
+        position.entries = [...accounting.entries, {
+            timestamp: Date.now(),
+            txHash: entry.txHash,
+            lpAmount: entry.lpAmount.toString(),
+            ethValue: entry.ethValue.toString(),
+            ethSpent: entry.ethSpent.toString(),
+            gasFee: entry.gasFee.toString(),
+            // Pool state at entry, used for the HODL and impermanent-loss comparison
+            reserveQuote: entry.reserveQuote.toString(),
+            reserveToken: entry.reserveToken.toString(),
+            quotePriceInWei: entry.quotePriceInWei.toString(),
+            quoteDecimals: entry.quoteDecimals.toString()
+        }];
+        position.lpAmount = (accounting.lpAmount + entry.lpAmount).toString();
+        position.costBasis = (accounting.costBasis + entry.ethSpent).toString();
+        return position;
+    });
+}
+
+// Accounting amounts are stored as wei strings so they survive the JSON round trip without losing precision.
+// Positions saved before per-entry accounting start with their recorded ETH value as cost basis.
+function getPositionAccounting(position) {
+    const legacyCostBasis = parseEther(parseFloat(position.initialEthValue || '0').toFixed(18));
+    return {
+        entries: position.entries ?? [],
+        exits: position.exits ?? [],
+        lpAmount: BigInt(position.lpAmount ?? 0),
+        costBasis: position.costBasis !== undefined ? BigInt(position.costBasis) : legacyCostBasis,
+        realizedPnl: BigInt(position.realizedPnl ?? 0),
+        realizedPnlUsd: position.realizedPnlUsd ?? 0
+    };
+}
+
+async function recordPositionExit(quote, exit) {
+    const network = getNetwork(quote.networkId);
+    const ethPriceUsd = await getCachedEthPriceInUsd(network);
+    let record = null;
+
+    writePosition(getPositionMarket(quote), (position) => {
+        if (!position) return null;
+        const accounting = getPositionAccounting(position);
+
+        // Cost basis is released in proportion to the share of the LP balance that was burned.
+        const costBasisReleased = quote.lpBalance > 0n && exit.lpAmount < quote.lpBalance
+            ? (accounting.costBasis * exit.lpAmount) / quote.lpBalance
+            : accounting.costBasis;
+        const realizedPnl = exit.ethReceived - exit.gasFee - costBasisReleased;
+
+        record = {
+            timestamp: Date.now(),
+            txHash: exit.txHash,
+            lpAmount: exit.lpAmount.toString(),
+            lpBalanceBefore: quote.lpBalance.toString(),
+            ethReceived: exit.ethReceived.toString(),
+            gasFee: exit.gasFee.toString(),
+            costBasisReleased: costBasisReleased.toString(),
+            realizedPnl: realizedPnl.toString(),
+            ethPriceUsd
+        };
+
+        position.exits = [...accounting.exits, record];
+        position.lpAmount = (accounting.lpAmount > exit.lpAmount ? accounting.lpAmount - exit.lpAmount : 0n).toString();
+        position.costBasis = (accounting.costBasis - costBasisReleased).toString();
+        position.realizedPnl = (accounting.realizedPnl + realizedPnl).toString();
+        position.realizedPnlUsd = accounting.realizedPnlUsd + parseFloat(formatEther(realizedPnl)) * ethPriceUsd;
+
+        if (quote.percentage === 100) {
+            log("info", `Position ${quote.pairAddress} on ${network.name} closed with realized PnL ${formatEther(BigInt(position.realizedPnl))} ${network.nativeSymbol}`);
+            position.closed = true;
+        }
+        return position;
+    });
+    return record;
+}
+
+// Values the wallet's LP share of a position in the native coin from live reserves.
+async function fetchPositionValue(position) {
+    const market = getPositionMarket(position);
+    const network = getNetwork(market.networkId);
+    const pairContract = new Contract(market.pairAddress, UNISWAP_V2_PAIR_ABI, network.provider);
+    const [tokenInfo, quoteInfo, currentPairInfo, ethPriceUsd, { reserveQuote, reserveToken, pairTotalSupply }, lpBalance] = await Promise.all([
+        getCachedTokenInfo(network, market.tokenAddress),
+        getCachedTokenInfo(network, market.quoteTokenAddress),
+        getCachedPairInfo(network, market.tokenAddress, market.quoteTokenAddress),
+        getCachedEthPriceInUsd(network),
+        fetchPairReserves(network, market.pairAddress, market.quoteTokenAddress),
+        pairContract.balanceOf(network.wallet.address)
+    ]);
+
+    if (pairTotalSupply === 0n) throw new Error("Pool has no liquidity.");
+
+    // Both sides of the pool are worth the same, so the LP share is valued at twice its quote side, converted to the native coin.
+    const userLpValueQuote = (reserveQuote * 2n * lpBalance) / pairTotalSupply;
+    const userLpValueWei = (userLpValueQuote * currentPairInfo.quotePriceInWei) / (10n ** quoteInfo.decimals);
+
+    return {
+        market, network, tokenInfo, quoteInfo, currentPairInfo, ethPriceUsd,
+        reserveQuote, reserveToken, pairTotalSupply, lpBalance, userLpValueWei
+    };
+}
+
+// Replays entries and exits in order to find what the ETH put into the position would be worth if it had been
+// held instead: all in ETH, or half in ETH and half in the token bought at the entry price. Exits shrink the
+// hold by the share of LP burned so the comparison always matches the LP still held.
+function calculateHodlComparison(position, accounting, tokenDecimals, currentPriceInWei, currentMarketCap) {
+    const tokenUnit = 10n ** tokenDecimals;
+
+    // Entries recorded without a pool snapshot fall back to an entry price backed out of the market cap change.
+    const marketCapRatio = parseFloat(position.initialMarketCap) / parseFloat(currentMarketCap);
+    const fallbackPriceInWei = Number.isFinite(marketCapRatio) && marketCapRatio > 0
+        ? (currentPriceInWei * BigInt(Math.round(marketCapRatio * 1e9))) / 1_000_000_000n
+        : 0n;
+
+    const entryLegs = accounting.entries.length > 0
+        ? accounting.entries.map(entry => {
+            const reserveToken = BigInt(entry.reserveToken ?? 0);
+            return {
+                timestamp: entry.timestamp,
+                ethIn: entry.ethValue !== undefined ? BigInt(entry.ethValue) : BigInt(entry.ethSpent) - BigInt(entry.gasFee),
+                priceInWei: reserveToken > 0n
+                    ? (BigInt(entry.reserveQuote) * tokenUnit * BigInt(entry.quotePriceInWei)) / (reserveToken * (10n ** BigInt(entry.quoteDecimals)))
+                    : fallbackPriceInWei
+            };
+        })
+        : [{ timestamp: 0, ethIn: accounting.costBasis, priceInWei: fallbackPriceInWei }];
+
+    const exitLegs = accounting.exits
+        .filter(exit => exit.lpBalanceBefore !== undefined)
+        .map(exit => ({ timestamp: exit.timestamp, lpAmount: BigInt(exit.lpAmount), lpBalanceBefore: BigInt(exit.lpBalanceBefore) }));
+
+    let ethHeld = 0n, halfEthHeld = 0n, tokensHeld = 0n;
+    for (const leg of [...entryLegs, ...exitLegs].sort((a, b) => a.timestamp - b.timestamp)) {
+        if (leg.ethIn !== undefined) {
+            ethHeld += leg.ethIn;
+            halfEthHeld += leg.ethIn / 2n;
+            if (leg.priceInWei > 0n) tokensHeld += ((leg.ethIn - leg.ethIn / 2n) * tokenUnit) / leg.priceInWei;
+        } else if (leg.lpBalanceBefore > 0n) {
+            const remaining = leg.lpBalanceBefore > leg.lpAmount ? leg.lpBalanceBefore - leg.lpAmount : 0n;
+            ethHeld = (ethHeld * remaining) / leg.lpBalanceBefore;
+            halfEthHeld = (halfEthHeld * remaining) / leg.lpBalanceBefore;
+            tokensHeld = (tokensHeld * remaining) / leg.lpBalanceBefore;
+        }
+    }
+
+    return {
+        ethHoldValue: ethHeld,
+        fiftyFiftyValue: halfEthHeld + (tokensHeld * currentPriceInWei) / tokenUnit,
+        tokensHeld
+    };
+}
+
+// Converts an amount of an exit asset into native-coin wei at the current pool price.
+async function valueAssetInEth(market, asset, amount) {
+    const network = getNetwork(market.networkId);
+    if (!asset.address || isSameAsset(asset.address, network.wrappedNativeAddress)) return amount;
+
+    const priceInWei = isSameAsset(asset.address, market.tokenAddress)
+        ? parseEther((await getCachedPairInfo(network, market.tokenAddress, market.quoteTokenAddress)).price)
+        : await getCachedQuotePriceInEth(network, asset.address);
+    return (amount * priceInWei) / (10n ** asset.decimals);
+}
+
+// =================================================================
+// --- TELEGRAM BOT SETUP & MIDDLEWARE ---
+// =================================================================
+
+const bot = new Bot(process.env.TELEGRAM_BOT_TOKEN);
+const activeWatchers = new Map();
+
+function stopWatcher(chatId) {
+    if (activeWatchers.has(chatId)) {
+        clearInterval(activeWatchers.get(chatId));
+        activeWatchers.delete(chatId);
+        log('info', `Stopped auto-refresh for chat ID: ${chatId}`);
+    }
+}
+
+bot.use(authorize);
+bot.use(session({ initial: () => ({ positionId: null, pendingZapOut: null, zapOutAsset: 'eth' }) }));
+bot.use(conversations());
+bot.use(createConversation(zapInConversation));
+bot.use(createConversation(dcaConversation));
+bot.use(createConversation(basketConversation));
+bot.use(createConversation(queueZapOutConversation));
+
+// =================================================================
+// --- COMMAND HANDLERS ---
+// =================================================================
+
+bot.command("start", (ctx) => {
+    stopWatcher(ctx.chat.id);
+    ctx.reply(
+        "🚀 **Welcome to Enhanced Uniswap V2 Zapper Bot!**\n\n" +
+        "✨ **Features:**\n" +
+        "• Dynamic slippage protection\n" +
+        "• Optimized gas management (EIP-1559)\n" +
+        "• Real-time position tracking\n" +
+        "• Enhanced error handling\n" +
+        "• Price impact calculation\n" +
+        "• Any Uniswap V2 pair, not just TOKEN/WETH\n" +
+        "• Multiple chains and V2 forks\n\n" +
+        "**Commands:**\n" +
+        "/zapin - Add liquidity to a pool\n" +
+        "/basket - Split one amount across several pools\n" +
+        "/positions - View and manage positions\n" +
+        "/rules - Take-profit and stop-loss exits\n" +
+        "/alerts - Price, market cap and liquidity alerts\n" +
+        "/history - Transaction history and CSV export\n" +
+        "/dca - Scheduled zap-ins into a pool\n" +
+        "/sync - Import and reconcile LP positions from the wallet\n" +
+        "/queue - Zaps waiting for low gas\n" +
+        "/approvals - List and revoke token allowances\n" +
+        "/help - Show help and instructions\n" +
+        "/status - Check bot and wallet status\n" +
+        "/settings - View configuration and access list (admin)",
+        { parse_mode: 'Markdown' }
+    );
+});
+
+bot.command("help", (ctx) => {
+    ctx.reply(
+        "📖 **Zapper Bot Help**\n\n" +
+        "**How to Zap In:**\n" +
+        "1. Use /zapin command\n" +
+        "2. Pick the network and DEX (when several are configured)\n" +
+        "3. Enter a token address (paired with WETH), a pair address, or two token addresses\n" +
+        "4. Choose the asset to pay with (native coin or an ERC-20)\n" +
+        "5. Review token info and choose amount\n" +
+        "6. Confirm transaction\n\n" +
+        "**How to Zap Out:**\n" +
         "1. Use /positions command\n" +
         "2. Navigate to your position\n" +
         "3. Choose zap out percentage\n" +
         "4. Confirm transaction\n\n" +
+        "**Exit Rules:**\n" +
+        "Use /rules to set take profit, stop loss or a trailing stop per position. " +
+        "The bot exits the whole position automatically and reports the result here.\n\n" +
+        "**DCA Plans:**\n" +
+        "Use /dca new to zap a fixed amount into a pool on a schedule, with an optional budget, end date and gas or price-impact limits. " +
+        "/dca lists your plans with pause, resume and cancel buttons.\n\n" +
+        "**Gas Queue:**\n" +
+        "Tap ⏳ Queue for Low Gas on a zap in or zap out review to run it once the base fee drops below your threshold, " +
+        "with an expiry. /queue lists waiting actions with cancel buttons.\n\n" +
         "**Features Explained:**\n" +
         "• *Dynamic Slippage*: Auto-adjusts based on price impact\n" +
         "• *Gas Optimization*: Uses EIP-1559 with configurable limits\n" +
@@ -742,19 +4359,36 @@ bot.command("help", (ctx) => {
 
 bot.command("status", async (ctx) => {
     try {
-        const balance = await provider.getBalance(wallet.address);
-        const ethPrice = await getCachedEthPriceInUsd();
-        const gasData = await getCachedTxOptions();
-        const positions = await loadPositions();
+        const positions = loadPositions();
+        const networkSections = await Promise.all([...NETWORKS.values()].map(async (network) => {
+            try {
+                const [balance, ethPrice, gasData, feeTiers] = await Promise.all([
+                    network.provider.getBalance(network.wallet.address),
+                    getCachedEthPriceInUsd(network),
+                    getCachedTxOptions(network),
+                    getCachedFeeHistoryTiers(network).catch(() => null)
+                ]);
+                const positionCount = positions.filter(p => getPositionMarket(p).networkId === network.id).length;
+                return `**${network.name}** (chain ${network.chainId})\n` +
+                    `Balance: ${parseFloat(formatEther(balance)).toFixed(4)} ${network.nativeSymbol} (~$${(parseFloat(formatEther(balance)) * ethPrice).toFixed(2)})\n` +
+                    `Gas Price: ${parseFloat(formatUnits(gasData.gasPrice, 'gwei')).toFixed(1)} Gwei\n` +
+                    `Fee Tiers: ${formatFeeTiers(feeTiers)}\n` +
+                    `RPC:\n${formatRpcHealth(network)}\n` +
+                    `Submission: ${network.privateRelayUrl ? `Private relay (${CONSTANTS.PRIVATE_RELAY_METHOD === 'bundle' ? 'bundle' : 'private tx'}${CONSTANTS.PRIVATE_RELAY_FALLBACK_PUBLIC ? ', public fallback' : ''})` : 'Public mempool'}\n` +
+                    `${network.nativeSymbol} Price: $${ethPrice.toFixed(2)}\n` +
+                    `Positions: ${positionCount}\n\n`;
+            } catch (e) {
+                log('warn', `Status unavailable for ${network.name}: ${e.message}`);
+                return `**${network.name}** (chain ${network.chainId})\n_Unavailable: RPC error_\nRPC:\n${formatRpcHealth(network)}\n\n`;
+            }
+        }));
 
         const statusMessage =
             `📊 **Bot Status**\n\n` +
             `**Wallet:**\n` +
-            `Address: \`${wallet.address}\`\n` +
-            `Balance: ${parseFloat(formatEther(balance)).toFixed(4)} ETH (~$${(parseFloat(formatEther(balance)) * ethPrice).toFixed(2)})\n\n` +
-            `**Network:**\n` +
-            `Gas Price: ${parseFloat(formatUnits(gasData.gasPrice, 'gwei')).toFixed(1)} Gwei\n` +
-            `ETH Price: $${ethPrice.toFixed(2)}\n\n` +
+            `Address: \`${getNetwork().wallet.address}\`\n\n` +
+            `**Networks:**\n` +
+            networkSections.join('') +
             `**Positions:**\n` +
             `Open Positions: ${positions.length}\n\n` +
             `**Configuration:**\n` +
@@ -769,19 +4403,320 @@ bot.command("status", async (ctx) => {
     }
 });
 
+bot.command("settings", async (ctx) => {
+    const formatIds = (ids) => ids.length > 0 ? ids.map(id => `\`${id}\``).join(', ') : '_none_';
+
+    await ctx.reply(
+        `⚙️ **Bot Settings**\n\n` +
+        `**Access Control:**\n` +
+        `Your Role: ${getUserRole(ctx.from.id)}\n` +
+        `Admins: ${formatIds(CONSTANTS.ADMIN_USER_IDS)}\n` +
+        `Traders: ${formatIds(CONSTANTS.TRADER_USER_IDS)}\n` +
+        `Viewers: ${formatIds(CONSTANTS.VIEWER_USER_IDS)}\n` +
+        `Allowed Chats: ${CONSTANTS.ALLOWED_CHAT_IDS.length > 0 ? formatIds(CONSTANTS.ALLOWED_CHAT_IDS) : '_any_'}\n\n` +
+        `**Trading:**\n` +
+        `Dynamic Slippage: ${CONSTANTS.ENABLE_DYNAMIC_SLIPPAGE ? 'Enabled' : 'Disabled'}\n` +
+        `Slippage Range: ${CONSTANTS.MIN_SLIPPAGE_BPS / 100}% - ${CONSTANTS.MAX_SLIPPAGE_BPS / 100}%\n` +
+        `Deadline: ${CONSTANTS.DEADLINE_MINUTES} min\n` +
+        `Gas Speed: ${CONSTANTS.GAS_SPEED} x${CONSTANTS.GAS_SPEED_MULTIPLIER}\n` +
+        `Max Gas Price: ${CONSTANTS.MAX_GAS_PRICE_GWEI} Gwei\n\n` +
+        `_Settings are read from .env at startup._`,
+        { parse_mode: 'Markdown' }
+    );
+});
+
 bot.command("zapin", async (ctx) => {
     stopWatcher(ctx.chat.id);
     await ctx.conversation.enter("zapInConversation");
 });
 
+bot.command("basket", async (ctx) => {
+    stopWatcher(ctx.chat.id);
+    await ctx.conversation.enter("basketConversation");
+});
+
+bot.command("rules", async (ctx) => {
+    const args = ctx.match.trim().split(/\s+/).filter(Boolean);
+
+    if (args.length === 0) {
+        const lines = await Promise.all(loadPositions().map(async (position) => {
+            const market = getPositionMarket(position);
+            const network = getNetwork(market.networkId);
+            const tokenInfo = await getCachedTokenInfo(network, market.tokenAddress).catch(() => ({ symbol: market.tokenAddress.slice(0, 8) }));
+            return `#${position.id} ${tokenInfo.symbol} (${network.name}): ${formatExitRules(position.rules, network.nativeSymbol) ?? '_none_'}`;
+        }));
+        await ctx.reply(
+            `🤖 **Exit Rules**\n\n` +
+            (lines.length > 0 ? lines.join('\n') : '_No open positions._') + `\n\n` +
+            `**Usage:**\n` +
+            `/rules <id> tp <percent> - Take profit at +percent value\n` +
+            `/rules <id> mcap <usd> - Take profit at a market cap\n` +
+            `/rules <id> sl <percent> - Stop loss at -percent value\n` +
+            `/rules <id> trail <percent> - Trailing stop below the peak value\n` +
+            `/rules <id> exit <eth|token|quote|stable> - Asset to exit into\n` +
+            `/rules <id> <tp|mcap|sl|trail> off - Remove a rule\n` +
+            `/rules <id> clear - Remove all rules\n` +
+            `/rules <id> resume - Resume rules paused after a failed exit\n\n` +
+            `_Rules are checked every ${Math.round(CONSTANTS.RULE_MONITOR_INTERVAL_MS / 1000)}s and exit 100% of the position._`,
+            { parse_mode: 'Markdown' }
+        );
+        return;
+    }
+
+    // Positions are addressed by their database ID, so a position opened or closed since the list was shown
+    // can never shift the rule onto a different one.
+    const [idArg, action, value] = args;
+    const position = /^\d+$/.test(idArg) ? getPosition(parseInt(idArg, 10)) : null;
+    if (!position) {
+        await ctx.reply(`❌ Position #${idArg} not found. Use /rules to list positions.`);
+        return;
+    }
+
+    let updater;
+    if (action === 'clear') {
+        updater = () => ({ exitAsset: 'eth' });
+    } else if (action === 'resume') {
+        updater = (rules) => ({ ...rules, paused: false });
+    } else if (action === 'exit') {
+        if (!getAvailableExitAssets(position).includes(value)) {
+            await ctx.reply(`❌ Exit asset must be one of: ${getAvailableExitAssets(position).join(', ')}.`);
+            return;
+        }
+        updater = (rules) => ({ ...rules, exitAsset: value });
+    } else if (EXIT_RULE_KEYS[action]) {
+        const key = EXIT_RULE_KEYS[action];
+        const amount = parseFloat(value);
+        const isPercentOfValue = action === 'sl' || action === 'trail';
+        if (value !== 'off' && (!(amount > 0) || (isPercentOfValue && amount >= 100))) {
+            await ctx.reply(`❌ Invalid value for ${action}. Use a positive number${isPercentOfValue ? ' below 100' : ''}, or "off".`);
+            return;
+        }
+        updater = (rules) => ({
+            ...rules,
+            [key]: value === 'off' ? null : amount,
+            // A new trailing stop starts tracking from the next value the monitor sees.
+            ...(action === 'trail' ? { peakValue: null } : {})
+        });
+    } else {
+        await ctx.reply("❌ Unknown rule. Use /rules to see the usage.");
+        return;
+    }
+
+    const network = getNetwork(getPositionMarket(position).networkId);
+    const rules = updatePositionRules(getPositionMarket(position), updater);
+    log("info", `Exit rules for pair ${position.pairAddress} updated by ${ctx.from.id}: ${args.slice(1).join(' ')}`);
+    await ctx.reply(`✅ Position #${position.id} rules: ${formatExitRules(rules, network.nativeSymbol) ?? '_none_'}`, { parse_mode: 'Markdown' });
+});
+
+const ALERT_USAGE =
+    `**Usage:**\n` +
+    `/alert <token> mcap > 5000000 - Market cap in USD\n` +
+    `/alert <token> price < 0.01 - Token price in USD\n` +
+    `/alert <token> liquidity < 100000 - Pool liquidity in USD\n` +
+    `/alert <token> move 10 - Price moves 10% either way\n` +
+    `/alert position <id> move 10 - Position value moves 10%\n\n` +
+    `<token> can also be a pair address or two token addresses. Add a network id at the end for other networks.`;
+
+bot.command("alert", async (ctx) => {
+    const args = ctx.match.trim().split(/\s+/).filter(Boolean);
+    if (args.length === 0) {
+        await ctx.reply(`🔔 **Create an Alert**\n\n${ALERT_USAGE}`, { parse_mode: 'Markdown' });
+        return;
+    }
+
+    try {
+        let market, label, rest;
+        if (args[0] === 'position') {
+            const position = /^\d+$/.test(args[1] ?? '') ? getPosition(parseInt(args[1], 10)) : null;
+            if (!position) throw new Error(`Position #${args[1] ?? ''} not found. Use /rules to list position IDs.`);
+            market = getPositionMarket(position);
+            const network = getNetwork(market.networkId);
+            const [tokenInfo, quoteInfo] = await Promise.all([
+                getCachedTokenInfo(network, market.tokenAddress),
+                getCachedTokenInfo(network, market.quoteTokenAddress)
+            ]);
+            label = `${tokenInfo.symbol}/${quoteInfo.symbol} position`;
+            rest = args.slice(2);
+            if (rest[0] !== 'move') throw new Error("Position alerts support `move <percent>` only.");
+            rest[0] = 'value';
+        } else {
+            const addressCount = args.slice(0, 2).filter(arg => isAddress(arg)).length;
+            rest = args.slice(addressCount);
+            const networkId = rest.length > 0 && NETWORKS.has(rest[rest.length - 1]) ? rest.pop() : undefined;
+            const network = getNetwork(networkId);
+            market = await resolvePairInput(network, args.slice(0, addressCount).join(' '));
+            const [tokenInfo, quoteInfo] = await Promise.all([
+                getCachedTokenInfo(network, market.tokenAddress),
+                getCachedTokenInfo(network, market.quoteTokenAddress)
+            ]);
+            label = `${tokenInfo.symbol}/${quoteInfo.symbol}`;
+        }
+
+        const [metric, ...condition] = rest;
+        const isMove = metric === 'move' || metric === 'value';
+        if (!ALERT_METRICS[metric]) throw new Error("Unknown alert type. Use mcap, price, liquidity or move.");
+        const operator = isMove ? null : condition[0];
+        const threshold = parseFloat((isMove ? condition[0] : condition[1] ?? '').replace(/[,_$%]/g, ''));
+        if (!isMove && operator !== '>' && operator !== '<') throw new Error("Use > or < for the condition.");
+        if (!(threshold > 0)) throw new Error("The threshold must be a positive number.");
+
+        const alert = {
+            chatId: ctx.chat.id,
+            createdBy: ctx.from.id,
+            networkId: market.networkId,
+            pairAddress: market.pairAddress,
+            tokenAddress: market.tokenAddress,
+            quoteTokenAddress: market.quoteTokenAddress,
+            label,
+            metric,
+            operator,
+            threshold,
+            baseline: null,
+            createdAt: Date.now(),
+            lastTriggeredAt: null
+        };
+        const metrics = await fetchAlertMetrics(alert);
+        if (!metrics) throw new Error("Position not found.");
+        if (isMove) alert.baseline = metrics[metric];
+
+        const { id } = createAlert(alert);
+        alert.id = id;
+
+        log("info", `Alert #${alert.id} created by ${ctx.from.id} in chat ${ctx.chat.id}: ${describeAlert(alert)}`);
+        await ctx.reply(
+            `✅ **Alert #${alert.id} created**\n\n${describeAlert(alert)}\n` +
+            `Now: ${formatAlertValue(metric, metrics[metric], getNetwork(alert.networkId).nativeSymbol)}`,
+            { parse_mode: 'Markdown' }
+        );
+    } catch (e) {
+        await ctx.reply(`❌ Could not create alert: ${e.shortMessage || e.message}\n\n${ALERT_USAGE}`, { parse_mode: 'Markdown' })
+            .catch(() => ctx.reply(`❌ Could not create alert: ${e.shortMessage || e.message}`));
+    }
+});
+
+async function generateAlertsMessage(chatId) {
+    const alerts = loadAlerts(chatId);
+    const keyboard = new InlineKeyboard();
+    alerts.forEach((alert, idx) => {
+        keyboard.text(`🗑 #${alert.id}`, `alert_remove:${alert.id}`);
+        if ((idx + 1) % 4 === 0) keyboard.row();
+    });
+
+    const messageText = alerts.length > 0
+        ? `🔔 **Alerts**\n\n` + alerts.map(alert => `#${alert.id} ${describeAlert(alert)}` +
+            (alert.lastTriggeredAt ? `\n   _last fired ${new Date(alert.lastTriggeredAt).toLocaleString()}_` : '')).join('\n') +
+        `\n\n_Tap a button or send /alerts remove <id> to delete._`
+        : `🔕 No alerts in this chat.\n\n${ALERT_USAGE}`;
+    return { messageText, keyboard };
+}
+
+bot.command("alerts", async (ctx) => {
+    const [action, idArg] = ctx.match.trim().split(/\s+/);
+    if (action === 'remove') {
+        const removed = removeAlert(parseInt(idArg, 10), ctx.chat.id);
+        await ctx.reply(removed ? `🗑 Alert #${idArg} removed.` : `❌ Alert #${idArg} not found in this chat.`);
+        return;
+    }
+    const { messageText, keyboard } = await generateAlertsMessage(ctx.chat.id);
+    await ctx.reply(messageText, { parse_mode: 'Markdown', reply_markup: keyboard });
+});
+
+bot.command("history", async (ctx) => {
+    const format = ctx.match.trim().toLowerCase();
+    if (format === 'csv' || format === 'json') {
+        await sendHistoryExport(ctx, format);
+        return;
+    }
+    const { messageText, keyboard } = await generateHistoryMessage(0);
+    await ctx.reply(messageText, { parse_mode: 'Markdown', reply_markup: keyboard, disable_web_page_preview: true });
+});
+
+bot.command("sync", async (ctx) => {
+    const blocksArg = ctx.match.trim();
+    if (blocksArg && !(/^\d+$/.test(blocksArg) && parseInt(blocksArg, 10) > 0)) {
+        await ctx.reply(`❌ The lookback must be a positive number of blocks, e.g. /sync ${CONSTANTS.SYNC_LOOKBACK_BLOCKS}.`);
+        return;
+    }
+    const lookbackBlocks = Math.min(blocksArg ? parseInt(blocksArg, 10) : CONSTANTS.SYNC_LOOKBACK_BLOCKS, CONSTANTS.SYNC_MAX_LOOKBACK_BLOCKS);
+    if (syncRunning) {
+        await ctx.reply("⏳ A sync is already running.");
+        return;
+    }
+    syncRunning = true;
+
+    const progressMessage = await ctx.reply(`🔄 Scanning the last ${lookbackBlocks} blocks for LP positions...` +
+        (blocksArg && parseInt(blocksArg, 10) > lookbackBlocks ? ` (${blocksArg} requested, capped to the maximum)` : ''));
+    let lastEdit = 0;
+    const sections = [];
+    try {
+        for (const network of NETWORKS.values()) {
+            const summary = await syncNetworkPositions(network, lookbackBlocks, async (status) => {
+                if (Date.now() - lastEdit < 3000) return;
+                lastEdit = Date.now();
+                await ctx.api.editMessageText(ctx.chat.id, progressMessage.message_id,
+                    `🔄 Syncing ${network.name}: ${status}...`).catch(() => { });
+            }).catch((error) => {
+                log("error", `Position sync failed on ${network.name}:`, error);
+                return { error: error.shortMessage || error.message };
+            });
+
+            sections.push(summary.error
+                ? `**${network.name}:** ❌ ${summary.error}`
+                : `**${network.name}:** ${summary.imported.length} imported, ${summary.updated} updated, ` +
+                `${summary.closed} closed, ${summary.unchanged} unchanged` +
+                (summary.imported.length > 0 ? `\n   Imported: ${summary.imported.join(', ')}` : ''));
+        }
+    } finally {
+        syncRunning = false;
+    }
+
+    await ctx.api.editMessageText(ctx.chat.id, progressMessage.message_id,
+        `✅ **Sync complete**\n\n${sections.join('\n')}\n\n` +
+        `Imported entries are rebuilt from Mint and Transfer events; LP received without a mint is valued at current reserves.` +
+        `\nUse /positions to review them.`,
+        { parse_mode: 'Markdown' }).catch(() => { });
+});
+
+bot.command("dca", async (ctx) => {
+    const [action, idArg] = ctx.match.trim().split(/\s+/);
+    if (action === 'new') {
+        stopWatcher(ctx.chat.id);
+        await ctx.conversation.enter("dcaConversation");
+        return;
+    }
+    if (['pause', 'resume', 'cancel'].includes(action)) {
+        const plan = setDcaPlanStatus(parseInt(idArg, 10), ctx.chat.id, action);
+        await ctx.reply(plan ? `${DCA_STATUS_ICONS[plan.status]} DCA plan #${plan.id} is now ${plan.status}.` : `❌ DCA plan #${idArg} not found in this chat.`);
+        return;
+    }
+    const { messageText, keyboard } = await generateDcaMessage(ctx.chat.id);
+    await ctx.reply(messageText, { parse_mode: 'Markdown', reply_markup: keyboard });
+});
+
+bot.command("queue", async (ctx) => {
+    const [action, idArg] = ctx.match.trim().split(/\s+/);
+    if (action === 'cancel') {
+        const cancelled = cancelQueuedAction(parseInt(idArg, 10), ctx.chat.id);
+        await ctx.reply(cancelled ? `🗑 Queued #${cancelled.id} cancelled.` : `❌ No waiting action #${idArg} in this chat.`);
+        return;
+    }
+    const { messageText, keyboard } = await generateQueueMessage(ctx.chat.id);
+    await ctx.reply(messageText, { parse_mode: 'Markdown', reply_markup: keyboard });
+});
+
+bot.command("approvals", async (ctx) => {
+    const { messageText, keyboard } = await generateApprovalsMessage();
+    await ctx.reply(messageText, { parse_mode: 'Markdown', reply_markup: keyboard });
+});
+
 bot.command("positions", async (ctx) => {
     stopWatcher(ctx.chat.id);
-    const positions = await loadPositions();
+    const positions = loadPositions();
     if (positions.length === 0) {
         await ctx.reply("📭 You have no open LP positions.\n\nUse /zapin to create your first position!");
         return;
     }
-    ctx.session.positionIndex = 0;
+    ctx.session.positionId = positions[0].id;
     await displayPosition(ctx);
 });
 
@@ -789,26 +4724,98 @@ bot.command("positions", async (ctx) => {
 // --- CALLBACK QUERY HANDLERS ---
 // =================================================================
 
-bot.callbackQuery("show_position", async (ctx) => {
+bot.callbackQuery(/^alert_remove:(\d+)$/, async (ctx) => {
+    const id = parseInt(ctx.match[1], 10);
+    const removed = removeAlert(id, ctx.chat.id);
+    await ctx.answerCallbackQuery({ text: removed ? `Alert #${id} removed.` : `Alert #${id} was already removed.` });
+    const { messageText, keyboard } = await generateAlertsMessage(ctx.chat.id);
+    await ctx.editMessageText(messageText, { parse_mode: 'Markdown', reply_markup: keyboard }).catch(() => { });
+});
+
+bot.callbackQuery(/^history_page:(\d+)$/, async (ctx) => {
+    await ctx.answerCallbackQuery();
+    const { messageText, keyboard } = await generateHistoryMessage(parseInt(ctx.match[1], 10));
+    await ctx.editMessageText(messageText, { parse_mode: 'Markdown', reply_markup: keyboard, disable_web_page_preview: true })
+        .catch(e => {
+            if (!e.description?.includes("message is not modified")) throw e;
+        });
+});
+
+bot.callbackQuery(/^history_export:(csv|json)$/, async (ctx) => {
+    await ctx.answerCallbackQuery({ text: 'Preparing export...' });
+    await sendHistoryExport(ctx, ctx.match[1]);
+});
+
+bot.callbackQuery(/^queue_cancel:(\d+)$/, async (ctx) => {
+    const action = cancelQueuedAction(parseInt(ctx.match[1], 10), ctx.chat.id);
+    await ctx.answerCallbackQuery({ text: action ? `Queued #${action.id} cancelled.` : 'This action is no longer waiting.' });
+    const { messageText, keyboard } = await generateQueueMessage(ctx.chat.id);
+    await ctx.editMessageText(messageText, { parse_mode: 'Markdown', reply_markup: keyboard }).catch(() => { });
+});
+
+bot.callbackQuery(/^dca_(pause|resume|cancel):(\d+)$/, async (ctx) => {
+    const plan = setDcaPlanStatus(parseInt(ctx.match[2], 10), ctx.chat.id, ctx.match[1]);
+    await ctx.answerCallbackQuery({ text: plan ? `Plan #${plan.id} ${plan.status}.` : 'This plan is no longer active.' });
+    const { messageText, keyboard } = await generateDcaMessage(ctx.chat.id);
+    await ctx.editMessageText(messageText, { parse_mode: 'Markdown', reply_markup: keyboard }).catch(() => { });
+});
+
+bot.callbackQuery(/^approval_revoke:(\d+)$/, async (ctx) => {
+    await ctx.answerCallbackQuery({ text: 'Sending revoke...' });
+    try {
+        const { network, receipt } = await revokeApproval(parseInt(ctx.match[1], 10), ctx.chat.id);
+        await ctx.reply(`✅ Allowance revoked.\n\n${getExplorerTxLink(network, receipt.hash)}`, { parse_mode: 'Markdown' });
+    } catch (error) {
+        log("error", "Revoke failed:", error);
+        await ctx.reply(`❌ Revoke failed: ${error.shortMessage || error.message}`);
+    }
+    const { messageText, keyboard } = await generateApprovalsMessage();
+    await ctx.editMessageText(messageText, { parse_mode: 'Markdown', reply_markup: keyboard }).catch(() => { });
+});
+
+bot.callbackQuery(/^tx_(speedup|cancel):(.+)$/, async (ctx) => {
+    const kind = ctx.match[1];
+    const pending = pendingTransactions.get(ctx.match[2]);
+    if (!pending || pending.resolved) {
+        await ctx.answerCallbackQuery({ text: 'This transaction is no longer pending.' });
+        await ctx.editMessageReplyMarkup({ reply_markup: undefined }).catch(() => { });
+        return;
+    }
+
+    try {
+        await replacePendingTransaction(pending, kind);
+        await ctx.answerCallbackQuery({ text: kind === 'cancel' ? 'Cancel transaction sent.' : 'Speed-up sent.' });
+    } catch (e) {
+        log("error", `Could not ${kind} transaction ${pending.id}:`, e);
+        await ctx.answerCallbackQuery({ text: `Replacement failed: ${decodeRevertReason(e)}`.substring(0, 200), show_alert: true });
+        return;
+    }
+
+    if (pending.resolved) return;
+    const { messageText, keyboard } = generatePendingMessage(pending);
+    await ctx.editMessageText(messageText, { parse_mode: 'Markdown', reply_markup: keyboard, disable_web_page_preview: true })
+        .catch(() => { });
+});
+
+bot.callbackQuery(/^show_position(?::(\d+))?$/, async (ctx) => {
     await ctx.answerCallbackQuery();
-    const positions = await loadPositions();
-    ctx.session.positionIndex = positions.length - 1;
+    ctx.session.positionId = ctx.match[1] ? parseInt(ctx.match[1], 10) : loadPositions().at(-1)?.id ?? null;
     await displayPosition(ctx, true);
 });
 
 bot.callbackQuery(/^(prev_pos|next_pos)$/, async (ctx) => {
     await ctx.answerCallbackQuery();
-    const positions = await loadPositions();
+    const positions = loadPositions();
     if (positions.length === 0) {
         await ctx.editMessageText("No positions found.").catch(e => log("warn", e));
         return;
     }
     const direction = ctx.match[1];
-    let index = ctx.session.positionIndex ?? 0;
+    let index = Math.max(0, positions.findIndex(p => p.id === ctx.session.positionId));
     index = (direction === 'prev_pos')
         ? (index - 1 + positions.length) % positions.length
         : (index + 1) % positions.length;
-    ctx.session.positionIndex = index;
+    ctx.session.positionId = positions[index].id;
     await displayPosition(ctx, true);
 });
 
@@ -817,134 +4824,114 @@ bot.callbackQuery('refresh_pos', async (ctx) => {
     await displayPosition(ctx, true);
 });
 
+bot.callbackQuery(/^zapout_asset:(eth|token|quote|stable)$/, async (ctx) => {
+    const exitAsset = ctx.match[1];
+    const position = getPosition(ctx.session.positionId);
+    if (!position || !getAvailableExitAssets(position).includes(exitAsset)) {
+        await ctx.answerCallbackQuery({ text: 'This exit asset is not configured.', show_alert: true });
+        return;
+    }
+    await ctx.answerCallbackQuery();
+    ctx.session.zapOutAsset = exitAsset;
+    await displayPosition(ctx, true);
+});
+
 bot.callbackQuery(/^execute_zapout:(\d+)$/, async (ctx) => {
     stopWatcher(ctx.chat.id);
     await ctx.answerCallbackQuery();
 
     const percentage = parseInt(ctx.match[1], 10);
-    const positions = await loadPositions();
-    const position = positions[ctx.session.positionIndex];
+    const position = getPosition(ctx.session.positionId);
 
     if (!position) {
         await ctx.editMessageText("❌ Position not found. It may have been closed.", { reply_markup: undefined });
         return;
     }
 
-    await ctx.editMessageText(`⏳ Processing ${percentage}% Zap Out...`, { reply_markup: undefined });
+    await ctx.editMessageText(`⏳ Preparing ${percentage}% Zap Out quote...`, { reply_markup: undefined });
 
     try {
-        const pairContract = new Contract(position.pairAddress, UNISWAP_V2_PAIR_ABI, wallet);
-        const lpBalance = await pairContract.balanceOf(wallet.address);
-
-        if (lpBalance === 0n) {
-            throw new Error("You have no LP tokens for this pair. The position may have already been closed.");
-        }
-
-        const liquidityToZap = (lpBalance * BigInt(percentage)) / 100n;
-
-        log("info", `Approving ${formatEther(liquidityToZap)} LP tokens for zap out...`);
-        const approveTx = await pairContract.approve(CONSTANTS.ZAPPER_ADDRESS, liquidityToZap);
-        await approveTx.wait();
-        log("info", "LP token approval confirmed.");
-
-        const deadline = Math.floor(Date.now() / 1000) + (CONSTANTS.DEADLINE_MINUTES * 60);
-        const txOptionsData = await getCachedTxOptions();
-
-        const estimatedGas = await zapperContract.zapOut.estimateGas(
-            CONSTANTS.WETH_ADDRESS,
-            position.tokenAddress,
-            liquidityToZap,
-            CONSTANTS.WETH_ADDRESS,
-            0n, 0n, 0n,
-            wallet.address,
-            deadline,
-            CONSTANTS.SLIPPAGE_BPS
-        );
-
-        const gasLimit = (estimatedGas * CONSTANTS.ZAP_OUT_GAS_LIMIT_BUFFER_PERCENT) / 100n;
-        const txOptions = {
-            maxFeePerGas: txOptionsData.maxFeePerGas,
-            maxPriorityFeePerGas: txOptionsData.maxPriorityFeePerGas,
-            gasLimit
-        };
-
-        const estimatedFeeWei = gasLimit * txOptionsData.gasPrice;
-        const ethPriceUsd = await getCachedEthPriceInUsd();
-        const estimatedFeeUsd = parseFloat(formatEther(estimatedFeeWei)) * ethPriceUsd;
-
-        await ctx.editMessageText(
-            `⏳ Executing ${percentage}% Zap Out...\n\n` +
-            `*Est. Fee:*\n` +
-            `Gas Price: ~${parseFloat(formatUnits(txOptionsData.gasPrice, "gwei")).toFixed(1)} Gwei\n` +
-            `Tx Fee: ~$${estimatedFeeUsd.toFixed(4)}\n\n` +
-            `_Sending transaction..._`,
-            { parse_mode: 'Markdown' }
-        );
-
-        const zapOutTx = await zapperContract.zapOut(
-            CONSTANTS.WETH_ADDRESS,
-            position.tokenAddress,
-            liquidityToZap,
-            CONSTANTS.WETH_ADDRESS,
-            0n, 0n, 0n,
-            wallet.address,
-            deadline,
-            CONSTANTS.SLIPPAGE_BPS,
-            txOptions
-        );
-
-        log("info", `Zap-out transaction submitted: ${zapOutTx.hash}`);
-        await ctx.reply(
-            `✅ Transaction sent! Waiting for confirmation...\n\n[View on Etherscan](https://etherscan.io/tx/${zapOutTx.hash})`,
-            { parse_mode: 'Markdown', disable_web_page_preview: true }
-        );
+        const quote = await buildZapOutQuote(position, percentage, resolveExitAsset(position, ctx.session.zapOutAsset));
+        ctx.session.pendingZapOut = quote;
+        await displayZapOutQuote(ctx, quote);
+    } catch (e) {
+        log("error", "Zap Out quote error:", e);
+        await ctx.reply(`❌ *Zap Out Failed*\n\n*Reason:* ${formatZapOutError(e)}`, { parse_mode: 'Markdown' });
+        await displayPosition(ctx, true).catch(() => { });
+    }
+});
 
-        const receipt = await zapOutTx.wait();
-        log("info", `Zap-out confirmed in block ${receipt.blockNumber} for ${percentage}% of ${position.tokenAddress}`);
+bot.callbackQuery('confirm_zapout', async (ctx) => {
+    stopWatcher(ctx.chat.id);
+    await ctx.answerCallbackQuery();
 
-        let newPositions = await loadPositions();
-        if (percentage === 100) {
-            newPositions.splice(ctx.session.positionIndex, 1);
-            ctx.session.positionIndex = Math.max(0, ctx.session.positionIndex - 1);
-        }
-        await savePositions(newPositions);
+    const pendingQuote = ctx.session.pendingZapOut;
+    ctx.session.pendingZapOut = null;
+    if (!pendingQuote) {
+        await ctx.editMessageText("❌ This quote is no longer available. Please open /positions and try again.", { reply_markup: undefined });
+        return;
+    }
 
-        await ctx.reply(`✅ **${percentage}% Zap Out Successful!**\n\nBlock: ${receipt.blockNumber}`, { parse_mode: 'Markdown' });
+    const position = findPosition(pendingQuote);
+    if (!position) {
+        await ctx.editMessageText("❌ Position not found. It may have been closed.", { reply_markup: undefined });
+        return;
+    }
 
-        if (newPositions.length > 0) {
-            await displayPosition(ctx, true);
-        } else {
-            await ctx.editMessageText("🎉 All positions have been closed!", { reply_markup: undefined });
+    try {
+        const freshQuote = await buildZapOutQuote(position, pendingQuote.percentage, pendingQuote.exitAsset);
+        const expiryReason = getQuoteExpiryReason(pendingQuote, freshQuote);
+        if (expiryReason) {
+            ctx.session.pendingZapOut = freshQuote;
+            await displayZapOutQuote(ctx, freshQuote, `⚠️ Previous quote expired: ${expiryReason}. Please review the updated quote.`);
+            return;
         }
+        await executeZapOut(ctx, position, freshQuote);
     } catch (e) {
-        log("error", "Zap Out Error:", e);
-        let errorMessage = "An unknown error occurred.";
-
-        if (e.message && e.message.includes('insufficient funds')) {
-            errorMessage = "Insufficient ETH for gas fees.";
-        } else if (e.message && e.message.includes('priorityFee')) {
-            errorMessage = "Gas price configuration error. Please try again.";
-        } else if (e.reason) {
-            errorMessage = e.reason.substring(0, 200); // Limit length
-        } else if (e.message) {
-            errorMessage = e.message.substring(0, 200); // Limit length
-        }
+        log("error", "Zap Out quote error:", e);
+        await ctx.reply(`❌ *Zap Out Failed*\n\n*Reason:* ${formatZapOutError(e)}`, { parse_mode: 'Markdown' });
+        await displayPosition(ctx, true).catch(() => { });
+    }
+});
 
-        // Escape markdown special characters
-        errorMessage = errorMessage.replace(/[_*[\]()~`>#+=|{}.!-]/g, '\\$&');
+bot.callbackQuery('queue_zapout', async (ctx) => {
+    stopWatcher(ctx.chat.id);
+    await ctx.answerCallbackQuery();
 
-        await ctx.reply(`❌ *Zap Out Failed*\n\n*Reason:* ${errorMessage}`, { parse_mode: 'Markdown' });
-        await displayPosition(ctx, true).catch(() => { });
+    const pendingQuote = ctx.session.pendingZapOut;
+    ctx.session.pendingZapOut = null;
+    if (!pendingQuote) {
+        await ctx.editMessageText("❌ This quote is no longer available. Please open /positions and try again.", { reply_markup: undefined });
+        return;
     }
+
+    // Conversation arguments are replayed, so only the plain fields needed to re-quote later are passed on.
+    await ctx.conversation.enter("queueZapOutConversation", {
+        networkId: pendingQuote.networkId,
+        pairAddress: pendingQuote.pairAddress,
+        tokenAddress: pendingQuote.tokenAddress,
+        quoteTokenAddress: pendingQuote.quoteTokenAddress,
+        tokenSymbol: pendingQuote.tokenSymbol,
+        quoteSymbol: pendingQuote.quoteSymbol,
+        percentage: pendingQuote.percentage,
+        exitAsset: pendingQuote.exitAsset,
+        outSymbol: pendingQuote.outAsset.symbol
+    });
+});
+
+bot.callbackQuery('cancel_zapout', async (ctx) => {
+    await ctx.answerCallbackQuery({ text: 'Zap Out cancelled.' });
+    ctx.session.pendingZapOut = null;
+    await displayPosition(ctx, true);
 });
 
 // =================================================================
 // --- DISPLAY LOGIC ---
 // =================================================================
 
-async function displayZapInInfo(ctx, messageId, tokenAddress) {
+async function displayZapInInfo(ctx, messageId, market, payWith) {
     try {
-        const { messageText, keyboard } = await generateZapInTokenMessage(tokenAddress);
+        const { messageText, keyboard } = await generateZapInTokenMessage(market, payWith);
         await ctx.api.editMessageText(ctx.chat.id, messageId, messageText, {
             parse_mode: 'Markdown',
             reply_markup: keyboard
@@ -956,17 +4943,26 @@ async function displayZapInInfo(ctx, messageId, tokenAddress) {
     }
 }
 
-async function generateZapInTokenMessage(tokenAddress) {
-    const [tokenInfo, pairInfo, ethPriceUsd, balance] = await Promise.all([
-        getCachedTokenInfo(tokenAddress),
-        getCachedPairInfo(tokenAddress),
-        getCachedEthPriceInUsd(),
-        provider.getBalance(wallet.address)
+async function generateZapInTokenMessage(market, payWith) {
+    const { tokenAddress, quoteTokenAddress, pairAddress } = market;
+    const network = getNetwork(market.networkId);
+    const native = network.nativeSymbol;
+    const [tokenInfo, quoteInfo, pairInfo, ethPriceUsd, balance, payBalance, safetyReport] = await Promise.all([
+        getCachedTokenInfo(network, tokenAddress),
+        getCachedTokenInfo(network, quoteTokenAddress),
+        getCachedPairInfo(network, tokenAddress, quoteTokenAddress),
+        getCachedEthPriceInUsd(network),
+        network.provider.getBalance(network.wallet.address),
+        payWith.address ? getAssetBalance(network, payWith.address) : null,
+        getSafetyReport(market).catch(e => {
+            log('warn', `Safety scan failed for ${tokenAddress}: ${e.message}`);
+            return null;
+        })
     ]);
 
     let gasPriceGwei = 'N/A', estimatedFeeUsd = 0, estimatedGasFee = 0n;
     try {
-        const { gasPrice } = await getCachedTxOptions();
+        const { gasPrice } = await getCachedTxOptions(network);
         estimatedGasFee = CONSTANTS.ZAP_IN_GAS_LIMIT_ESTIMATE * gasPrice;
         gasPriceGwei = parseFloat(formatUnits(gasPrice, "gwei")).toFixed(1);
         if (ethPriceUsd > 0) {
@@ -988,62 +4984,179 @@ async function generateZapInTokenMessage(tokenAddress) {
     const maxSafeZapAmount = balance > estimatedGasFee ? balance - estimatedGasFee : 0n;
     const maxSafeZapEth = parseFloat(formatEther(maxSafeZapAmount));
 
+    const walletText = payWith.address
+        ? `Balance: ${parseFloat(formatUnits(payBalance, payWith.decimals)).toPrecision(6)} ${payWith.symbol}\n` +
+          `Gas Balance: ${parseFloat(formatEther(balance)).toFixed(4)} ${native}\n\n`
+        : `Balance: ${parseFloat(formatEther(balance)).toFixed(4)} ${native}\n` +
+          `Max Safe Zap: ~${maxSafeZapEth.toFixed(4)} ${native}\n\n`;
+
     const messageText =
         `🎯 **Token Found**\n\n` +
         `**Name:** ${tokenInfo.name} (${tokenInfo.symbol})\n` +
         `**Address:** \`${tokenAddress}\`\n` +
+        `**Pair:** ${tokenInfo.symbol}/${quoteInfo.symbol} (\`${pairAddress}\`)\n` +
         `**Market Cap:** ${mcapUsd.toLocaleString('en-US', { style: 'currency', currency: 'USD' })}\n` +
-        `**Price:** $${priceUsd} / ${priceEth.toFixed(12)} ETH\n\n` +
+        `**Network:** ${network.name}\n` +
+        `**Price:** $${priceUsd} / ${priceEth.toFixed(12)} ${native}\n\n` +
+        formatSafetyReport(safetyReport) +
         `⚡ **Network Status:**\n` +
         `Gas Price: ${gasPriceGwei} Gwei\n` +
         `Est. Tx Fee: ~$${estimatedFeeUsd.toFixed(3)}\n\n` +
         `💰 **Your Wallet:**\n` +
-        `Balance: ${parseFloat(formatEther(balance)).toFixed(4)} ETH\n` +
-        `Max Safe Zap: ~${maxSafeZapEth.toFixed(4)} ETH\n\n` +
-        `**How much ETH would you like to zap in?**\n` +
+        walletText +
+        `**How much ${payWith.symbol} would you like to zap in?**\n` +
         `_(Enter custom amount or use buttons below)_\n\n` +
         `_Updated: ${new Date().toLocaleTimeString()}_`;
 
     const keyboard = new InlineKeyboard();
-    const safeAmounts = CONSTANTS.ZAP_AMOUNT_PRESETS.filter(a => parseFloat(a) <= maxSafeZapEth);
-
-    if (safeAmounts.length > 0) {
-        safeAmounts.forEach((amount, idx) => {
-            keyboard.text(`${amount} ETH`, `zap_amount:${amount}`);
-            if ((idx + 1) % 2 === 0 && idx < safeAmounts.length - 1) keyboard.row();
+    // ERC-20 inputs are offered as a share of the wallet balance rather than fixed amounts.
+    const presets = payWith.address
+        ? (payBalance > 0n ? [25, 50, 75, 100].map(pct => ({
+            label: `${pct}%`,
+            amount: formatUnits((payBalance * BigInt(pct)) / 100n, payWith.decimals)
+        })) : [])
+        : CONSTANTS.ZAP_AMOUNT_PRESETS
+            .filter(a => parseFloat(a) <= maxSafeZapEth)
+            .map(amount => ({ label: `${amount} ${native}`, amount }));
+
+    if (safetyReport?.blocked) {
+        keyboard.text('⛔ Blocked by Safety Policy', 'safety_blocked').row();
+    } else if (presets.length > 0) {
+        presets.forEach(({ label, amount }, idx) => {
+            keyboard.text(label, `zap_amount:${amount}`);
+            if ((idx + 1) % 2 === 0 && idx < presets.length - 1) keyboard.row();
         });
         keyboard.row();
     } else {
         keyboard.text('⚠️ Insufficient Balance', 'insufficient_balance').row();
     }
 
-    keyboard.text('🔄 Refresh', `refresh_zap:${tokenAddress}`);
+    keyboard.text('🔄 Refresh', `refresh_zap:${pairAddress}`);
+
+    return { messageText, keyboard };
+}
+
+function formatQuoteCommon(quote) {
+    const network = getNetwork(quote.networkId);
+    return `*Network:* ${network.name}\n` +
+        `*Price Impact:* ${quote.priceImpact.toFixed(2)}%\n` +
+        `*Slippage:* ${(quote.slippageBps / 100).toFixed(2)}%\n` +
+        `*Est. Gas:* ~${parseFloat(formatEther(quote.estimatedGasFee)).toFixed(6)} ${network.nativeSymbol} (~$${quote.estimatedFeeUsd.toFixed(4)})\n` +
+        `*Deadline:* ${CONSTANTS.DEADLINE_MINUTES} min after confirmation\n\n` +
+        `_Quote expires after ${CONSTANTS.QUOTE_TTL_SECONDS}s or if reserves move more than ${(CONSTANTS.QUOTE_MAX_RESERVE_DRIFT_BPS / 100).toFixed(2)}%._`;
+}
+
+function generateZapInQuoteMessage(quote, notice) {
+    const { payWith, preSwap } = quote;
+
+    const messageText =
+        (notice ? `${notice}\n\n` : '') +
+        `🧾 **Review Zap In**\n\n` +
+        `*Pair:* ${quote.tokenSymbol}/${quote.quoteSymbol}\n` +
+        `*Amount:* ${quote.amount} ${payWith.symbol}` +
+        (payWith.address ? ` (~${parseFloat(formatEther(quote.ethValue)).toFixed(6)} ${getNetwork(quote.networkId).nativeSymbol})` : '') + `\n` +
+        `*Expected LP Tokens:* ~${parseFloat(formatEther(quote.expectedLiquidity)).toPrecision(6)}\n\n` +
+        `*Minimum Amounts:*\n` +
+        (preSwap ? `${preSwap.outAsset.symbol} from ${payWith.symbol} Swap: ${parseFloat(formatUnits(preSwap.amountOutMin, preSwap.outAsset.decimals)).toPrecision(6)} ${preSwap.outAsset.symbol} (${preSwap.priceImpact.toFixed(2)}% impact)\n` : '') +
+        `${quote.quoteSymbol} Added: ${parseFloat(formatUnits(quote.amountAMin, quote.quoteDecimals)).toPrecision(6)} ${quote.quoteSymbol}\n` +
+        `${quote.tokenSymbol} Added: ${parseFloat(formatUnits(quote.amountBMin, quote.tokenDecimals)).toPrecision(6)}\n\n` +
+        (hasTransferTax(quote.taxes)
+            ? `*Token Tax:* ~${parseFloat(formatEther(quote.taxCostWei)).toFixed(6)} ${getNetwork(quote.networkId).nativeSymbol} ` +
+              `(${formatTransferTax(quote.taxes)})\n`
+            : '') +
+        formatQuoteCommon(quote);
+
+    const keyboard = new InlineKeyboard()
+        .text('✅ Confirm', 'confirm_zapin')
+        .text('❌ Cancel', 'cancel_zapin')
+        .row()
+        .text('⏳ Queue for Low Gas', 'queue_zapin');
+
+    return { messageText, keyboard };
+}
+
+function generateBasketQuoteMessage(basket, notice) {
+    const network = getNetwork(basket.networkId);
+    const symbol = network.nativeSymbol;
+    const validLegs = basket.legs.filter(leg => !leg.error);
+
+    const legLines = basket.legs.map((leg, idx) => leg.error
+        ? `${idx + 1}. ❌ *${leg.symbol}* · ${leg.sharePercent.toFixed(1)}%\n   _Skipped: ${leg.error}_`
+        : `${idx + 1}. *${leg.quote.tokenSymbol}/${leg.quote.quoteSymbol}* · ${leg.sharePercent.toFixed(1)}% · ${formatEther(leg.amount)} ${symbol}\n` +
+        `   Impact ${leg.quote.priceImpact.toFixed(2)}% · Slippage ${(leg.quote.slippageBps / 100).toFixed(2)}% · ~${parseFloat(formatEther(leg.quote.expectedLiquidity)).toPrecision(4)} LP` +
+        (hasTransferTax(leg.quote.taxes) ? ` · Tax ${formatTransferTax(leg.quote.taxes)}` : ''));
+
+    const messageText =
+        (notice ? `${notice}\n\n` : '') +
+        `🧺 **Review Basket Zap** on ${network.name}\n\n` +
+        `${legLines.join('\n')}\n\n` +
+        `*Total:* ${formatEther(basket.totalIn)} ${symbol} across ${validLegs.length} leg(s)\n` +
+        `*Est. Gas:* ~${parseFloat(formatEther(basket.totalGasFee)).toFixed(6)} ${symbol} ($${basket.totalFeeUsd.toFixed(2)}) for ${validLegs.length} zap(s)\n\n` +
+        `_Legs run one after another. A failed leg is reported and does not stop the others._`;
+
+    const keyboard = new InlineKeyboard();
+    if (validLegs.length > 0) keyboard.text('✅ Confirm', 'confirm_basket');
+    keyboard.text('❌ Cancel', 'cancel_basket');
+    return { messageText, keyboard };
+}
+
+function generateZapOutQuoteMessage(quote, notice) {
+    const { outAsset, zapOutAsset, swapQuote } = quote;
+    const formatOut = (amount, decimals) => parseFloat(formatUnits(amount, decimals)).toPrecision(6);
+    const expectedOut = swapQuote ? swapQuote.expectedOut : quote.expectedOut;
+
+    const messageText =
+        (notice ? `${notice}\n\n` : '') +
+        `🧾 **Review ${quote.percentage}% Zap Out to ${outAsset.symbol}**\n\n` +
+        `*Pair:* ${quote.tokenSymbol}/${quote.quoteSymbol}\n` +
+        `*LP Tokens:* ${parseFloat(formatEther(quote.liquidity)).toPrecision(6)}\n` +
+        `*Expected Out:* ~${formatOut(expectedOut, outAsset.decimals)} ${outAsset.symbol}\n\n` +
+        `*Minimum Amounts:*\n` +
+        `${zapOutAsset.symbol} from Zap: ${formatOut(quote.amountOutMin, zapOutAsset.decimals)} ${zapOutAsset.symbol}\n` +
+        (swapQuote ? `${outAsset.symbol} from Swap: ${formatOut(swapQuote.amountOutMin, outAsset.decimals)} ${outAsset.symbol} (${(swapQuote.slippageBps / 100).toFixed(2)}% slippage, ${swapQuote.priceImpact.toFixed(2)}% impact)\n` : '') +
+        `${quote.quoteSymbol} from Pool: ${formatOut(quote.amountAMin, quote.quoteDecimals)}\n` +
+        `${quote.tokenSymbol} from Pool: ${formatOut(quote.amountBMin, quote.tokenDecimals)}\n\n` +
+        (hasTransferTax(quote.taxes)
+            ? `*Token Tax:* ~${formatOut(quote.taxCostQuote, quote.quoteDecimals)} ${quote.quoteSymbol} (${formatTransferTax(quote.taxes)})\n`
+            : '') +
+        formatQuoteCommon(quote);
+
+    const keyboard = new InlineKeyboard()
+        .text('✅ Confirm', 'confirm_zapout')
+        .text('❌ Cancel', 'cancel_zapout')
+        .row()
+        .text('⏳ Queue for Low Gas', 'queue_zapout');
 
     return { messageText, keyboard };
 }
 
-async function generatePositionMessage(position, index, total) {
-    const [tokenInfo, currentPairInfo, ethPriceUsd] = await Promise.all([
-        getCachedTokenInfo(position.tokenAddress),
-        getCachedPairInfo(position.tokenAddress),
-        getCachedEthPriceInUsd()
-    ]);
+function formatSignedUsd(value) {
+    const formatted = Math.abs(value).toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+    return `${value >= 0 ? '+' : '-'}${formatted}`;
+}
 
-    const pairContract = new Contract(position.pairAddress, UNISWAP_V2_PAIR_ABI, provider);
-    const [reserves, lpBalance, pairTotalSupply, token0] = await Promise.all([
-        pairContract.getReserves(),
-        pairContract.balanceOf(wallet.address),
-        pairContract.totalSupply(),
-        pairContract.token0()
-    ]);
+// Formats a native-coin PnL in wei, with its USD value when a price is given.
+function formatPnl(pnlWei, ethPriceUsd, nativeSymbol) {
+    const pnl = parseFloat(formatEther(pnlWei));
+    const usd = ethPriceUsd ? ` (${formatSignedUsd(pnl * ethPriceUsd)})` : '';
+    return `${pnl >= 0 ? '+' : ''}${pnl.toFixed(6)} ${nativeSymbol}${usd}`;
+}
 
-    if (pairTotalSupply === 0n) throw new Error("Pool has no liquidity.");
+async function displayZapOutQuote(ctx, quote, notice) {
+    const { messageText, keyboard } = generateZapOutQuoteMessage(quote, notice);
+    await ctx.editMessageText(messageText, { parse_mode: 'Markdown', reply_markup: keyboard });
+}
 
-    const [reserveWETH] = getAddress(token0) === getAddress(CONSTANTS.WETH_ADDRESS)
-        ? [reserves[0], reserves[1]]
-        : [reserves[1], reserves[0]];
+async function generatePositionMessage(position, index, total, exitAsset = 'eth') {
+    const {
+        network, tokenInfo, quoteInfo, currentPairInfo, ethPriceUsd,
+        reserveQuote, reserveToken, pairTotalSupply, lpBalance, userLpValueWei
+    } = await fetchPositionValue(position);
+    const [stableInfo, taxes] = await Promise.all([
+        network.stablecoinAddress ? getCachedTokenInfo(network, network.stablecoinAddress) : null,
+        getTransferTax(getPositionMarket(position))
+    ]);
 
-    const userLpValueWei = (reserveWETH * 2n * lpBalance) / pairTotalSupply;
     const userLpValueEth = parseFloat(formatEther(userLpValueWei));
     const userLpValueUsd = userLpValueEth * ethPriceUsd;
 
@@ -1054,18 +5167,60 @@ async function generatePositionMessage(position, index, total) {
         : 0;
     const userSharePercent = Number((lpBalance * 10000n) / pairTotalSupply) / 100;
 
+    const accounting = getPositionAccounting(position);
+    const unrealizedPnl = userLpValueWei - accounting.costBasis;
+    const unrealizedPnlUsd = parseFloat(formatEther(unrealizedPnl)) * ethPriceUsd;
+    const totalPnlEth = parseFloat(formatEther(accounting.realizedPnl + unrealizedPnl));
+    const totalPnlUsd = accounting.realizedPnlUsd + unrealizedPnlUsd;
+    const native = network.nativeSymbol;
+
+    // Impermanent loss compares the LP share against holding the same ETH half in ETH and half in the token.
+    const underlyingQuote = (reserveQuote * lpBalance) / pairTotalSupply;
+    const underlyingToken = (reserveToken * lpBalance) / pairTotalSupply;
+    const hodl = calculateHodlComparison(position, accounting, tokenInfo.decimals, parseEther(currentPairInfo.price), currentPairInfo.marketCap);
+    const impermanentLoss = userLpValueWei - hodl.fiftyFiftyValue;
+    const impermanentLossPercent = hodl.fiftyFiftyValue > 0n
+        ? Number((impermanentLoss * 1000000n) / hodl.fiftyFiftyValue) / 10000
+        : 0;
+
+    // Exiting to the native coin moves the token half out of the pair and back in, paying both taxes on it.
+    const tokenHalfWei = userLpValueWei / 2n;
+    const exitTaxWei = tokenHalfWei - applyTransferTax(applyTransferTax(tokenHalfWei, taxes.buyTaxBps), taxes.sellTaxBps);
+
     const formatUsd = (val) => val.toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+    const rulesSummary = formatExitRules(position.rules, native);
+    const formatHold = (wei) => `${parseFloat(formatEther(wei)).toFixed(6)} ${native} (~${formatUsd(parseFloat(formatEther(wei)) * ethPriceUsd)})`;
+    const exitLabels = { eth: network.nativeSymbol, token: tokenInfo.symbol, quote: quoteInfo.symbol, stable: stableInfo?.symbol };
 
     const messageText =
-        `📊 **Position ${index + 1} of ${total}**\n\n` +
+        `📊 **Position ${index + 1} of ${total}** (#${position.id})\n\n` +
         `**Token:** ${tokenInfo.name} (${tokenInfo.symbol})\n` +
-        `**Value:** ${userLpValueEth.toFixed(5)} ETH (~${formatUsd(userLpValueUsd)})\n` +
+        `**Pair:** ${tokenInfo.symbol}/${quoteInfo.symbol}\n` +
+        `**Network:** ${network.name}\n` +
+        `**Value:** ${userLpValueEth.toFixed(5)} ${network.nativeSymbol} (~${formatUsd(userLpValueUsd)})\n` +
+        (exitTaxWei > 0n
+            ? `**After Token Tax:** ${parseFloat(formatEther(userLpValueWei - exitTaxWei)).toFixed(5)} ${native} (${formatTransferTax(taxes)})\n`
+            : '') +
         `**Address:** \`${position.tokenAddress}\`\n\n` +
         `**Market Cap:**\n` +
         `Initial: ${formatUsd(initialMarketCapEth * ethPriceUsd)}\n` +
         `Current: ${formatUsd(currentMarketCapEth * ethPriceUsd)}\n` +
-        `P/L: ${mcapProfitPercent >= 0 ? '📈 +' : '📉 '}${mcapProfitPercent.toFixed(2)}%\n\n` +
-        `**Pool Share:** ${userSharePercent.toFixed(4)}%\n\n` +
+        `Change: ${mcapProfitPercent >= 0 ? '📈 +' : '📉 '}${mcapProfitPercent.toFixed(2)}%\n\n` +
+        `**PnL:**\n` +
+        `Cost Basis: ${parseFloat(formatEther(accounting.costBasis)).toFixed(6)} ${native} ` +
+        `(${accounting.entries.length} entr${accounting.entries.length === 1 ? 'y' : 'ies'}, ${accounting.exits.length} exit${accounting.exits.length === 1 ? '' : 's'})\n` +
+        `Realized: ${formatPnl(accounting.realizedPnl, null, native)} (${formatSignedUsd(accounting.realizedPnlUsd)})\n` +
+        `Unrealized: ${formatPnl(unrealizedPnl, ethPriceUsd, native)}\n` +
+        `Total: ${totalPnlEth >= 0 ? '📈 +' : '📉 '}${totalPnlEth.toFixed(6)} ${native} (${formatSignedUsd(totalPnlUsd)})\n\n` +
+        `**vs HODL:**\n` +
+        `Held as ${native}: ${formatHold(hodl.ethHoldValue)}\n` +
+        `Held 50/50: ${formatHold(hodl.fiftyFiftyValue)}\n` +
+        `Impermanent Loss: ${impermanentLossPercent >= 0 ? '+' : ''}${impermanentLossPercent.toFixed(2)}% (${formatPnl(impermanentLoss, null, native)})\n\n` +
+        `**Underlying:** ${parseFloat(formatUnits(underlyingToken, tokenInfo.decimals)).toPrecision(6)} ${tokenInfo.symbol} + ` +
+        `${parseFloat(formatUnits(underlyingQuote, quoteInfo.decimals)).toPrecision(6)} ${quoteInfo.symbol}\n` +
+        `**Pool Share:** ${userSharePercent.toFixed(4)}%\n` +
+        (rulesSummary ? `**Exit Rules:** ${rulesSummary}\n` : '') +
+        `**Zap Out To:** ${exitLabels[exitAsset]}\n\n` +
         `_Updated: ${new Date().toLocaleTimeString()}_`;
 
     const keyboard = new InlineKeyboard()
@@ -1074,6 +5229,12 @@ async function generatePositionMessage(position, index, total) {
         .text('➡️', 'next_pos')
         .row();
 
+    getAvailableExitAssets(position).forEach(asset => {
+        const label = exitLabels[asset];
+        keyboard.text(asset === exitAsset ? `✅ ${label}` : label, `zapout_asset:${asset}`);
+    });
+    keyboard.row();
+
     CONSTANTS.ZAP_OUT_PERCENTAGES.forEach((pct, idx) => {
         const emoji = pct === 100 ? '💥' : pct >= 75 ? '🔥' : pct >= 50 ? '⚡' : '💧';
         keyboard.text(`${emoji} ${pct}%`, `execute_zapout:${pct}`);
@@ -1086,10 +5247,14 @@ async function generatePositionMessage(position, index, total) {
 async function displayPosition(ctx, edit = false) {
     const chatId = ctx.chat.id;
     stopWatcher(chatId);
-    const positions = await loadPositions();
-    const index = ctx.session.positionIndex ?? 0;
-
-    if (!positions[index]) {
+    const positions = loadPositions();
+    // The session remembers the position by ID; if it was closed in the meantime the first open one is shown.
+    const index = Math.max(0, positions.findIndex(p => p.id === ctx.session.positionId));
+    const exitAsset = ctx.session.zapOutAsset ?? 'eth';
+    const positionId = positions[index]?.id ?? null;
+    ctx.session.positionId = positionId;
+
+    if (!positionId) {
         const message = "📭 You have no open positions.\n\nUse /zapin to create one!";
         if (edit) {
             await ctx.editMessageText(message).catch(() => ctx.reply(message));
@@ -1111,14 +5276,16 @@ async function displayPosition(ctx, edit = false) {
                 return;
             }
             try {
-                const currentPositions = await loadPositions();
-                const currentPosition = currentPositions[index];
-                if (!currentPosition) {
+                const currentPositions = loadPositions();
+                const currentIndex = currentPositions.findIndex(p => p.id === positionId);
+                if (currentIndex === -1) {
                     stopWatcher(chatId);
                     await bot.api.editMessageText(chatId, msg.message_id, "Position has been closed.", { reply_markup: undefined });
                     return;
                 }
-                const { messageText, keyboard } = await generatePositionMessage(currentPosition, index, currentPositions.length);
+                const currentPosition = currentPositions[currentIndex];
+                const { messageText, keyboard } = await generatePositionMessage(
+                    currentPosition, currentIndex, currentPositions.length, resolveExitAsset(currentPosition, exitAsset));
                 await bot.api.editMessageText(chatId, msg.message_id, messageText, { parse_mode: 'Markdown', reply_markup: keyboard })
                     .catch(e => {
                         if (!e.description.includes("message is not modified")) throw e;
@@ -1145,6 +5312,925 @@ async function displayPosition(ctx, edit = false) {
     }
 }
 
+// =================================================================
+// --- EXIT RULES & MONITOR ---
+// =================================================================
+
+const EXIT_RULE_KEYS = {
+    tp: 'takeProfitPercent',
+    mcap: 'takeProfitMarketCapUsd',
+    sl: 'stopLossPercent',
+    trail: 'trailingStopPercent'
+};
+
+function hasActiveExitRules(rules) {
+    return !!rules && !rules.paused && Object.values(EXIT_RULE_KEYS).some(key => rules[key] != null);
+}
+
+function formatExitRules(rules, nativeSymbol) {
+    if (!rules) return null;
+    const parts = [];
+    if (rules.takeProfitPercent != null) parts.push(`TP +${rules.takeProfitPercent}%`);
+    if (rules.takeProfitMarketCapUsd != null) parts.push(`TP MCap $${rules.takeProfitMarketCapUsd.toLocaleString('en-US')}`);
+    if (rules.stopLossPercent != null) parts.push(`SL -${rules.stopLossPercent}%`);
+    if (rules.trailingStopPercent != null) {
+        const peak = rules.peakValue ? ` from ${parseFloat(formatEther(BigInt(rules.peakValue))).toFixed(5)} ${nativeSymbol}` : '';
+        parts.push(`Trail ${rules.trailingStopPercent}%${peak}`);
+    }
+    if (parts.length === 0) return null;
+    return parts.join(' · ') + ` → ${rules.exitAsset ?? 'eth'}` + (rules.paused ? ' _(paused)_' : '');
+}
+
+// Returns a description of the first rule that fires for the current position value, or null.
+// Value changes are measured against the remaining cost basis, gas included.
+function evaluateExitRules(rules, { valueWei, costBasis, marketCapUsd }) {
+    const changePercent = costBasis > 0n ? Number(((valueWei - costBasis) * 10000n) / costBasis) / 100 : 0;
+
+    if (rules.takeProfitPercent != null && changePercent >= rules.takeProfitPercent) {
+        return `Take profit (+${rules.takeProfitPercent}%, value ${changePercent >= 0 ? '+' : ''}${changePercent.toFixed(2)}%)`;
+    }
+    if (rules.takeProfitMarketCapUsd != null && marketCapUsd >= rules.takeProfitMarketCapUsd) {
+        return `Market cap target ($${rules.takeProfitMarketCapUsd.toLocaleString('en-US')})`;
+    }
+    if (rules.stopLossPercent != null && changePercent <= -rules.stopLossPercent) {
+        return `Stop loss (-${rules.stopLossPercent}%, value ${changePercent.toFixed(2)}%)`;
+    }
+    if (rules.trailingStopPercent != null && rules.peakValue) {
+        const peak = BigInt(rules.peakValue);
+        const stopValue = peak - (peak * BigInt(Math.round(rules.trailingStopPercent * 100))) / 10000n;
+        if (valueWei <= stopValue) {
+            return `Trailing stop (${rules.trailingStopPercent}% below peak ${parseFloat(formatEther(peak)).toFixed(5)})`;
+        }
+    }
+    return null;
+}
+
+// Rules live on the position record, so they are read-modify-written in one database transaction.
+function updatePositionRules(market, updater) {
+    const position = writePosition(market, (current) => current && {
+        ...current,
+        rules: updater({ exitAsset: 'eth', ...current.rules })
+    });
+    return position?.rules ?? null;
+}
+
+async function checkPositionRules(position) {
+    const market = getPositionMarket(position);
+    const { network, tokenInfo, quoteInfo, currentPairInfo, ethPriceUsd, lpBalance, userLpValueWei } = await fetchPositionValue(position);
+    if (lpBalance === 0n) return;
+
+    const { rules } = position;
+    if (rules.trailingStopPercent != null && userLpValueWei > BigInt(rules.peakValue ?? 0)) {
+        updatePositionRules(market, current => ({ ...current, peakValue: userLpValueWei.toString() }));
+    }
+
+    const trigger = evaluateExitRules(rules, {
+        valueWei: userLpValueWei,
+        costBasis: getPositionAccounting(position).costBasis,
+        marketCapUsd: parseFloat(currentPairInfo.marketCap) * ethPriceUsd
+    });
+    if (!trigger) return;
+
+    const label = `${tokenInfo.symbol}/${quoteInfo.symbol} on ${network.name}`;
+    log("info", `Exit rule fired for ${label}: ${trigger}`);
+    await executeRuleExit(position, label, trigger);
+}
+
+async function executeRuleExit(position, label, trigger) {
+    const chatId = CONSTANTS.OWNER_CHAT_ID;
+    const send = (text, options) => bot.api.sendMessage(chatId, text, options)
+        .catch(e => log("warn", `Could not notify owner chat ${chatId}:`, e.message));
+
+    const statusMessage = await send(`🤖 **${trigger}** triggered for ${label}\n\n⏳ Preparing 100% Zap Out...`, { parse_mode: 'Markdown' });
+    const notify = {
+        status: (text, options) => statusMessage
+            ? bot.api.editMessageText(chatId, statusMessage.message_id, text, options).catch(() => { })
+            : Promise.resolve(),
+        reply: send,
+        chatId
+    };
+
+    try {
+        const quote = await buildZapOutQuote(position, 100, resolveExitAsset(position, position.rules.exitAsset));
+        const { summary, swapError } = await performZapOut(quote, notify);
+        await send(swapError
+            ? `⚠️ **Rule Exit: ${label} zapped out, swap failed**\n\n*Rule:* ${trigger}\n${summary}`
+            : `✅ **Rule Exit Complete: ${label}**\n\n*Rule:* ${trigger}\n${summary}`, { parse_mode: 'Markdown' });
+    } catch (e) {
+        log("error", `Rule exit failed for ${label}:`, e);
+        // Pause the rules so a failing exit is not retried on every tick.
+        updatePositionRules(getPositionMarket(position), current => ({ ...current, paused: true }));
+        await send(
+            `❌ *Rule Exit Failed: ${label}*\n\n*Reason:* ${formatZapOutError(e)}\n\n` +
+            `Rules for this position are paused. Use /rules to review and resume them.`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+}
+
+// Runs independently of the chat-bound auto-refresh watchers, so rules fire even when no one has /positions open.
+let ruleMonitorRunning = false;
+
+async function checkExitRules() {
+    if (ruleMonitorRunning) return;
+    ruleMonitorRunning = true;
+    try {
+        const positions = loadPositions();
+        for (const position of positions.filter(p => hasActiveExitRules(p.rules))) {
+            try {
+                await checkPositionRules(position);
+            } catch (e) {
+                log("warn", `Exit rule check failed for pair ${position.pairAddress}:`, e.message);
+            }
+        }
+    } finally {
+        ruleMonitorRunning = false;
+    }
+}
+
+// =================================================================
+// --- ALERTS ---
+// =================================================================
+
+const ALERT_METRICS = {
+    price: 'Price',
+    mcap: 'Market Cap',
+    liquidity: 'Liquidity',
+    move: 'Price Move',
+    value: 'Position Value Move'
+};
+
+// Values a pair in USD from the cached pair info, using the same reserve math as the zap and position screens.
+async function fetchAlertMetrics(alert) {
+    const network = getNetwork(alert.networkId);
+    if (alert.metric === 'value') {
+        const position = findPosition(alert);
+        if (!position) return null;
+        const { userLpValueWei } = await fetchPositionValue(position);
+        return { value: parseFloat(formatEther(userLpValueWei)) };
+    }
+
+    const [pairInfo, quoteInfo, ethPriceUsd] = await Promise.all([
+        getCachedPairInfo(network, alert.tokenAddress, alert.quoteTokenAddress),
+        getCachedTokenInfo(network, alert.quoteTokenAddress),
+        getCachedEthPriceInUsd(network)
+    ]);
+    const liquidityWei = (pairInfo.reserveQuote * 2n * pairInfo.quotePriceInWei) / (10n ** quoteInfo.decimals);
+    const price = parseFloat(pairInfo.price) * ethPriceUsd;
+    return {
+        price,
+        move: price,
+        mcap: parseFloat(pairInfo.marketCap) * ethPriceUsd,
+        liquidity: parseFloat(formatEther(liquidityWei)) * ethPriceUsd
+    };
+}
+
+function formatAlertValue(metric, value, nativeSymbol) {
+    if (metric === 'value') return `${value.toFixed(5)} ${nativeSymbol}`;
+    if (metric === 'price' || metric === 'move') return `$${value.toPrecision(6)}`;
+    return value.toLocaleString('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 });
+}
+
+function describeAlert(alert) {
+    const network = getNetwork(alert.networkId);
+    const condition = alert.operator
+        ? `${ALERT_METRICS[alert.metric]} ${alert.operator} ${formatAlertValue(alert.metric, alert.threshold, network.nativeSymbol)}`
+        : `${ALERT_METRICS[alert.metric]} ±${alert.threshold}% from ${formatAlertValue(alert.metric, alert.baseline, network.nativeSymbol)}`;
+    return `${alert.label} (${network.name}): ${condition}`;
+}
+
+// Returns the triggered message for an alert, or null. Move alerts compare against a baseline that is reset each time they fire.
+function evaluateAlert(alert, metrics) {
+    const value = metrics[alert.metric];
+    if (value === undefined || !Number.isFinite(value)) return null;
+    const nativeSymbol = getNetwork(alert.networkId).nativeSymbol;
+
+    if (alert.operator) {
+        const crossed = alert.operator === '>' ? value > alert.threshold : value < alert.threshold;
+        return crossed
+            ? `${ALERT_METRICS[alert.metric]} is ${formatAlertValue(alert.metric, value, nativeSymbol)} (${alert.operator} ${formatAlertValue(alert.metric, alert.threshold, nativeSymbol)})`
+            : null;
+    }
+
+    const changePercent = alert.baseline > 0 ? ((value - alert.baseline) / alert.baseline) * 100 : 0;
+    return Math.abs(changePercent) >= alert.threshold
+        ? `${ALERT_METRICS[alert.metric]} ${changePercent >= 0 ? '📈 +' : '📉 '}${changePercent.toFixed(2)}% ` +
+        `(${formatAlertValue(alert.metric, alert.baseline, nativeSymbol)} → ${formatAlertValue(alert.metric, value, nativeSymbol)})`
+        : null;
+}
+
+// Reads the alert and writes the merged record in one transaction, so a concurrent /alert or removal is never undone.
+const updateAlert = db.transaction((id, changes) => {
+    const alert = rowToAlert(alertStatements.get.get(id));
+    if (!alert) return;
+    const { id: _id, chatId, ...data } = { ...alert, ...changes };
+    alertStatements.update.run(JSON.stringify(data), id);
+});
+
+// Without `chatId` the alert is removed whichever chat owns it.
+function removeAlert(id, chatId) {
+    const { changes } = chatId === undefined
+        ? alertStatements.delete.run(id)
+        : alertStatements.deleteForChat.run(id, String(chatId));
+    return changes > 0;
+}
+
+// Evaluated on its own timer, independent of any open chat message.
+let alertSchedulerRunning = false;
+
+async function checkAlerts() {
+    if (alertSchedulerRunning) return;
+    alertSchedulerRunning = true;
+    try {
+        const alerts = loadAlerts();
+        const cooldownMs = CONSTANTS.ALERT_COOLDOWN_MINUTES * 60 * 1000;
+        for (const alert of alerts) {
+            if (alert.lastTriggeredAt && Date.now() - alert.lastTriggeredAt < cooldownMs) continue;
+            try {
+                const metrics = await fetchAlertMetrics(alert);
+                if (!metrics) {
+                    // Position alerts go away with the position they watch.
+                    removeAlert(alert.id);
+                    await bot.api.sendMessage(alert.chatId, `🔕 Alert #${alert.id} removed: the position ${alert.label} is closed.`).catch(() => { });
+                    continue;
+                }
+                const triggered = evaluateAlert(alert, metrics);
+                if (!triggered) continue;
+
+                log("info", `Alert #${alert.id} fired for ${alert.label}: ${triggered}`);
+                updateAlert(alert.id, {
+                    lastTriggeredAt: Date.now(),
+                    ...(alert.operator ? {} : { baseline: metrics[alert.metric] })
+                });
+                await bot.api.sendMessage(
+                    alert.chatId,
+                    `🔔 **Alert #${alert.id}: ${alert.label}**\n\n${triggered}\n\n` +
+                    `_Network: ${getNetwork(alert.networkId).name}. Quiet for ${CONSTANTS.ALERT_COOLDOWN_MINUTES} min. Manage with /alerts._`,
+                    { parse_mode: 'Markdown' }
+                ).catch(e => log("warn", `Could not deliver alert #${alert.id} to chat ${alert.chatId}:`, e.message));
+            } catch (e) {
+                log("warn", `Alert #${alert.id} check failed:`, e.message);
+            }
+        }
+    } finally {
+        alertSchedulerRunning = false;
+    }
+}
+
+// =================================================================
+// --- DCA PLANS ---
+// =================================================================
+
+const DCA_STATUS_ICONS = { active: '▶️', paused: '⏸', completed: '🏁', cancelled: '🚫' };
+// A plan is paused after this many failed runs in a row, so a broken pool or an empty wallet is not retried forever.
+const DCA_MAX_CONSECUTIVE_FAILURES = 3;
+
+function formatDcaPlan(plan) {
+    const network = getNetwork(plan.networkId);
+    const symbol = network.nativeSymbol;
+    const schedule = [`${plan.amountPerRun} ${symbol} every ${formatDuration(plan.intervalMs)}`];
+    if (plan.budget) schedule.push(`budget ${plan.budget} ${symbol}`);
+    if (plan.endsAt) schedule.push(`until ${new Date(plan.endsAt).toLocaleDateString()}`);
+    const skipRules = [];
+    if (plan.maxGasGwei != null) skipRules.push(`gas > ${plan.maxGasGwei} Gwei`);
+    if (plan.maxPriceImpactPercent != null) skipRules.push(`impact > ${plan.maxPriceImpactPercent}%`);
+
+    return `*${plan.tokenSymbol}/${plan.quoteSymbol}* on ${network.name}\n` +
+        `${schedule.join(' · ')}\n` +
+        `Skip when: ${skipRules.length > 0 ? skipRules.join(' or ') : 'never'}\n` +
+        `Spent: ${parseFloat(formatEther(BigInt(plan.spent))).toFixed(6)} ${symbol}` +
+        (plan.budget ? ` of ${plan.budget}` : '') +
+        ` in ${plan.runs} run(s)` + (plan.skips > 0 ? `, ${plan.skips} skipped` : '') +
+        (plan.status === 'active' ? `\nNext run: ${new Date(plan.nextRunAt).toLocaleString()}` : '');
+}
+
+function getDcaRemainingBudget(plan) {
+    return plan.budget ? parseEther(plan.budget) - BigInt(plan.spent) : null;
+}
+
+// Runs keep to the plan's schedule; runs missed while the bot was down are not made up.
+function getNextDcaRunAt(plan, now) {
+    const next = plan.nextRunAt + plan.intervalMs;
+    return next > now ? next : now + plan.intervalMs;
+}
+
+function getDcaCompletionReason(plan, now) {
+    const remaining = getDcaRemainingBudget(plan);
+    if (remaining !== null && remaining <= 0n) return 'Budget spent.';
+    if (plan.endsAt && now >= plan.endsAt) return 'End date reached.';
+    return null;
+}
+
+async function generateDcaMessage(chatId) {
+    const plans = loadDcaPlans(chatId);
+    const keyboard = new InlineKeyboard();
+    plans.forEach(plan => {
+        keyboard.text(plan.status === 'active' ? `⏸ Pause #${plan.id}` : `▶️ Resume #${plan.id}`,
+            `${plan.status === 'active' ? 'dca_pause' : 'dca_resume'}:${plan.id}`)
+            .text(`🗑 Cancel #${plan.id}`, `dca_cancel:${plan.id}`)
+            .row();
+    });
+
+    const messageText = plans.length > 0
+        ? `🔁 **DCA Plans**\n\n` + plans.map(plan => `${DCA_STATUS_ICONS[plan.status]} #${plan.id} ${formatDcaPlan(plan)}` +
+            (plan.lastRun ? `\n_Last run ${new Date(plan.lastRun.at).toLocaleString()}: ${plan.lastRun.outcome}_` : '')).join('\n\n') +
+        `\n\n_Use /dca new to add a plan._`
+        : `📭 No DCA plans in this chat.\n\nUse /dca new to zap into a pool on a schedule.`;
+    return { messageText, keyboard };
+}
+
+// Applies a pause, resume or cancel from this chat. Returns the updated plan, or null when it is not this chat's.
+function setDcaPlanStatus(id, chatId, action) {
+    return writeDcaPlan(id, (plan) => {
+        if (!plan || plan.chatId !== chatId || !['active', 'paused'].includes(plan.status)) return null;
+        if (action === 'pause') return { ...plan, status: 'paused' };
+        if (action === 'cancel') return { ...plan, status: 'cancelled' };
+        return { ...plan, status: 'active', failures: 0, nextRunAt: Math.max(plan.nextRunAt, Date.now()) };
+    });
+}
+
+// One scheduled run: completes the plan when its budget or end date is reached, skips it when gas or price impact
+// is above the plan's limits, and otherwise zaps in through executeZapIn with a summary in the plan's chat.
+async function runDcaPlan(plan) {
+    const network = getNetwork(plan.networkId);
+    const label = `DCA #${plan.id} ${plan.tokenSymbol}/${plan.quoteSymbol}`;
+    const send = (text, options) => bot.api.sendMessage(plan.chatId, text, options)
+        .catch(e => log("warn", `Could not notify chat ${plan.chatId}:`, e.message));
+    const now = Date.now();
+
+    const completionReason = getDcaCompletionReason(plan, now);
+    if (completionReason) {
+        const finished = writeDcaPlan(plan.id, current => current && { ...current, status: 'completed' });
+        await send(`🏁 **${label} completed**\n\n${completionReason}\n\n${formatDcaPlan(finished)}`, { parse_mode: 'Markdown' });
+        return;
+    }
+
+    // The last run of a budget only spends what is left.
+    const remaining = getDcaRemainingBudget(plan);
+    const amountPerRun = parseEther(plan.amountPerRun);
+    const amount = formatEther(remaining !== null && remaining < amountPerRun ? remaining : amountPerRun);
+    const market = { networkId: plan.networkId, pairAddress: plan.pairAddress, tokenAddress: plan.tokenAddress, quoteTokenAddress: plan.quoteTokenAddress };
+
+    let quote, skipReason = null, error = null;
+    try {
+        quote = await buildZapInQuote(market, amount);
+        const gasPriceGwei = parseFloat(formatUnits(quote.txOptionsData.gasPrice, 'gwei'));
+        if (plan.maxGasGwei != null && gasPriceGwei > plan.maxGasGwei) {
+            skipReason = `gas ${gasPriceGwei.toFixed(1)} Gwei is above the ${plan.maxGasGwei} Gwei cap`;
+        } else if (plan.maxPriceImpactPercent != null && quote.priceImpact > plan.maxPriceImpactPercent) {
+            skipReason = `price impact ${quote.priceImpact.toFixed(2)}% is above the ${plan.maxPriceImpactPercent}% limit`;
+        }
+    } catch (e) {
+        log("warn", `${label} quote failed:`, e.message);
+        error = formatZapInError(e);
+    }
+
+    let result = null;
+    if (!skipReason && !error) {
+        const statusMessage = await send(`🔁 **${label}**\n\n⏳ Run ${plan.runs + 1}: zapping ${amount} ${network.nativeSymbol}...`, { parse_mode: 'Markdown' });
+        result = statusMessage
+            ? await executeZapIn({ api: bot.api, chat: { id: plan.chatId } }, statusMessage.message_id, quote)
+            : { error: 'The plan\'s chat could not be reached.' };
+        // A mined zap is a completed run even when something after it failed, so the budget always sees the spend.
+        error = result.receipt ? null : result.error;
+    }
+
+    const updated = writeDcaPlan(plan.id, (current) => {
+        if (!current) return null;
+        const next = { ...current };
+        if (result?.receipt) {
+            next.runs += 1;
+            next.failures = 0;
+            next.spent = (BigInt(current.spent) + quote.amountIn).toString();
+            next.gasSpent = (BigInt(current.gasSpent) + result.gasFee).toString();
+            next.lpAcquired = (BigInt(current.lpAcquired) + result.lpAcquired).toString();
+            next.lastRun = { at: now, outcome: `zapped ${amount} ${network.nativeSymbol}`, txHash: result.receipt.hash };
+        }
+        // A plan paused or cancelled during the run keeps its status and schedule, but not the spend above.
+        if (current.status !== 'active') return result?.receipt ? next : null;
+
+        next.nextRunAt = getNextDcaRunAt(current, Date.now());
+        if (skipReason) {
+            next.skips += 1;
+            next.lastRun = { at: now, outcome: `skipped, ${skipReason}` };
+        } else if (error) {
+            next.failures += 1;
+            next.lastRun = { at: now, outcome: `failed, ${error}` };
+            if (next.failures >= DCA_MAX_CONSECUTIVE_FAILURES) next.status = 'paused';
+        }
+        if (next.status === 'active' && getDcaCompletionReason(next, next.nextRunAt)) next.status = 'completed';
+        return next;
+    });
+    if (!updated) return;
+
+    const header = skipReason
+        ? `⏭ **${label}: run skipped**\n\n*Reason:* ${skipReason}`
+        : error
+            ? `❌ **${label}: run failed**\n\n*Reason:* ${error}` +
+            (updated.status === 'paused' ? `\n\nPaused after ${DCA_MAX_CONSECUTIVE_FAILURES} failed runs in a row. Resume it from /dca.` : '')
+            : `✅ **${label}: run ${updated.runs} complete**\n\n` +
+            `Zapped: ${amount} ${network.nativeSymbol} → ${parseFloat(formatEther(result.lpAcquired)).toPrecision(6)} LP\n` +
+            `Gas: ${parseFloat(formatEther(result.gasFee)).toFixed(6)} ${network.nativeSymbol}\n` +
+            `Total LP: ${parseFloat(formatEther(BigInt(updated.lpAcquired))).toPrecision(6)}`;
+    await send(`${header}\n\n${formatDcaPlan(updated)}` + (updated.status === 'completed' ? `\n\n🏁 Plan completed.` : ''), { parse_mode: 'Markdown' });
+}
+
+let dcaRunnerRunning = false;
+
+async function checkDcaPlans() {
+    if (dcaRunnerRunning) return;
+    dcaRunnerRunning = true;
+    try {
+        for (const plan of loadDueDcaPlans()) {
+            try {
+                await runDcaPlan(plan);
+            } catch (e) {
+                log("warn", `DCA plan #${plan.id} run failed:`, e.message);
+            }
+        }
+    } finally {
+        dcaRunnerRunning = false;
+    }
+}
+
+// =================================================================
+// --- GAS QUEUE ---
+// =================================================================
+
+const QUEUE_STATUS_ICONS = { waiting: '⏳', running: '⚙️', executed: '✅', failed: '❌', expired: '⌛', cancelled: '🗑' };
+
+// The base fee announced for the next block, from the fee-history estimator.
+async function fetchBaseFeeGwei(network) {
+    return (await getCachedFeeHistoryTiers(network)).baseFeeGwei;
+}
+
+function formatQueuedAction(action) {
+    const network = NETWORKS.get(action.networkId);
+    const pairLabel = `${action.tokenSymbol}/${action.quoteSymbol}`;
+    const what = action.type === 'zapin'
+        ? `Zap In ${action.amount} ${action.payWith.symbol} → ${pairLabel}`
+        : `${action.percentage}% Zap Out of ${pairLabel} to ${action.outSymbol}`;
+    return `*${what}*${network ? ` on ${network.name}` : ''}\n` +
+        `When base fee < ${action.maxBaseFeeGwei} Gwei · expires ${new Date(action.expiresAt).toLocaleString()}`;
+}
+
+async function generateQueueMessage(chatId) {
+    const actions = loadQueuedActions(chatId);
+    const networkIds = [...new Set(actions.map(action => action.networkId))].filter(id => NETWORKS.has(id));
+    const baseFees = new Map(await Promise.all(networkIds.map(async (id) =>
+        [id, await fetchBaseFeeGwei(getNetwork(id)).catch(() => null)])));
+
+    const keyboard = new InlineKeyboard();
+    actions.forEach(action => keyboard.text(`🗑 Cancel #${action.id}`, `queue_cancel:${action.id}`).row());
+
+    const messageText = actions.length > 0
+        ? `⏳ **Gas Queue**\n\n` + actions.map(action => {
+            const baseFeeGwei = baseFees.get(action.networkId);
+            return `${QUEUE_STATUS_ICONS[action.status]} #${action.id} ${formatQueuedAction(action)}` +
+                (baseFeeGwei != null ? `\n_Base fee now: ${formatGasGwei(baseFeeGwei)} Gwei_` : '') +
+                (action.held ? `\n_Held back: ${action.held}_` : '');
+        }).join('\n\n')
+        : `📭 Nothing is queued in this chat.\n\nUse the Queue for Low Gas button on a zap in or zap out review to wait for cheaper gas.`;
+    return { messageText, keyboard };
+}
+
+// Cancels a waiting action of this chat. Returns the cancelled action, or null when there is none.
+function cancelQueuedAction(id, chatId) {
+    const action = writeQueuedAction(id, (current) =>
+        current && current.chatId === chatId && current.status === 'waiting' ? { ...current, status: 'cancelled' } : null);
+    return action?.chatId === chatId && action.status === 'cancelled' ? action : null;
+}
+
+// Moves an action from status `from` to the given changes in one transaction. Returns whether this call made the
+// change, so two callers can never both claim the same waiting action.
+function transitionQueuedAction(id, from, changes) {
+    let changed = false;
+    writeQueuedAction(id, (current) => {
+        if (current?.status !== from) return null;
+        changed = true;
+        return { ...current, ...changes };
+    });
+    return changed;
+}
+
+// Runs a queued action through the normal zap in or zap out path with a fresh quote, reporting into the action's chat.
+// The action is claimed as 'running' before anything is sent, so a crash, restart or slow confirmation can never send
+// it twice. Actions run once: a failed run is reported and not retried.
+async function runQueuedAction(action, baseFeeGwei) {
+    const label = `Queued #${action.id}`;
+    if (!transitionQueuedAction(action.id, 'waiting', { status: 'running', startedAt: Date.now(), baseFeeGwei })) return;
+
+    const send = (text, options) => bot.api.sendMessage(action.chatId, text, options)
+        .catch(e => log("warn", `Could not notify chat ${action.chatId}:`, e.message));
+    const market = { networkId: action.networkId, pairAddress: action.pairAddress, tokenAddress: action.tokenAddress, quoteTokenAddress: action.quoteTokenAddress };
+    log("info", `${label} running at base fee ${baseFeeGwei} Gwei (threshold ${action.maxBaseFeeGwei} Gwei)`);
+
+    let quote = null, error = null;
+    try {
+        if (action.type === 'zapin') {
+            quote = await buildZapInQuote(market, action.amount, action.payWith);
+        } else {
+            const position = findPosition(market);
+            if (!position) throw new Error("Position not found. It may have been closed.");
+            quote = await buildZapOutQuote(position, action.percentage, resolveExitAsset(position, action.exitAsset));
+        }
+    } catch (e) {
+        log("warn", `${label} quote failed:`, e.message);
+        error = action.type === 'zapin' ? formatZapInError(e) : formatZapOutError(e);
+    }
+
+    // MAX_GAS_PRICE_GWEI only caps the fee, which would send an underpriced transaction that sits pending.
+    // While the cap binds the action goes back to waiting, until the fee estimate fits or the action expires.
+    if (quote?.txOptionsData.capped) {
+        const held = `fee estimate above the ${CONSTANTS.MAX_GAS_PRICE_GWEI} Gwei cap`;
+        transitionQueuedAction(action.id, 'running', { status: 'waiting', held });
+        log("info", `${label} kept waiting: ${held}`);
+        return;
+    }
+
+    const statusMessage = await send(
+        `⛽ **${label}**: base fee ${formatGasGwei(baseFeeGwei)} Gwei is below ${action.maxBaseFeeGwei} Gwei\n\n` +
+        `${formatQueuedAction(action)}\n\n⏳ Executing...`,
+        { parse_mode: 'Markdown' });
+    const report = (text, options) => statusMessage
+        ? bot.api.editMessageText(action.chatId, statusMessage.message_id, text, options).catch(() => { })
+        : send(text, options);
+
+    let receipt = null;
+    if (error) {
+        await report(`❌ *${label}: ${action.type === 'zapin' ? 'Zap In' : 'Zap Out'} Failed*\n\n*Reason:* ${error}`, { parse_mode: 'Markdown' });
+    } else if (action.type === 'zapin') {
+        const result = statusMessage
+            ? await executeZapIn({ api: bot.api, chat: { id: action.chatId } }, statusMessage.message_id, quote)
+            : { error: 'The chat could not be reached.' };
+        receipt = result.receipt ?? null;
+        error = receipt ? null : result.error;
+    } else {
+        try {
+            const result = await performZapOut(quote, { status: report, reply: send, chatId: action.chatId });
+            receipt = result.receipt;
+            await send(result.swapError
+                ? `⚠️ **${label}: ${action.percentage}% Zapped Out, Swap Failed**\n\n${result.summary}`
+                : `✅ **${label}: ${action.percentage}% Zap Out Complete**\n\n${result.summary}`, { parse_mode: 'Markdown' });
+        } catch (e) {
+            log("error", `${label} zap out failed:`, e);
+            error = formatZapOutError(e);
+            await send(`❌ *${label}: Zap Out Failed*\n\n*Reason:* ${error}`, { parse_mode: 'Markdown' });
+        }
+    }
+
+    writeQueuedAction(action.id, current => current && {
+        ...current,
+        status: receipt ? 'executed' : 'failed',
+        ranAt: Date.now(),
+        ...(receipt ? { txHash: receipt.hash } : { error })
+    });
+}
+
+// An action still 'running' at startup was interrupted mid-run. Whether its transaction went out is unknown, so it is
+// marked failed instead of being run again, and its chat is asked to check /history.
+async function recoverInterruptedQueuedActions() {
+    for (const action of queueStatements.listRunning.all().map(rowToQueuedAction)) {
+        const error = 'Interrupted by a restart while running.';
+        if (!transitionQueuedAction(action.id, 'running', { status: 'failed', error })) continue;
+        log("warn", `Queued action #${action.id} was interrupted while running; marked failed.`);
+        await bot.api.sendMessage(action.chatId,
+            `⚠️ **Queued #${action.id} interrupted**\n\n${formatQueuedAction(action)}\n\n` +
+            `_The bot restarted while this action was running, so it was not run again. Check /history to see whether its transaction was sent._`,
+            { parse_mode: 'Markdown' }).catch(e => log("warn", `Could not notify chat ${action.chatId}:`, e.message));
+    }
+}
+
+let gasQueueRunning = false;
+
+// Expires overdue actions and runs the rest whose network's base fee is below their threshold, one at a time.
+async function checkGasQueue() {
+    if (gasQueueRunning) return;
+    gasQueueRunning = true;
+    try {
+        const baseFees = new Map();
+        for (const action of loadWaitingQueuedActions()) {
+            try {
+                if (Date.now() >= action.expiresAt) {
+                    if (!transitionQueuedAction(action.id, 'waiting', { status: 'expired' })) continue;
+                    await bot.api.sendMessage(action.chatId,
+                        `⌛ **Queued #${action.id} expired**\n\n${formatQueuedAction(action)}\n\n_The base fee did not drop below ${action.maxBaseFeeGwei} Gwei in time._`,
+                        { parse_mode: 'Markdown' }).catch(e => log("warn", `Could not notify chat ${action.chatId}:`, e.message));
+                    continue;
+                }
+                if (!baseFees.has(action.networkId)) baseFees.set(action.networkId, await fetchBaseFeeGwei(getNetwork(action.networkId)));
+                const baseFeeGwei = baseFees.get(action.networkId);
+                if (baseFeeGwei < action.maxBaseFeeGwei) {
+                    await runQueuedAction(action, baseFeeGwei);
+                }
+            } catch (e) {
+                log("warn", `Queued action #${action.id} check failed:`, e.message);
+            }
+        }
+    } finally {
+        gasQueueRunning = false;
+    }
+}
+
+// =================================================================
+// --- POSITION SYNC ---
+// =================================================================
+
+const pairInterface = new Interface(UNISWAP_V2_PAIR_ABI);
+const TRANSFER_TOPIC = pairInterface.getEvent('Transfer').topicHash;
+const wrappedNativeInterface = new Interface(['event Withdrawal(address indexed src, uint256 wad)']);
+const WITHDRAWAL_TOPIC = wrappedNativeInterface.getEvent('Withdrawal').topicHash;
+let syncRunning = false;
+
+function toAddressTopic(address) {
+    return zeroPadValue(getAddress(address), 32);
+}
+
+// RPCs cap the block range of a single eth_getLogs call, so long windows are scanned in chunks.
+async function getLogsChunked(network, filter, fromBlock, toBlock, onChunk) {
+    const logs = [];
+    for (let start = fromBlock; start <= toBlock; start += CONSTANTS.SYNC_LOG_CHUNK_BLOCKS) {
+        const end = Math.min(toBlock, start + CONSTANTS.SYNC_LOG_CHUNK_BLOCKS - 1);
+        logs.push(...await network.provider.getLogs({ ...filter, fromBlock: start, toBlock: end }));
+        if (onChunk) await onChunk(end);
+    }
+    return logs;
+}
+
+// Pairs the wallet may hold LP in: every contract that sent it an ERC-20 Transfer in the window, plus pairs
+// from stored positions and the transaction ledger. Only pairs of this network's factory are kept.
+async function findLpCandidates(network, fromBlock, toBlock, onProgress) {
+    const logs = await getLogsChunked(network, { topics: [TRANSFER_TOPIC, null, toAddressTopic(network.wallet.address)] },
+        fromBlock, toBlock, onProgress);
+    const history = loadHistory();
+    const addresses = new Set([
+        ...logs.map(entry => getAddress(entry.address)),
+        ...history.filter(entry => entry.networkId === network.id && entry.pairAddress).map(entry => getAddress(entry.pairAddress))
+    ]);
+
+    const markets = [];
+    for (const address of addresses) {
+        const pairContract = new Contract(address, UNISWAP_V2_PAIR_ABI, network.provider);
+        const tokens = await Promise.all([pairContract.token0(), pairContract.token1()]).catch(() => null);
+        if (!tokens) continue;
+        const market = await resolveMarket(network, tokens[0], tokens[1]).catch(() => null);
+        if (market && market.pairAddress === address) markets.push(market);
+    }
+    return markets;
+}
+
+// Values an amount of both pool assets in the quote asset using the reserves of the same moment.
+function valueInQuote(amountQuote, amountToken, reserveQuote, reserveToken) {
+    return amountQuote + (reserveToken > 0n ? (amountToken * reserveQuote) / reserveToken : 0n);
+}
+
+// Rebuilds a position from the pair's LP Transfer logs to and from the wallet. Mints and burns are valued from the
+// Mint/Burn and Sync events of the same transaction; plain LP transfers move cost basis without realizing PnL, and LP
+// held from before the window (or received without a Sync to price it) is valued at current reserves.
+async function reconstructPosition(network, market, lpBalance, fromBlock, toBlock) {
+    const wallet = network.wallet.address;
+    const pairContract = new Contract(market.pairAddress, UNISWAP_V2_PAIR_ABI, network.provider);
+    const [inLogs, outLogs, token0, quoteInfo, pairInfo, pairTotalSupply, ethPriceUsd] = await Promise.all([
+        getLogsChunked(network, { address: market.pairAddress, topics: [TRANSFER_TOPIC, null, toAddressTopic(wallet)] }, fromBlock, toBlock),
+        getLogsChunked(network, { address: market.pairAddress, topics: [TRANSFER_TOPIC, toAddressTopic(wallet)] }, fromBlock, toBlock),
+        pairContract.token0(),
+        getCachedTokenInfo(network, market.quoteTokenAddress),
+        getCachedPairInfo(network, market.tokenAddress, market.quoteTokenAddress),
+        pairContract.totalSupply(),
+        getCachedEthPriceInUsd(network)
+    ]);
+    const quoteUnit = 10n ** quoteInfo.decimals;
+    const toWei = (quoteAmount, quotePriceInWei = pairInfo.quotePriceInWei) => (quoteAmount * quotePriceInWei) / quoteUnit;
+    const currentLpValue = (lpAmount) => pairTotalSupply > 0n
+        ? toWei((2n * pairInfo.reserveQuote * lpAmount) / pairTotalSupply)
+        : 0n;
+    const currentSnapshot = {
+        reserveQuote: pairInfo.reserveQuote.toString(),
+        reserveToken: pairInfo.reserveToken.toString(),
+        quotePriceInWei: pairInfo.quotePriceInWei.toString(),
+        quoteDecimals: quoteInfo.decimals.toString()
+    };
+
+    const transfers = [
+        ...inLogs.map(entry => ({ entry, incoming: true })),
+        ...outLogs.map(entry => ({ entry, incoming: false }))
+    ].sort((a, b) => a.entry.blockNumber - b.entry.blockNumber || a.entry.index - b.entry.index);
+
+    // Reads the pair's own events in the transaction that moved the LP tokens.
+    const readPairEvents = async (log) => {
+        const [receipt, block] = await Promise.all([
+            network.provider.getTransactionReceipt(log.transactionHash),
+            network.provider.getBlock(log.blockNumber)
+        ]);
+        const events = receipt.logs
+            .filter(entry => isSameAsset(entry.address, market.pairAddress))
+            .map(entry => pairInterface.parseLog(entry))
+            .filter(Boolean);
+        const sync = events.findLast(event => event.name === 'Sync');
+        const reserves = sync ? orientReserves([sync.args.reserve0, sync.args.reserve1], token0, market.quoteTokenAddress) : null;
+        const orient = (event) => orientReserves([event.args.amount0, event.args.amount1], token0, market.quoteTokenAddress);
+        return {
+            receipt,
+            timestamp: block.timestamp * 1000,
+            gasFee: isSameAsset(receipt.from, wallet) ? receipt.fee : 0n,
+            reserves,
+            mint: events.find(event => event.name === 'Mint'),
+            burn: events.find(event => event.name === 'Burn'),
+            orient
+        };
+    };
+
+    const windowLp = transfers.reduce((sum, { entry, incoming }) => {
+        const value = pairInterface.parseLog(entry).args.value;
+        return incoming ? sum + value : sum - value;
+    }, 0n);
+    const openingLp = lpBalance - windowLp;
+
+    const entries = [];
+    const exits = [];
+    let runningLp = 0n, costBasis = 0n, realizedPnl = 0n, realizedPnlUsd = 0;
+
+    if (openingLp > 0n) {
+        const ethValue = currentLpValue(openingLp);
+        entries.push({ timestamp: 0, txHash: null, lpAmount: openingLp.toString(), ethValue: ethValue.toString(), ethSpent: ethValue.toString(), gasFee: '0', ...currentSnapshot, estimated: true });
+        runningLp = openingLp;
+        costBasis = ethValue;
+    }
+
+    for (const { entry, incoming } of transfers) {
+        const lpAmount = pairInterface.parseLog(entry).args.value;
+        const { receipt, timestamp, gasFee, reserves, mint, burn, orient } = await readPairEvents(entry);
+
+        if (incoming) {
+            const [reserveQuote, reserveToken] = reserves ?? [pairInfo.reserveQuote, pairInfo.reserveToken];
+            const isMint = mint && entry.topics[1] === toAddressTopic(ZeroAddress);
+            const ethValue = isMint && reserves
+                ? toWei(valueInQuote(...orient(mint), reserveQuote, reserveToken))
+                : currentLpValue(lpAmount);
+            entries.push({
+                timestamp,
+                txHash: receipt.hash,
+                lpAmount: lpAmount.toString(),
+                ethValue: ethValue.toString(),
+                ethSpent: (ethValue + gasFee).toString(),
+                gasFee: gasFee.toString(),
+                reserveQuote: reserveQuote.toString(),
+                reserveToken: reserveToken.toString(),
+                quotePriceInWei: pairInfo.quotePriceInWei.toString(),
+                quoteDecimals: quoteInfo.decimals.toString(),
+                estimated: !(isMint && reserves)
+            });
+            runningLp += lpAmount;
+            costBasis += ethValue + gasFee;
+            continue;
+        }
+
+        const lpBalanceBefore = runningLp > lpAmount ? runningLp : lpAmount;
+        const costBasisReleased = (costBasis * lpAmount) / lpBalanceBefore;
+        // A burn pays out both assets; an LP transfer elsewhere carries its cost basis with it.
+        const ethReceived = burn && reserves
+            ? toWei(valueInQuote(...orient(burn), ...reserves))
+            : costBasisReleased + gasFee;
+        const pnl = ethReceived - gasFee - costBasisReleased;
+        exits.push({
+            timestamp,
+            txHash: receipt.hash,
+            lpAmount: lpAmount.toString(),
+            lpBalanceBefore: lpBalanceBefore.toString(),
+            ethReceived: ethReceived.toString(),
+            gasFee: gasFee.toString(),
+            costBasisReleased: costBasisReleased.toString(),
+            realizedPnl: pnl.toString(),
+            ethPriceUsd,
+            estimated: !burn
+        });
+        runningLp = lpBalanceBefore - lpAmount;
+        costBasis -= costBasisReleased;
+        realizedPnl += pnl;
+        realizedPnlUsd += parseFloat(formatEther(pnl)) * ethPriceUsd;
+    }
+
+    // The market cap at each entry is backed out of its pool price relative to the current one.
+    const totalEthIn = entries.reduce((sum, entry) => sum + parseFloat(formatEther(BigInt(entry.ethValue))), 0);
+    const marketCapAt = (entry) => {
+        const divisor = BigInt(entry.reserveToken) * pairInfo.reserveQuote;
+        if (divisor === 0n) return parseFloat(pairInfo.marketCap);
+        const priceRatio = Number((BigInt(entry.reserveQuote) * pairInfo.reserveToken * 1_000_000n) / divisor) / 1e6;
+        return parseFloat(pairInfo.marketCap) * priceRatio;
+    };
+    const initialMarketCap = totalEthIn > 0
+        ? entries.reduce((sum, entry) => sum + marketCapAt(entry) * parseFloat(formatEther(BigInt(entry.ethValue))), 0) / totalEthIn
+        : parseFloat(pairInfo.marketCap);
+
+    return {
+        networkId: network.id,
+        chainId: network.chainId,
+        dex: network.dex,
+        tokenAddress: market.tokenAddress,
+        quoteTokenAddress: market.quoteTokenAddress,
+        pairAddress: market.pairAddress,
+        initialEthValue: totalEthIn.toString(),
+        initialMarketCap: initialMarketCap.toString(),
+        timestamp: entries.find(entry => entry.timestamp > 0)?.timestamp ?? Date.now(),
+        entries,
+        exits,
+        lpAmount: lpBalance.toString(),
+        costBasis: costBasis.toString(),
+        realizedPnl: realizedPnl.toString(),
+        realizedPnlUsd,
+        importedAt: Date.now()
+    };
+}
+
+// Brings a stored position in line with the wallet's actual LP balance. LP that left the wallet outside the bot
+// releases cost basis like a transfer; extra LP is added as an entry at current value.
+async function reconcilePosition(network, position, lpBalance) {
+    const market = getPositionMarket(position);
+    if (lpBalance === 0n) {
+        writePosition(market, (current) => current && { ...current, closed: true, closedBy: 'sync' });
+        return 'closed';
+    }
+
+    const accounting = getPositionAccounting(position);
+    if (position.lpAmount === undefined) {
+        writePosition(market, (current) => current && { ...current, lpAmount: lpBalance.toString() });
+        return 'updated';
+    }
+    if (accounting.lpAmount === lpBalance) return 'unchanged';
+
+    const [quoteInfo, pairInfo, { pairTotalSupply }] = await Promise.all([
+        getCachedTokenInfo(network, market.quoteTokenAddress),
+        getCachedPairInfo(network, market.tokenAddress, market.quoteTokenAddress),
+        fetchPairReserves(network, market.pairAddress, market.quoteTokenAddress)
+    ]);
+
+    writePosition(market, (current) => {
+        if (!current) return null;
+        const currentAccounting = getPositionAccounting(current);
+        const lpBefore = currentAccounting.lpAmount;
+        if (lpBalance < lpBefore) {
+            const lpAmount = lpBefore - lpBalance;
+            const costBasisReleased = (currentAccounting.costBasis * lpAmount) / lpBefore;
+            current.exits = [...currentAccounting.exits, {
+                timestamp: Date.now(), txHash: null, lpAmount: lpAmount.toString(), lpBalanceBefore: lpBefore.toString(),
+                ethReceived: costBasisReleased.toString(), gasFee: '0', costBasisReleased: costBasisReleased.toString(),
+                realizedPnl: '0', ethPriceUsd: null, estimated: true
+            }];
+            current.costBasis = (currentAccounting.costBasis - costBasisReleased).toString();
+        } else {
+            const lpAmount = lpBalance - lpBefore;
+            const ethValue = pairTotalSupply > 0n
+                ? (2n * pairInfo.reserveQuote * lpAmount * pairInfo.quotePriceInWei) / (pairTotalSupply * (10n ** quoteInfo.decimals))
+                : 0n;
+            current.entries = [...currentAccounting.entries, {
+                timestamp: Date.now(), txHash: null, lpAmount: lpAmount.toString(), ethValue: ethValue.toString(),
+                ethSpent: ethValue.toString(), gasFee: '0',
+                reserveQuote: pairInfo.reserveQuote.toString(), reserveToken: pairInfo.reserveToken.toString(),
+                quotePriceInWei: pairInfo.quotePriceInWei.toString(), quoteDecimals: quoteInfo.decimals.toString(),
+                estimated: true
+            }];
+            current.costBasis = (currentAccounting.costBasis + ethValue).toString();
+        }
+        current.lpAmount = lpBalance.toString();
+        return current;
+    });
+    return 'updated';
+}
+
+// Scans one network: reconciles every stored position with its LP balance and imports LP found in the wallet
+// that the bot has no position for.
+async function syncNetworkPositions(network, lookbackBlocks, onProgress) {
+    const toBlock = await network.provider.getBlockNumber();
+    const fromBlock = Math.max(0, toBlock - lookbackBlocks);
+    const summary = { imported: [], updated: 0, closed: 0, unchanged: 0 };
+
+    const candidates = await findLpCandidates(network, fromBlock, toBlock,
+        (block) => onProgress(`scanning transfers, block ${block - fromBlock + 1} of ${toBlock - fromBlock + 1}`));
+    const stored = loadPositions().filter(position => getPositionMarket(position).networkId === network.id);
+
+    for (const position of stored) {
+        const pairContract = new Contract(position.pairAddress, UNISWAP_V2_PAIR_ABI, network.provider);
+        const result = await reconcilePosition(network, position, await pairContract.balanceOf(network.wallet.address));
+        summary[result] += 1;
+    }
+
+    for (const market of candidates) {
+        if (findPosition(market)) continue;
+        const pairContract = new Contract(market.pairAddress, UNISWAP_V2_PAIR_ABI, network.provider);
+        const lpBalance = await pairContract.balanceOf(network.wallet.address);
+        if (lpBalance === 0n) continue;
+
+        const tokenInfo = await getCachedTokenInfo(network, market.tokenAddress);
+        const quoteInfo = await getCachedTokenInfo(network, market.quoteTokenAddress);
+        await onProgress(`rebuilding ${tokenInfo.symbol}/${quoteInfo.symbol}`);
+        const position = await reconstructPosition(network, market, lpBalance, fromBlock, toBlock);
+        writePosition(market, (current) => current ?? position);
+        summary.imported.push(`${tokenInfo.symbol}/${quoteInfo.symbol}`);
+        log("info", `Imported ${tokenInfo.symbol}/${quoteInfo.symbol} LP position on ${network.name} from ${position.entries.length} entr${position.entries.length === 1 ? 'y' : 'ies'}`);
+    }
+    return summary;
+}
+
 // =================================================================
 // --- BOT ERROR HANDLING & STARTUP ---
 // =================================================================
@@ -1166,21 +6252,36 @@ bot.catch((err) => {
 async function startBot() {
     try {
         const botInfo = await bot.api.getMe();
-        const balance = await provider.getBalance(wallet.address);
-        const ethPrice = await getCachedEthPriceInUsd();
+        await checkAllRpcHealth();
+        const network = getNetwork();
+        const balance = await network.provider.getBalance(network.wallet.address);
+        const ethPrice = await getCachedEthPriceInUsd(network);
         const balanceUsd = parseFloat(formatEther(balance)) * ethPrice;
 
         log("info", "=========================================");
         log("info", "🚀 Enhanced Uniswap V2 Zapper Bot");
         log("info", "=========================================");
         log("info", `Bot Username: @${botInfo.username}`);
-        log("info", `Wallet Address: ${wallet.address}`);
-        log("info", `Balance: ${parseFloat(formatEther(balance)).toFixed(4)} ETH (~$${balanceUsd.toFixed(2)})`);
-        log("info", `Zapper Contract: ${CONSTANTS.ZAPPER_ADDRESS}`);
+        log("info", `Wallet Address: ${network.wallet.address}`);
+        log("info", `Balance: ${parseFloat(formatEther(balance)).toFixed(4)} ${network.nativeSymbol} on ${network.name} (~$${balanceUsd.toFixed(2)})`);
+        NETWORKS.forEach(entry => {
+            log("info", `Network: ${entry.name} [${entry.id}] chain ${entry.chainId}, Zapper ${entry.zapperAddress}`);
+            log("info", `  RPC: ${entry.rpcPool.endpoints.map(endpoint => `${endpoint.label} (${endpoint.health.healthy ? 'healthy' : endpoint.health.error})`).join(', ')}`);
+        });
         log("info", `Dynamic Slippage: ${CONSTANTS.ENABLE_DYNAMIC_SLIPPAGE ? 'Enabled' : 'Disabled'}`);
         log("info", `Slippage Range: ${CONSTANTS.MIN_SLIPPAGE_BPS / 100}% - ${CONSTANTS.MAX_SLIPPAGE_BPS / 100}%`);
+        log("info", `Exit Rule Monitor: every ${CONSTANTS.RULE_MONITOR_INTERVAL_MS / 1000}s, reporting to chat ${CONSTANTS.OWNER_CHAT_ID}`);
+        log("info", `Alerts: checked every ${CONSTANTS.ALERT_CHECK_INTERVAL_MS / 1000}s, ${CONSTANTS.ALERT_COOLDOWN_MINUTES} min cooldown`);
+        log("info", `DCA Plans: checked every ${CONSTANTS.DCA_CHECK_INTERVAL_MS / 1000}s`);
         log("info", "=========================================");
 
+        setInterval(checkExitRules, CONSTANTS.RULE_MONITOR_INTERVAL_MS);
+        setInterval(checkAlerts, CONSTANTS.ALERT_CHECK_INTERVAL_MS);
+        setInterval(checkDcaPlans, CONSTANTS.DCA_CHECK_INTERVAL_MS);
+        await recoverInterruptedQueuedActions();
+        setInterval(checkGasQueue, CONSTANTS.QUEUE_CHECK_INTERVAL_MS);
+        setInterval(checkAllRpcHealth, CONSTANTS.RPC_HEALTH_CHECK_INTERVAL_MS);
+
         await bot.start();
         log("info", "✅ Bot is now running!");
     } catch (e) {
@@ -1190,4 +6291,23 @@ async function startBot() {
     }
 }
 
-startBot();
+// Started only when this file is run directly, so the test suite can import the helpers below without launching the bot.
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    startBot();
+}
+
+export {
+    applyTransferTax,
+    calculateHodlComparison,
+    callRelay,
+    decodeRevertReason,
+    evaluateExitRules,
+    fetchFeeHistoryTiers,
+    formatHistoryCsv,
+    formatPnl,
+    getNetwork,
+    getPositionAccounting,
+    parseBasketInput,
+    sendManagedTransaction,
+    sendToRelay
+};
@@ -0,0 +1,42 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseEther } from 'ethers';
+import { formatPnl, getPositionAccounting } from '../index.js';
+
+test('getPositionAccounting reads the stored cost basis, LP amount and realized PnL', () => {
+    const accounting = getPositionAccounting({
+        initialEthValue: '1',
+        costBasis: parseEther('1.01').toString(),
+        lpAmount: '500',
+        realizedPnl: parseEther('-0.2').toString(),
+        realizedPnlUsd: -400,
+        entries: [{ timestamp: 1 }],
+        exits: [{ timestamp: 2 }]
+    });
+    assert.deepEqual(accounting, {
+        entries: [{ timestamp: 1 }],
+        exits: [{ timestamp: 2 }],
+        lpAmount: 500n,
+        costBasis: parseEther('1.01'),
+        realizedPnl: parseEther('-0.2'),
+        realizedPnlUsd: -400
+    });
+});
+
+test('getPositionAccounting falls back to the initial ETH value for legacy positions', () => {
+    assert.deepEqual(getPositionAccounting({ initialEthValue: '0.25' }), {
+        entries: [],
+        exits: [],
+        lpAmount: 0n,
+        costBasis: parseEther('0.25'),
+        realizedPnl: 0n,
+        realizedPnlUsd: 0
+    });
+});
+
+test('formatPnl signs the native amount and adds its USD value when a price is known', () => {
+    assert.equal(formatPnl(parseEther('0.25'), 2000, 'ETH'), '+0.250000 ETH (+$500.00)');
+    assert.equal(formatPnl(parseEther('-0.5'), 2000, 'ETH'), '-0.500000 ETH (-$1,000.00)');
+    assert.equal(formatPnl(parseEther('0.1'), 0, 'BNB'), '+0.100000 BNB');
+});
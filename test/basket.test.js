@@ -0,0 +1,30 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseBasketInput } from '../index.js';
+
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+
+test('parseBasketInput reads addresses with optional relative weights', () => {
+    assert.deepEqual(parseBasketInput(`${WETH.toLowerCase()} 40%\n${USDC} 0.6, ${DAI}`), [
+        { tokenAddress: WETH, weight: 40 },
+        { tokenAddress: USDC, weight: 0.6 },
+        { tokenAddress: DAI, weight: 1 }
+    ]);
+});
+
+test('parseBasketInput rejects too few or too many legs', () => {
+    assert.throws(() => parseBasketInput(WETH), /between 2 and 8 tokens/);
+    assert.throws(() => parseBasketInput(''), /between 2 and 8 tokens/);
+    const nine = Array.from({ length: 9 }, (_, i) => `0x${(i + 1).toString(16).padStart(40, '0')}`).join('\n');
+    assert.throws(() => parseBasketInput(nine), /between 2 and 8 tokens/);
+});
+
+test('parseBasketInput rejects bad entries and repeated tokens', () => {
+    assert.throws(() => parseBasketInput(`${WETH} 0\n${USDC}`), /Could not read "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2 0"/);
+    assert.throws(() => parseBasketInput(`${WETH} 1 2\n${USDC}`), /Could not read/);
+    assert.throws(() => parseBasketInput(`0x1234\n${USDC}`), /Could not read "0x1234"/);
+    assert.throws(() => parseBasketInput(`${WETH}\n${WETH.toLowerCase()} 2`), /Each token can only appear once/);
+});
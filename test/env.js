@@ -0,0 +1,27 @@
+// Imported first by every test file: index.js validates its environment and opens the database as soon as it is
+// loaded, so the tests give it dummy settings, an in-memory database and data file paths that do not exist.
+// Nothing here reaches the network; the bot itself only starts when index.js is run directly.
+import os from 'os';
+import path from 'path';
+
+const missingFile = (name) => path.join(os.tmpdir(), `zapper-test-${process.pid}-${name}`);
+
+Object.assign(process.env, {
+    RPC_URL: 'http://127.0.0.1:9',
+    // The first Anvil/Hardhat dev account; it is public and never holds funds.
+    PRIVATE_KEY: '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80',
+    TELEGRAM_BOT_TOKEN: '123:test',
+    ETHERSCAN_API_KEY: 'test',
+    ZAPPER_ADDRESS: '0x6cc707f9097e9e5692bC4Ad21E17Ed01659D5952',
+    UNISWAP_V2_FACTORY_ADDRESS: '0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f',
+    WETH_ADDRESS: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+    UNISWAP_V2_ROUTER_ADDRESS: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D',
+    ADMIN_USER_IDS: '42',
+    DATABASE_PATH: ':memory:',
+    NETWORKS_CONFIG_PATH: missingFile('networks.json'),
+    POSITIONS_FILE_PATH: missingFile('positions.json'),
+    HISTORY_FILE_PATH: missingFile('history.json'),
+    ALERTS_FILE_PATH: missingFile('alerts.json'),
+    FEE_HISTORY_BLOCKS: '4',
+    FEE_HISTORY_PERCENTILES: '10,30,60,90'
+});
@@ -0,0 +1,27 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseEther } from 'ethers';
+import { evaluateExitRules } from '../index.js';
+
+test('evaluateExitRules fires take profit, market cap, stop loss and trailing stop rules', () => {
+    const costBasis = parseEther('1');
+    assert.equal(
+        evaluateExitRules({ takeProfitPercent: 50 }, { valueWei: parseEther('1.5'), costBasis, marketCapUsd: 0 }),
+        'Take profit (+50%, value +50.00%)');
+    assert.equal(
+        evaluateExitRules({ takeProfitMarketCapUsd: 5000000 }, { valueWei: costBasis, costBasis, marketCapUsd: 6000000 }),
+        'Market cap target ($5,000,000)');
+    assert.equal(
+        evaluateExitRules({ stopLossPercent: 20 }, { valueWei: parseEther('0.8'), costBasis, marketCapUsd: 0 }),
+        'Stop loss (-20%, value -20.00%)');
+    assert.equal(
+        evaluateExitRules({ trailingStopPercent: 10, peakValue: parseEther('2').toString() }, { valueWei: parseEther('1.8'), costBasis, marketCapUsd: 0 }),
+        'Trailing stop (10% below peak 2.00000)');
+});
+
+test('evaluateExitRules returns null while no rule is reached', () => {
+    const rules = { takeProfitPercent: 50, stopLossPercent: 20, trailingStopPercent: 10, peakValue: parseEther('2').toString() };
+    assert.equal(evaluateExitRules(rules, { valueWei: parseEther('1.9'), costBasis: parseEther('1.5'), marketCapUsd: 0 }), null);
+    assert.equal(evaluateExitRules({}, { valueWei: parseEther('100'), costBasis: parseEther('1'), marketCapUsd: 1e12 }), null);
+});
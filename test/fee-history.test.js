@@ -0,0 +1,63 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseUnits, toQuantity } from 'ethers';
+import { fetchFeeHistoryTiers } from '../index.js';
+
+const gwei = (value) => toQuantity(parseUnits(String(value), 'gwei'));
+
+// A network whose provider answers eth_feeHistory with `history` and records the request.
+function mockNetwork(history) {
+    const requests = [];
+    return {
+        requests,
+        provider: {
+            send: async (method, params) => {
+                requests.push({ method, params });
+                return history;
+            }
+        }
+    };
+}
+
+// Four blocks (FEE_HISTORY_BLOCKS in test/env.js) with the second one empty; its rewards must be ignored.
+const rewards = [[1, 2, 3, 4], [100, 100, 100, 100], [3, 2, 3, 8], [2, 2, 4, 6]].map(block => block.map(gwei));
+const gasUsedRatio = [0.5, 0, 0.5, 0.5];
+
+const assertClose = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} !== ${expected}`);
+
+test('fetchFeeHistoryTiers asks for the configured window and percentiles', async () => {
+    const network = mockNetwork({ baseFeePerGas: [10, 10, 10, 10, 10].map(gwei), gasUsedRatio, reward: rewards });
+    await fetchFeeHistoryTiers(network);
+    assert.deepEqual(network.requests, [{ method: 'eth_feeHistory', params: ['0x4', 'latest', [10, 30, 60, 90]] }]);
+});
+
+test('fetchFeeHistoryTiers takes median tips per percentile and adds block headroom to a flat base fee', async () => {
+    const { baseFeeGwei, trend, tiers } = await fetchFeeHistoryTiers(
+        mockNetwork({ baseFeePerGas: [10, 10, 10, 10, 10].map(gwei), gasUsedRatio, reward: rewards }));
+    assert.equal(baseFeeGwei, 10);
+    assert.equal(trend, 1);
+    assert.deepEqual(tiers.map(tier => [tier.id, tier.percentile, tier.priorityFeeGwei]),
+        [['safe', 10, 2], ['standard', 30, 2], ['fast', 60, 3], ['instant', 90, 6]]);
+    assertClose(tiers[0].maxFeeGwei, 10 * 1.125 + 2);
+    assertClose(tiers[1].maxFeeGwei, 10 * 1.125 ** 2 + 2);
+    assertClose(tiers[2].maxFeeGwei, 10 * 1.125 ** 3 + 3);
+    assertClose(tiers[3].maxFeeGwei, 10 * 1.125 ** 4 + 6);
+});
+
+test('fetchFeeHistoryTiers follows a steeper trend instead of stacking it on the headroom', async () => {
+    const { trend, tiers } = await fetchFeeHistoryTiers(
+        mockNetwork({ baseFeePerGas: [5, 5, 5, 5, 20].map(gwei), gasUsedRatio, reward: rewards }));
+    assert.equal(trend, 4);
+    assert.deepEqual(tiers.map(tier => tier.maxFeeGwei), [82, 82, 83, 86]);
+});
+
+test('fetchFeeHistoryTiers falls back to PRIORITY_FEE_GWEI when every block was empty', async () => {
+    const { tiers } = await fetchFeeHistoryTiers(
+        mockNetwork({ baseFeePerGas: [10, 10, 10, 10, 10].map(gwei), gasUsedRatio: [0, 0, 0, 0], reward: rewards }));
+    assert.deepEqual(tiers.map(tier => tier.priorityFeeGwei), [2, 2, 2, 2]);
+});
+
+test('fetchFeeHistoryTiers rejects an empty answer', async () => {
+    await assert.rejects(fetchFeeHistoryTiers(mockNetwork({})), /eth_feeHistory returned no data/);
+});
@@ -0,0 +1,29 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatHistoryCsv } from '../index.js';
+
+const HEADER = 'timestamp,hash,networkId,chainId,blockNumber,status,type,pairAddress,tokenAddress,tokenSymbol,' +
+    'assetIn,amountIn,assetOut,amountOut,spender,gasUsed,effectiveGasPriceGwei,fee,ethPriceUsd,feeUsd';
+
+test('formatHistoryCsv writes the header and one row per entry in column order', () => {
+    const csv = formatHistoryCsv([{
+        timestamp: '2026-01-01T00:00:00.000Z', hash: '0xabc', networkId: 'ethereum-uniswap', chainId: 1, blockNumber: 100,
+        status: 'success', type: 'swap', pairAddress: null, tokenAddress: '0xT', tokenSymbol: 'TKN', assetIn: 'ETH',
+        amountIn: '1.5', assetOut: 'TKN', amountOut: '2', spender: null, gasUsed: '21000', effectiveGasPriceGwei: '1.0',
+        fee: '0.000021', ethPriceUsd: 3000, feeUsd: 0.063
+    }]);
+    assert.equal(csv,
+        `${HEADER}\n` +
+        '2026-01-01T00:00:00.000Z,0xabc,ethereum-uniswap,1,100,success,swap,,0xT,TKN,ETH,1.5,TKN,2,,21000,1.0,0.000021,3000,0.063\n');
+});
+
+test('formatHistoryCsv quotes commas, quotes and line breaks and leaves missing values empty', () => {
+    const csv = formatHistoryCsv([{ hash: '0x1', tokenSymbol: 'A,B', assetIn: 'say "hi"', assetOut: 'two\nlines' }]);
+    assert.equal(csv.split('\n')[0], HEADER);
+    assert.equal(csv.slice(HEADER.length + 1), ',0x1,,,,,,,,"A,B","say ""hi""",,"two\nlines",,,,,,,\n');
+});
+
+test('formatHistoryCsv exports an empty ledger as the header only', () => {
+    assert.equal(formatHistoryCsv([]), `${HEADER}\n`);
+});
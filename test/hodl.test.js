@@ -0,0 +1,48 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseEther } from 'ethers';
+import { calculateHodlComparison, getPositionAccounting } from '../index.js';
+
+// One 1 ETH entry into a pool of 10 WETH / 1000 TOKEN, i.e. bought at 0.01 ETH per token.
+const entry = {
+    timestamp: 1000,
+    ethValue: parseEther('1').toString(),
+    ethSpent: parseEther('1.01').toString(),
+    gasFee: parseEther('0.01').toString(),
+    reserveQuote: parseEther('10').toString(),
+    reserveToken: parseEther('1000').toString(),
+    quotePriceInWei: parseEther('1').toString(),
+    quoteDecimals: '18'
+};
+const position = { initialEthValue: '1', initialMarketCap: '1000', costBasis: parseEther('1.01').toString(), entries: [entry] };
+
+test('calculateHodlComparison values the entry as all-ETH and as a 50/50 split at the current price', () => {
+    const result = calculateHodlComparison(position, getPositionAccounting(position), 18n, parseEther('0.02'), '2000');
+    assert.equal(result.ethHoldValue, parseEther('1'));
+    assert.equal(result.tokensHeld, parseEther('50'));
+    assert.equal(result.fiftyFiftyValue, parseEther('1.5'));
+});
+
+test('calculateHodlComparison shrinks the hold by the LP share burned in an exit', () => {
+    const withExit = {
+        ...position,
+        exits: [
+            { timestamp: 2000, lpAmount: '5', lpBalanceBefore: '10' },
+            // Exits recorded before lpBalanceBefore existed cannot be replayed and are skipped.
+            { timestamp: 3000, lpAmount: '1' }
+        ]
+    };
+    const result = calculateHodlComparison(withExit, getPositionAccounting(withExit), 18n, parseEther('0.02'), '2000');
+    assert.equal(result.ethHoldValue, parseEther('0.5'));
+    assert.equal(result.tokensHeld, parseEther('25'));
+    assert.equal(result.fiftyFiftyValue, parseEther('0.75'));
+});
+
+test('calculateHodlComparison backs the entry price out of the market cap change for legacy positions', () => {
+    const legacy = { initialEthValue: '1', initialMarketCap: '1000' };
+    const result = calculateHodlComparison(legacy, getPositionAccounting(legacy), 18n, parseEther('0.02'), '2000');
+    assert.equal(result.ethHoldValue, parseEther('1'));
+    assert.equal(result.tokensHeld, parseEther('50'));
+    assert.equal(result.fiftyFiftyValue, parseEther('1.5'));
+});
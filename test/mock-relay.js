@@ -0,0 +1,68 @@
+// A local stand-in for both the chain's JSON-RPC node (/rpc) and a Flashbots-style private relay (/relay).
+// Tests move the chain forward by changing `state`, and read every request the bot made from `requests`.
+import http from 'http';
+import { keccak256 } from 'ethers';
+
+export async function startMockRelay() {
+    const state = {
+        chainId: 1,
+        blockNumber: 100,
+        // Nonce of the next transaction; nonces below it count as mined.
+        minedNonce: 0,
+        // When set, the relay answers every call with this JSON-RPC error.
+        relayError: null,
+        // When set, the relay answers with this HTTP status instead.
+        relayStatus: null
+    };
+    const requests = [];
+
+    const answerRpc = ({ id, method, params }) => {
+        const result = {
+            eth_chainId: () => `0x${state.chainId.toString(16)}`,
+            eth_blockNumber: () => `0x${state.blockNumber.toString(16)}`,
+            eth_getTransactionCount: () => `0x${state.minedNonce.toString(16)}`,
+            eth_sendRawTransaction: () => keccak256(params[0])
+        }[method];
+        if (!result) return { jsonrpc: '2.0', id, error: { code: -32601, message: `${method} is not mocked` } };
+        return { jsonrpc: '2.0', id, result: result() };
+    };
+
+    const answerRelay = ({ id, method, params }) => {
+        if (state.relayError) return { jsonrpc: '2.0', id, error: { code: -32000, message: state.relayError } };
+        if (method === 'eth_sendBundle') return { jsonrpc: '2.0', id, result: { bundleHash: keccak256(params[0].txs[0]) } };
+        if (method === 'eth_sendPrivateTransaction') return { jsonrpc: '2.0', id, result: keccak256(params[0].tx) };
+        return { jsonrpc: '2.0', id, error: { code: -32601, message: `${method} is not supported by the relay` } };
+    };
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const payload = JSON.parse(body);
+            for (const call of [].concat(payload)) {
+                requests.push({ path: req.url, method: call.method, params: call.params, body, headers: req.headers });
+            }
+            if (req.url === '/relay' && state.relayStatus) {
+                res.writeHead(state.relayStatus).end();
+                return;
+            }
+            const answer = req.url === '/relay' ? answerRelay : answerRpc;
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer) : answer(payload)));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        url,
+        state,
+        requests,
+        relayCalls: () => requests.filter(request => request.path === '/relay'),
+        broadcasts: () => requests.filter(request => request.method === 'eth_sendRawTransaction'),
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+}
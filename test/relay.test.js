@@ -0,0 +1,125 @@
+import './env.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { keccak256, parseUnits, toUtf8Bytes, Transaction, verifyMessage } from 'ethers';
+import { startMockRelay } from './mock-relay.js';
+
+// index.js reads its relay settings when it loads, so the mock has to be listening before it is imported.
+const relay = await startMockRelay();
+Object.assign(process.env, {
+    RPC_URL: `${relay.url}/rpc`,
+    PRIVATE_RELAY_URL: `${relay.url}/relay`,
+    PRIVATE_RELAY_METHOD: 'bundle',
+    PRIVATE_RELAY_TARGET_BLOCKS: '3',
+    PRIVATE_RELAY_FALLBACK_PUBLIC: 'true',
+    PENDING_TX_POLL_INTERVAL_MS: '10'
+});
+const { callRelay, getNetwork, sendManagedTransaction, sendToRelay } = await import('../index.js');
+const network = getNetwork();
+
+after(() => relay.close());
+
+async function waitFor(condition, what) {
+    for (const startedAt = Date.now(); !condition();) {
+        if (Date.now() - startedAt > 2000) throw new Error(`Timed out waiting for ${what}`);
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+// Several watcher polls, to show that nothing else is sent afterwards.
+const settle = () => new Promise(resolve => setTimeout(resolve, 100));
+
+// ethers caches the block number for 250ms, so a new chain state is only seen once that has expired.
+async function moveChain(changes) {
+    Object.assign(relay.state, changes);
+    await new Promise(resolve => setTimeout(resolve, 300));
+}
+
+const transfer = () => ({
+    type: 2,
+    chainId: 1,
+    to: '0x000000000000000000000000000000000000dEaD',
+    value: 1n,
+    gasLimit: 21000n,
+    maxFeePerGas: parseUnits('2', 'gwei'),
+    maxPriorityFeePerGas: parseUnits('1', 'gwei')
+});
+
+const bundleBlocks = (calls) => calls.filter(call => call.method === 'eth_sendBundle').map(call => Number(call.params[0].blockNumber));
+
+test('callRelay signs the request body and returns the relay result', async () => {
+    relay.requests.length = 0;
+    const result = await callRelay(network.privateRelayUrl, 'eth_sendPrivateTransaction', [{ tx: '0xdead', maxBlockNumber: '0x1' }]);
+    assert.equal(result, keccak256('0xdead'));
+
+    const [call] = relay.relayCalls();
+    assert.equal(call.method, 'eth_sendPrivateTransaction');
+    const [address, signature] = call.headers['x-flashbots-signature'].split(':');
+    assert.equal(verifyMessage(keccak256(toUtf8Bytes(call.body)), signature), address);
+});
+
+test('callRelay surfaces relay and HTTP errors', async () => {
+    relay.state.relayError = 'bundle rejected';
+    await assert.rejects(callRelay(network.privateRelayUrl, 'eth_sendBundle', []), /^Error: Relay error: bundle rejected$/);
+    relay.state.relayError = null;
+
+    relay.state.relayStatus = 503;
+    await assert.rejects(callRelay(network.privateRelayUrl, 'eth_sendBundle', []), /^Error: Relay HTTP error! status: 503$/);
+    relay.state.relayStatus = null;
+});
+
+test('sendToRelay sends a bundle for the target block', async () => {
+    relay.requests.length = 0;
+    await sendToRelay(network, '0xdead', 101);
+    assert.deepEqual(relay.relayCalls().map(call => call.params), [[{ txs: ['0xdead'], blockNumber: '0x65' }]]);
+});
+
+test('a relayed transaction is resubmitted each block until its nonce is mined', async () => {
+    await moveChain({ blockNumber: 100, minedNonce: 0 });
+    relay.requests.length = 0;
+
+    const tx = await sendManagedTransaction(network, transfer(), { label: 'Test transfer' });
+    const [bundle] = relay.relayCalls();
+    assert.equal(Transaction.from(bundle.params[0].txs[0]).hash, tx.hash);
+    assert.deepEqual(bundleBlocks(relay.relayCalls()), [101]);
+
+    relay.state.blockNumber = 101;
+    await waitFor(() => bundleBlocks(relay.relayCalls()).includes(102), 'the bundle for block 102');
+
+    relay.state.minedNonce = tx.nonce + 1;
+    await settle();
+    await moveChain({ blockNumber: 110 });
+    assert.deepEqual(bundleBlocks(relay.relayCalls()), [101, 102]);
+    assert.equal(relay.broadcasts().length, 0);
+});
+
+test('a relayed transaction that is not included in time is broadcast publicly', async () => {
+    await moveChain({ blockNumber: 200, minedNonce: 1 });
+    relay.requests.length = 0;
+
+    const tx = await sendManagedTransaction(network, transfer(), { label: 'Test transfer' });
+    assert.equal(tx.nonce, 1);
+    assert.deepEqual(bundleBlocks(relay.relayCalls()), [201]);
+    const signedTx = relay.relayCalls()[0].params[0].txs[0];
+
+    // The window covers blocks 201-203, so the watcher gives up once block 203 is reached.
+    relay.state.blockNumber = 203;
+    await waitFor(() => relay.broadcasts().length > 0, 'the public broadcast');
+    assert.deepEqual(relay.broadcasts().map(call => call.params[0]), [signedTx]);
+
+    await settle();
+    assert.equal(relay.broadcasts().length, 1);
+});
+
+test('a transaction the relay rejects is broadcast publicly right away', async () => {
+    await moveChain({ blockNumber: 300, minedNonce: 2, relayError: 'rejected' });
+    relay.requests.length = 0;
+
+    const tx = await sendManagedTransaction(network, transfer(), { label: 'Test transfer' });
+    relay.state.relayError = null;
+    assert.equal(tx.nonce, 2);
+    assert.deepEqual(relay.broadcasts().map(call => Transaction.from(call.params[0]).hash), [tx.hash]);
+
+    await moveChain({ blockNumber: 310 });
+    assert.equal(relay.relayCalls().length, 1);
+});
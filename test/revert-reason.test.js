@@ -0,0 +1,23 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeRevertReason } from '../index.js';
+
+test('decodeRevertReason explains known Uniswap reverts', () => {
+    assert.equal(decodeRevertReason({ revert: { name: 'Error', args: ['UniswapV2Router: INSUFFICIENT_B_AMOUNT'] } }),
+        'the price moved beyond the slippage tolerance (UniswapV2Router: INSUFFICIENT_B_AMOUNT)');
+    assert.equal(decodeRevertReason({ reason: 'TransferHelper: TRANSFER_FROM_FAILED' }),
+        'the token transfer into the contract failed (balance or allowance too low) (TransferHelper: TRANSFER_FROM_FAILED)');
+    assert.equal(decodeRevertReason({ reason: 'TransferHelper: TRANSFER_FAILED' }),
+        'a token transfer failed; the token may block or tax transfers (TransferHelper: TRANSFER_FAILED)');
+    assert.equal(decodeRevertReason({ reason: 'UniswapV2: K' }),
+        'the pool rejected the swap, which usually means the token charges a transfer fee (UniswapV2: K)');
+    assert.equal(decodeRevertReason({ info: { error: { message: 'insufficient funds for gas * price + value' } } }),
+        'the wallet balance is too low (insufficient funds for gas * price + value)');
+});
+
+test('decodeRevertReason passes unknown reasons through', () => {
+    assert.equal(decodeRevertReason({ revert: { name: 'Paused', args: [] } }), 'Paused');
+    assert.equal(decodeRevertReason({ shortMessage: 'execution reverted (no data present)' }), 'execution reverted (no data present)');
+    assert.equal(decodeRevertReason({}), 'unknown error');
+});
@@ -0,0 +1,13 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseEther } from 'ethers';
+import { applyTransferTax } from '../index.js';
+
+test('applyTransferTax removes the tax in basis points', () => {
+    assert.equal(applyTransferTax(1000n, 0), 1000n);
+    assert.equal(applyTransferTax(1000n, 500), 950n);
+    assert.equal(applyTransferTax(parseEther('1'), 10000), 0n);
+    // Measured taxes can be fractional basis points; they are rounded.
+    assert.equal(applyTransferTax(1000n, 2.6), 999n);
+});